@@ -172,6 +172,7 @@ function App() {
             {/* Public Routes - Accessible without authentication */}
             <Route path="/register" element={<Register onLogin={handleLogin} />} />
             <Route path="/login" element={<Login onLogin={handleLogin} />} />
+            <Route path="/shared/:token" element={<TripView shared />} />
             
             {/* Protected Routes - Require authentication */}
             <Route path="/trip-plan" element={<PrivateRoute><TripPlan /></PrivateRoute>} />
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { MapContainer, TileLayer, Polygon, Polyline, CircleMarker, useMapEvents } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import { AVOID_AREA_STYLE } from '../utils/routeOptions';
+
+// Limits on the drawn areas (match the server)
+const MAX_AVOID_AREAS = 10;
+const MIN_AREA_POINTS = 3;
+const MAX_AREA_POINTS = 50;
+
+// Map style of the area being drawn
+const DRAFT_STYLE = { color: '#c62828', dashArray: '2 6' };
+
+/**
+ * Map Click Handler
+ *
+ * Adds a corner to the area being drawn on every click on the map.
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onPick - Called with [latitude, longitude] of the clicked point
+ * @returns {null} This component doesn't render anything visible
+ */
+function AddPointOnClick({ onPick }) {
+  useMapEvents({
+    click: (e) => onPick([e.latlng.lat, e.latlng.lng])
+  });
+  return null;
+}
+
+/**
+ * AvoidAreasMap Component - Avoided Areas Editor
+ *
+ * Lets the user draw areas the planned routes must stay out of. Each click on
+ * the map adds a corner to the current area; "Finish Area" closes it once it
+ * has at least three corners. Finished areas are drawn as dashed red polygons
+ * and can be removed one at a time or all together.
+ *
+ * Usage:
+ * <AvoidAreasMap areas={avoidPolygons} onChange={setAvoidPolygons} center={mapCenter} />
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.areas - Finished areas, each a list of [latitude, longitude] corners
+ * @param {Function} props.onChange - Called with the new list of areas
+ * @param {Array} props.center - [latitude, longitude] the map opens on
+ * @returns {React.ReactNode} The drawing map and its controls
+ */
+const AvoidAreasMap = ({ areas, onChange, center }) => {
+  const [draft, setDraft] = useState([]); // Corners of the area being drawn
+
+  const addPoint = (point) => {
+    if (areas.length >= MAX_AVOID_AREAS || draft.length >= MAX_AREA_POINTS) {
+      return;
+    }
+    setDraft([...draft, point]);
+  };
+
+  const finishArea = () => {
+    onChange([...areas, draft]);
+    setDraft([]);
+  };
+
+  const removeArea = (index) => {
+    onChange(areas.filter((_, i) => i !== index));
+  };
+
+  const clearAll = () => {
+    onChange([]);
+    setDraft([]);
+  };
+
+  return (
+    <div className="avoid-areas">
+      <p className="avoid-areas-hint">
+        {areas.length >= MAX_AVOID_AREAS
+          ? `You can draw up to ${MAX_AVOID_AREAS} areas.`
+          : 'Click the map to add the corners of an area the route should avoid.'}
+      </p>
+      <div className="avoid-areas-map">
+        <MapContainer center={center} zoom={11} style={{ height: '300px', width: '100%' }}>
+          <TileLayer
+            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+          />
+          <AddPointOnClick onPick={addPoint} />
+          {areas.map((area, index) => (
+            <Polygon key={index} positions={area} pathOptions={AVOID_AREA_STYLE} />
+          ))}
+          {draft.length > 1 && <Polyline positions={draft} pathOptions={DRAFT_STYLE} />}
+          {draft.map((point, index) => (
+            <CircleMarker key={index} center={point} radius={4} pathOptions={{ color: '#c62828' }} />
+          ))}
+        </MapContainer>
+      </div>
+      <div className="avoid-areas-controls">
+        <button
+          type="button"
+          className="secondary-button"
+          onClick={finishArea}
+          disabled={draft.length < MIN_AREA_POINTS}
+        >
+          Finish Area
+        </button>
+        <button
+          type="button"
+          className="secondary-button"
+          onClick={() => setDraft(draft.slice(0, -1))}
+          disabled={draft.length === 0}
+        >
+          Undo Point
+        </button>
+        <button
+          type="button"
+          className="secondary-button"
+          onClick={clearAll}
+          disabled={areas.length === 0 && draft.length === 0}
+        >
+          Clear All
+        </button>
+      </div>
+      {areas.length > 0 && (
+        <ul className="avoid-areas-list">
+          {areas.map((area, index) => (
+            <li key={index}>
+              Area {index + 1} ({area.length} corners)
+              <button type="button" className="link-button" onClick={() => removeArea(index)}>
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AvoidAreasMap;
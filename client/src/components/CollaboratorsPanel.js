@@ -0,0 +1,188 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+
+/**
+ * CollaboratorsPanel Component - Trip Collaborators
+ *
+ * Shows who has access to a trip. The owner can invite registered users by
+ * email as viewers (read and clone) or editors (can also change the route),
+ * change their role and remove them. Collaborators can leave the trip.
+ *
+ * Usage:
+ * <CollaboratorsPanel tripId={trip.tripId} role={role} />
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.tripId - Unique identifier of the trip
+ * @param {string} props.role - The current user's role ('owner', 'editor' or 'viewer')
+ * @returns {React.ReactNode} The collaborators button or panel
+ */
+const CollaboratorsPanel = ({ tripId, role }) => {
+  const navigate = useNavigate();
+  const [isOpen, setIsOpen] = useState(false);
+  const [ownerEmail, setOwnerEmail] = useState('');
+  const [collaborators, setCollaborators] = useState([]);
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('viewer');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const isOwner = role === 'owner';
+
+  const authHeaders = () => ({
+    headers: {
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+
+  // Opens the panel and loads the trip's owner and collaborators.
+  const openPanel = async () => {
+    setIsOpen(true);
+    setLoading(true);
+    setError('');
+    try {
+      const response = await axios.get(`http://localhost:5000/api/trip/trip/${tripId}/collaborators`, authHeaders());
+      if (response.data.success) {
+        setOwnerEmail(response.data.ownerEmail);
+        setCollaborators(response.data.collaborators);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load collaborators.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Invites a collaborator, or updates their role if they are already invited.
+  const handleInvite = async (email, newRole) => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await axios.post(`http://localhost:5000/api/trip/trip/${tripId}/collaborators`, {
+        email,
+        role: newRole
+      }, authHeaders());
+      if (response.data.success) {
+        setCollaborators(response.data.collaborators);
+        setInviteEmail('');
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to invite collaborator.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Removes a collaborator. When a collaborator removes themselves they leave the trip.
+  const handleRemove = async (email, leaving = false) => {
+    const prompt = leaving
+      ? 'Leave this trip? You will no longer be able to see it.'
+      : `Remove ${email} from this trip?`;
+    if (!window.confirm(prompt)) {
+      return;
+    }
+    setError('');
+    try {
+      const response = await axios.delete(
+        `http://localhost:5000/api/trip/trip/${tripId}/collaborators/${encodeURIComponent(email)}`,
+        authHeaders()
+      );
+      if (leaving) {
+        navigate('/trip-history');
+      } else if (response.data.success) {
+        setCollaborators(response.data.collaborators);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to remove collaborator.');
+    }
+  };
+
+  // Leaves the trip by removing the current user's own collaborator entry.
+  const handleLeave = async () => {
+    setError('');
+    try {
+      const response = await axios.get('http://localhost:5000/api/me', authHeaders());
+      await handleRemove(response.data.email, true);
+    } catch (err) {
+      setError('Failed to leave the trip. Please try again.');
+    }
+  };
+
+  if (!isOpen) {
+    return (
+      <button className="secondary-button" onClick={openPanel}>
+        Collaborators
+      </button>
+    );
+  }
+
+  return (
+    <div className="share-links-panel collaborators-panel">
+      <div className="share-links-header">
+        <strong>Collaborators</strong>
+        <button className="secondary-button" onClick={() => setIsOpen(false)}>
+          Close
+        </button>
+      </div>
+      {ownerEmail && <p className="share-links-hint">Owner: {ownerEmail}</p>}
+      {collaborators.length > 0 ? (
+        <ul className="share-links-list">
+          {collaborators.map(collaborator => (
+            <li key={collaborator.email}>
+              <span className="collaborator-email">{collaborator.email}</span>
+              {isOwner ? (
+                <select
+                  className="input"
+                  value={collaborator.role}
+                  onChange={(e) => handleInvite(collaborator.email, e.target.value)}
+                  disabled={loading}
+                >
+                  <option value="viewer">Viewer</option>
+                  <option value="editor">Editor</option>
+                </select>
+              ) : (
+                <span className="collaborator-role">{collaborator.role}</span>
+              )}
+              {isOwner && (
+                <button className="secondary-button" onClick={() => handleRemove(collaborator.email)}>
+                  Remove
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        !loading && <p className="share-links-hint">No one else has access to this trip.</p>
+      )}
+      {isOwner ? (
+        <form
+          className="collaborator-invite"
+          onSubmit={(e) => { e.preventDefault(); handleInvite(inviteEmail, inviteRole); }}
+        >
+          <input
+            type="email"
+            className="input"
+            placeholder="Invite by email..."
+            value={inviteEmail}
+            onChange={(e) => setInviteEmail(e.target.value)}
+            required
+          />
+          <select className="input" value={inviteRole} onChange={(e) => setInviteRole(e.target.value)}>
+            <option value="viewer">Viewer</option>
+            <option value="editor">Editor</option>
+          </select>
+          <button type="submit" className="primary-button" disabled={loading}>
+            Invite
+          </button>
+        </form>
+      ) : (
+        <button className="secondary-button" onClick={handleLeave}>
+          Leave Trip
+        </button>
+      )}
+      {error && <div className="error-message">{error}</div>}
+    </div>
+  );
+};
+
+export default CollaboratorsPanel;
@@ -0,0 +1,28 @@
+import React from 'react';
+
+/**
+ * DifficultyBadge Component
+ *
+ * Shows a trip's or a day's difficulty grade as a colored badge. The grade is
+ * computed by the server from the distance, duration, climbing and surface of
+ * the route, relative to what is usual for the trip type.
+ *
+ * Usage:
+ * <DifficultyBadge grade={trip.difficulty} />
+ *
+ * @param {Object} props - Component props
+ * @param {string} [props.grade] - 'easy', 'moderate', 'hard' or 'expert'
+ * @returns {React.ReactNode} The badge, or nothing when the grade is unknown
+ */
+const DifficultyBadge = ({ grade }) => {
+  if (!grade) {
+    return null;
+  }
+  return (
+    <span className={`difficulty-badge ${grade}`} title="Difficulty from distance, duration, climbing and surface">
+      {grade.charAt(0).toUpperCase() + grade.slice(1)}
+    </span>
+  );
+};
+
+export default DifficultyBadge;
@@ -0,0 +1,159 @@
+import React, { useState } from 'react';
+
+// Size of the chart's drawing area (the SVG scales to the container width)
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 160;
+const PADDING = { top: 10, right: 10, bottom: 24, left: 44 };
+
+/**
+ * ElevationChart Component - Elevation Profile
+ *
+ * Shows the elevation profile of one day of a trip as an area chart, with the
+ * day's total ascent, descent and steepest gradient above it. Trips with more
+ * than one day get a button per day. Moving the pointer over the chart marks
+ * the nearest profile point and reports it through onHover, so the map can
+ * highlight the same spot on the route.
+ *
+ * Usage:
+ * <ElevationChart days={trip.tripData.days} getColor={(dayIndex) => color} onHover={setHoveredPoint} />
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.days - Days of the trip; each may carry an elevation object
+ *   ({ ascentM, descentM, maxGradientPercent, profile: [{ distanceKm, elevationM, coordinates }] })
+ * @param {Function} props.getColor - Returns the route color of a day from its index
+ * @param {Function} [props.onHover] - Called with the hovered profile point, or null when the pointer leaves
+ * @returns {React.ReactNode} The elevation chart, or a note when the trip has no elevation data
+ */
+const ElevationChart = ({ days, getColor, onHover = () => {} }) => {
+  const [dayIndex, setDayIndex] = useState(0);
+  const [hoverIndex, setHoverIndex] = useState(null);
+
+  if (!days.some(day => day.elevation && day.elevation.profile && day.elevation.profile.length > 1)) {
+    return (
+      <div className="elevation-chart">
+        <h3>Elevation</h3>
+        <p className="elevation-chart-empty">No elevation data is available for this trip.</p>
+      </div>
+    );
+  }
+
+  const selectedIndex = Math.min(dayIndex, days.length - 1);
+  const elevation = days[selectedIndex].elevation;
+  const profile = (elevation && elevation.profile) || [];
+  const color = getColor(selectedIndex);
+
+  const selectDay = (index) => {
+    setDayIndex(index);
+    setHoverIndex(null);
+    onHover(null);
+  };
+
+  // Scales from distance/elevation to chart coordinates
+  const maxDistance = profile.length > 0 ? profile[profile.length - 1].distanceKm || 1 : 1;
+  const elevations = profile.map(point => point.elevationM);
+  const minElevation = Math.min(...elevations);
+  const maxElevation = Math.max(...elevations);
+  const elevationRange = Math.max(maxElevation - minElevation, 10);
+  const plotWidth = CHART_WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+  const x = (distanceKm) => PADDING.left + (distanceKm / maxDistance) * plotWidth;
+  const y = (elevationM) => PADDING.top + (1 - (elevationM - minElevation) / elevationRange) * plotHeight;
+
+  const line = profile.map((point, index) => `${index === 0 ? 'M' : 'L'}${x(point.distanceKm).toFixed(1)},${y(point.elevationM).toFixed(1)}`).join(' ');
+  const area = profile.length > 1
+    ? `${line} L${x(maxDistance).toFixed(1)},${PADDING.top + plotHeight} L${PADDING.left},${PADDING.top + plotHeight} Z`
+    : '';
+
+  // Finds the profile point closest to the pointer's horizontal position
+  const handleMouseMove = (e) => {
+    const bounds = e.currentTarget.getBoundingClientRect();
+    const chartX = ((e.clientX - bounds.left) / bounds.width) * CHART_WIDTH;
+    const distanceKm = ((chartX - PADDING.left) / plotWidth) * maxDistance;
+    let closest = 0;
+    profile.forEach((point, index) => {
+      if (Math.abs(point.distanceKm - distanceKm) < Math.abs(profile[closest].distanceKm - distanceKm)) {
+        closest = index;
+      }
+    });
+    setHoverIndex(closest);
+    onHover(profile[closest]);
+  };
+
+  const handleMouseLeave = () => {
+    setHoverIndex(null);
+    onHover(null);
+  };
+
+  const hovered = hoverIndex !== null ? profile[hoverIndex] : null;
+
+  return (
+    <div className="elevation-chart">
+      <h3>Elevation</h3>
+      {days.length > 1 && (
+        <div className="elevation-chart-days">
+          {days.map((day, index) => (
+            <button
+              key={index}
+              type="button"
+              className={index === selectedIndex ? 'elevation-day-button active' : 'elevation-day-button'}
+              style={{ borderColor: getColor(index) }}
+              onClick={() => selectDay(index)}
+            >
+              Day {day.day}
+            </button>
+          ))}
+        </div>
+      )}
+      {elevation ? (
+        <>
+          <div className="elevation-chart-stats">
+            <span><strong>Ascent:</strong> {elevation.ascentM} m</span>
+            <span><strong>Descent:</strong> {elevation.descentM} m</span>
+            <span><strong>Steepest climb:</strong> {elevation.maxGradientPercent}%</span>
+            {hovered && (
+              <span className="elevation-chart-hover">
+                {hovered.distanceKm} km · {hovered.elevationM} m
+              </span>
+            )}
+          </div>
+          <svg
+            className="elevation-chart-svg"
+            viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+            onMouseMove={handleMouseMove}
+            onMouseLeave={handleMouseLeave}
+          >
+            <path d={area} fill={color} fillOpacity="0.2" stroke="none" />
+            <path d={line} fill="none" stroke={color} strokeWidth="2" />
+            <text x={PADDING.left - 6} y={PADDING.top + 4} textAnchor="end" className="elevation-chart-label">
+              {maxElevation} m
+            </text>
+            <text x={PADDING.left - 6} y={PADDING.top + plotHeight} textAnchor="end" className="elevation-chart-label">
+              {minElevation} m
+            </text>
+            <text x={PADDING.left} y={CHART_HEIGHT - 6} className="elevation-chart-label">0 km</text>
+            <text x={CHART_WIDTH - PADDING.right} y={CHART_HEIGHT - 6} textAnchor="end" className="elevation-chart-label">
+              {maxDistance} km
+            </text>
+            {hovered && (
+              <>
+                <line
+                  x1={x(hovered.distanceKm)}
+                  x2={x(hovered.distanceKm)}
+                  y1={PADDING.top}
+                  y2={PADDING.top + plotHeight}
+                  stroke="#555"
+                  strokeDasharray="3 3"
+                />
+                <circle cx={x(hovered.distanceKm)} cy={y(hovered.elevationM)} r="4" fill={color} />
+              </>
+            )}
+          </svg>
+        </>
+      ) : (
+        <p className="elevation-chart-empty">No elevation data is available for this day.</p>
+      )}
+    </div>
+  );
+};
+
+export default ElevationChart;
@@ -0,0 +1,131 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { FITNESS_FIELDS, getDefaultFitnessValue, toFitnessLimits } from '../utils/fitnessFields';
+import useTripTypes from '../hooks/useTripTypes';
+
+/**
+ * Turns a saved fitness profile into form values (strings, empty when not set).
+ *
+ * @param {Object} fitnessProfile - Limits keyed by trip type
+ * @returns {Object} Form values keyed by trip type and field name
+ */
+const toFormValues = (fitnessProfile) => {
+  const formValues = {};
+  Object.entries(fitnessProfile).forEach(([tripType, limits]) => {
+    formValues[tripType] = {};
+    FITNESS_FIELDS.forEach(({ name }) => {
+      formValues[tripType][name] = limits && limits[name] !== undefined ? String(limits[name]) : '';
+    });
+  });
+  return formValues;
+};
+
+/**
+ * FitnessProfilePanel Component - Fitness Profile Editor
+ *
+ * Lets the user describe what they can comfortably do on each trip type of
+ * the trip type registry:
+ * the shortest and longest day, the most climbing per day and their average
+ * speed. The trip planner sizes every day of a new trip with these limits.
+ * Fields left empty use the planner's defaults, shown as placeholders.
+ *
+ * Usage:
+ * <FitnessProfilePanel />
+ *
+ * @returns {React.ReactNode} The fitness profile form
+ */
+const FitnessProfilePanel = () => {
+  const { tripTypes } = useTripTypes();
+  const [values, setValues] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    axios.get('http://localhost:5000/api/me/fitness', {
+      headers: {
+        'Authorization': `Bearer ${localStorage.getItem('token')}`
+      }
+    })
+      .then(response => setValues(toFormValues(response.data.fitnessProfile || {})))
+      .catch(() => setError('Failed to load your fitness profile.'))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const updateValue = (tripType, name, value) => {
+    setValues(prev => ({ ...prev, [tripType]: { ...(prev[tripType] || {}), [name]: value } }));
+    setSuccess('');
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    setSuccess('');
+    try {
+      // Trip types without any value are cleared so they use the defaults
+      const fitnessProfile = {};
+      tripTypes.forEach(({ id }) => {
+        const limits = toFitnessLimits(values[id] || {});
+        fitnessProfile[id] = Object.keys(limits).length > 0 ? limits : null;
+      });
+      const response = await axios.put('http://localhost:5000/api/me/fitness', { fitnessProfile }, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      setValues(toFormValues(response.data.fitnessProfile || {}));
+      setSuccess('Fitness profile saved.');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save your fitness profile.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="fitness-profile">Loading fitness profile...</div>;
+  }
+
+  return (
+    <form className="fitness-profile" onSubmit={handleSave}>
+      <h2 className="section-title">Fitness Profile</h2>
+      <p className="fitness-profile-hint">
+        New trips are planned within these daily limits. Leave a field empty to use the default.
+      </p>
+      <div className="fitness-profile-types">
+        {tripTypes.map(tripType => (
+          <fieldset key={tripType.id} className="fitness-profile-type">
+            <legend>{tripType.label}</legend>
+            {FITNESS_FIELDS.map(field => {
+              const fallback = getDefaultFitnessValue(tripType, field.name);
+              return (
+                <label key={field.name}>
+                  {field.label}
+                  <input
+                    type="number"
+                    className="input"
+                    min={field.min}
+                    max={field.max}
+                    step={field.step}
+                    value={(values[tripType.id] || {})[field.name] || ''}
+                    placeholder={fallback !== undefined ? String(fallback) : 'No limit'}
+                    onChange={(e) => updateValue(tripType.id, field.name, e.target.value)}
+                  />
+                </label>
+              );
+            })}
+          </fieldset>
+        ))}
+      </div>
+      {error && <div className="error-message">{error}</div>}
+      {success && <div className="success-message">{success}</div>}
+      <button type="submit" className="button" disabled={saving}>
+        {saving ? 'Saving...' : 'Save Profile'}
+      </button>
+    </form>
+  );
+};
+
+export default FitnessProfilePanel;
@@ -0,0 +1,159 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+/**
+ * FolderSidebar Component - Trip Folders
+ *
+ * Lists the user's trip folders next to the trip history and lets the user
+ * pick which folder to show, create new folders, rename and delete them.
+ * Deleting a folder keeps its trips; they become unfiled.
+ *
+ * Usage:
+ * <FolderSidebar
+ *   folders={folders}
+ *   selectedFolder={selectedFolder}
+ *   onSelect={setSelectedFolder}
+ *   onFoldersChanged={fetchFolders}
+ *   onFolderDeleted={folderId => ...}
+ * />
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.folders - The user's folders ({ id, name, tripCount })
+ * @param {string} props.selectedFolder - 'all', 'unfiled' or the id of the selected folder
+ * @param {Function} props.onSelect - Called with the new selection
+ * @param {Function} props.onFoldersChanged - Called after a folder was created, renamed or deleted
+ * @param {Function} props.onFolderDeleted - Called with the id of a deleted folder
+ * @returns {React.ReactNode} The folder sidebar
+ */
+const FolderSidebar = ({ folders, selectedFolder, onSelect, onFoldersChanged, onFolderDeleted }) => {
+  const [newFolderName, setNewFolderName] = useState('');
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+  const [error, setError] = useState('');
+
+  const authHeaders = () => ({
+    headers: {
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+
+  // Creates a new folder and selects it.
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newFolderName.trim()) {
+      return;
+    }
+    setError('');
+    try {
+      const response = await axios.post('http://localhost:5000/api/trip/folders', {
+        name: newFolderName
+      }, authHeaders());
+      if (response.data.success) {
+        setNewFolderName('');
+        await onFoldersChanged();
+        onSelect(response.data.folder.id);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to create folder.');
+    }
+  };
+
+  // Saves the new name of the folder being renamed.
+  const handleRename = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      await axios.put(`http://localhost:5000/api/trip/folders/${renamingId}`, {
+        name: renameValue
+      }, authHeaders());
+      setRenamingId(null);
+      await onFoldersChanged();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to rename folder.');
+    }
+  };
+
+  // Deletes a folder after confirmation; its trips become unfiled.
+  const handleDelete = async (folder) => {
+    if (!window.confirm(`Delete the folder "${folder.name}"? Its trips will not be deleted.`)) {
+      return;
+    }
+    setError('');
+    try {
+      await axios.delete(`http://localhost:5000/api/trip/folders/${folder.id}`, authHeaders());
+      if (selectedFolder === folder.id) {
+        onSelect('all');
+      }
+      onFolderDeleted(folder.id);
+      await onFoldersChanged();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete folder.');
+    }
+  };
+
+  const itemClass = (value) => `folder-item${selectedFolder === value ? ' active' : ''}`;
+
+  return (
+    <aside className="folder-sidebar">
+      <h4>Folders</h4>
+      <ul className="folder-list">
+        <li className={itemClass('all')} onClick={() => onSelect('all')}>
+          <span className="folder-name">All trips</span>
+        </li>
+        <li className={itemClass('unfiled')} onClick={() => onSelect('unfiled')}>
+          <span className="folder-name">Unfiled</span>
+        </li>
+        {folders.map(folder => (
+          <li key={folder.id} className={itemClass(folder.id)} onClick={() => onSelect(folder.id)}>
+            {renamingId === folder.id ? (
+              <form className="folder-form" onSubmit={handleRename} onClick={(e) => e.stopPropagation()}>
+                <input
+                  type="text"
+                  className="input"
+                  value={renameValue}
+                  maxLength={50}
+                  onChange={(e) => setRenameValue(e.target.value)}
+                  autoFocus
+                />
+                <button type="submit" className="link-button">Save</button>
+                <button type="button" className="link-button" onClick={() => setRenamingId(null)}>Cancel</button>
+              </form>
+            ) : (
+              <>
+                <span className="folder-name">📁 {folder.name}</span>
+                <span className="folder-count">{folder.tripCount}</span>
+                <span className="folder-actions" onClick={(e) => e.stopPropagation()}>
+                  <button
+                    type="button"
+                    className="link-button"
+                    title="Rename folder"
+                    onClick={() => { setRenamingId(folder.id); setRenameValue(folder.name); }}
+                  >
+                    ✎
+                  </button>
+                  <button type="button" className="link-button" title="Delete folder" onClick={() => handleDelete(folder)}>
+                    &times;
+                  </button>
+                </span>
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+      <form className="folder-form" onSubmit={handleCreate}>
+        <input
+          type="text"
+          className="input"
+          placeholder="New folder..."
+          value={newFolderName}
+          maxLength={50}
+          onChange={(e) => setNewFolderName(e.target.value)}
+        />
+        <button type="submit" className="secondary-button">Add</button>
+      </form>
+      {error && <div className="error-message">{error}</div>}
+    </aside>
+  );
+};
+
+export default FolderSidebar;
@@ -0,0 +1,207 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+import { MapContainer, TileLayer, Marker, Popup, Circle, useMap, useMapEvents } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import L from 'leaflet';
+import useTripTypes from '../hooks/useTripTypes';
+
+/**
+ * Leaflet Icon Configuration
+ *
+ * Fixes common React-Leaflet icon path issues by explicitly setting
+ * icon URLs to CDN sources. This ensures markers display correctly
+ * across different build environments.
+ */
+delete L.Icon.Default.prototype._getIconUrl;
+L.Icon.Default.mergeOptions({
+  iconRetinaUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-icon-2x.png',
+  iconUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-icon.png',
+  shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
+});
+
+/**
+ * Map Click Handler
+ *
+ * Lets the user pick the search point by clicking on the map.
+ *
+ * @param {Object} props - Component props
+ * @param {Function} props.onPick - Called with [latitude, longitude] of the clicked point
+ * @returns {null} This component doesn't render anything visible
+ */
+function PickPointOnClick({ onPick }) {
+  useMapEvents({
+    click: (e) => onPick([e.latlng.lat, e.latlng.lng])
+  });
+  return null;
+}
+
+/**
+ * Map View Controller
+ *
+ * Re-centers the map whenever the search point changes.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.center - [latitude, longitude] coordinates for the map center
+ * @returns {null} This component doesn't render anything visible
+ */
+function ChangeMapView({ center }) {
+  const map = useMap();
+  useEffect(() => {
+    map.setView(center);
+  }, [center, map]);
+  return null;
+}
+
+/**
+ * NearbyTripsMap Component - "Trips Near Here"
+ *
+ * Finds the user's own trips and trips shared with them that pass within a
+ * radius of a point. The point is chosen by clicking the map, typing
+ * coordinates, or using the browser's current location. Results are shown on
+ * the map at their closest waypoint and listed below it.
+ *
+ * Usage:
+ * <NearbyTripsMap />
+ *
+ * @returns {React.ReactNode} The nearby search map and results
+ */
+const NearbyTripsMap = () => {
+  const navigate = useNavigate();
+  const { getTripType } = useTripTypes();
+  const [center, setCenter] = useState([31.7683, 35.2137]); // Default center
+  // Coordinates are kept as strings so the inputs can hold partial values while typing
+  const [point, setPoint] = useState({ lat: '31.7683', lng: '35.2137' });
+  const [radiusKm, setRadiusKm] = useState('10');
+  const [results, setResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState('');
+
+  // Searches for trips around the current point.
+  const handleSearch = async () => {
+    setSearching(true);
+    setError('');
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get('http://localhost:5000/api/trip/nearby', {
+        params: { lat: center[0], lng: center[1], radiusKm },
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+      if (response.data.success) {
+        setResults(response.data.trips);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to find nearby trips.');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  // Moves the search point to the browser's current location.
+  const handleUseMyLocation = () => {
+    if (!navigator.geolocation) {
+      setError('Your browser does not support location services.');
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      (position) => pickPoint([position.coords.latitude, position.coords.longitude]),
+      () => setError('Could not determine your location.')
+    );
+  };
+
+  // Moves the search point, e.g. after a click on the map.
+  const pickPoint = ([lat, lng]) => {
+    setPoint({ lat: lat.toFixed(5), lng: lng.toFixed(5) });
+    setCenter([lat, lng]);
+  };
+
+  // Updates one coordinate from its input field; the map follows once both values are valid.
+  const updateCoordinate = (field, value) => {
+    const updated = { ...point, [field]: value };
+    setPoint(updated);
+    const lat = parseFloat(updated.lat);
+    const lng = parseFloat(updated.lng);
+    if (lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180) {
+      setCenter([lat, lng]);
+    }
+  };
+
+  const radiusMeters = (parseFloat(radiusKm) || 0) * 1000;
+
+  return (
+    <div className="nearby-trips">
+      <div className="nearby-trips-controls">
+        <label>
+          <strong>Lat:</strong>{' '}
+          <input type="number" step="any" className="input" value={point.lat} onChange={(e) => updateCoordinate('lat', e.target.value)} />
+        </label>
+        <label>
+          <strong>Lng:</strong>{' '}
+          <input type="number" step="any" className="input" value={point.lng} onChange={(e) => updateCoordinate('lng', e.target.value)} />
+        </label>
+        <label>
+          <strong>Radius (km):</strong>{' '}
+          <input type="number" min="1" max="500" className="input" value={radiusKm} onChange={(e) => setRadiusKm(e.target.value)} />
+        </label>
+        <button type="button" className="secondary-button" onClick={handleUseMyLocation}>
+          Use My Location
+        </button>
+        <button type="button" className="primary-button" onClick={handleSearch} disabled={searching}>
+          {searching ? 'Searching...' : 'Find Trips'}
+        </button>
+      </div>
+      <p className="nearby-trips-hint">Click the map to choose a point.</p>
+      {error && <div className="error-message">{error}</div>}
+      <div className="nearby-trips-map">
+        <MapContainer center={center} zoom={10} style={{ height: '350px', width: '100%' }}>
+          <TileLayer
+            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+          />
+          <ChangeMapView center={center} />
+          <PickPointOnClick onPick={pickPoint} />
+          {radiusMeters > 0 && (
+            <Circle center={center} radius={radiusMeters} pathOptions={{ color: '#3498db', fillOpacity: 0.08 }} />
+          )}
+          {(results || []).filter(trip => trip.nearestWaypoint).map(trip => (
+            <Marker key={trip.tripId} position={trip.nearestWaypoint.coordinates}>
+              <Popup>
+                <div>
+                  <strong>{trip.city}, {trip.country}</strong>
+                  <br />
+                  {trip.nearestWaypoint.name} (day {trip.nearestWaypoint.day})
+                  <br />
+                  <button type="button" className="link-button" onClick={() => navigate(`/trip/${trip.tripId}`)}>
+                    View Trip
+                  </button>
+                </div>
+              </Popup>
+            </Marker>
+          ))}
+        </MapContainer>
+      </div>
+      {results && (
+        results.length > 0 ? (
+          <ul className="nearby-trips-list">
+            {results.map(trip => (
+              <li key={trip.tripId} onClick={() => navigate(`/trip/${trip.tripId}`)}>
+                <strong>{trip.city}, {trip.country}</strong>
+                <span>{getTripType(trip.tripType)?.label || trip.tripType} · {trip.tripDate}</span>
+                <span>
+                  {trip.distanceKm} km away, near {trip.nearestWaypoint ? trip.nearestWaypoint.name : 'a waypoint'}
+                </span>
+                {trip.role !== 'owner' && <span>Shared by {trip.ownerEmail}</span>}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="nearby-trips-hint">No trips pass within {radiusKm} km of this point.</p>
+        )
+      )}
+    </div>
+  );
+};
+
+export default NearbyTripsMap;
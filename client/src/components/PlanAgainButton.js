@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+
+/**
+ * PlanAgainButton Component - "Ride It Again"
+ *
+ * Lets the user copy a saved trip onto a new date. Clicking the button reveals
+ * a date picker; confirming calls the clone endpoint and navigates to the new
+ * trip, where the weather forecast is fetched for the new date.
+ *
+ * Usage:
+ * <PlanAgainButton tripId={trip.tripId} />
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.tripId - Unique identifier of the trip to copy
+ * @param {string} [props.className] - Class name applied to the trigger button
+ * @returns {React.ReactNode} The button or the inline date picker
+ */
+const PlanAgainButton = ({ tripId, className = 'button' }) => {
+  const navigate = useNavigate();
+  const [isOpen, setIsOpen] = useState(false);
+  const [newDate, setNewDate] = useState('');
+  const [cloning, setCloning] = useState(false);
+  const [error, setError] = useState('');
+
+  // Copies the trip onto the selected date and opens the new trip.
+  const handleClone = async () => {
+    if (!newDate) {
+      setError('Please choose a date for the new trip.');
+      return;
+    }
+    setCloning(true);
+    setError('');
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.post(`http://localhost:5000/api/trip/trip/${tripId}/clone`, {
+        tripDate: newDate
+      }, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+      if (response.data.success) {
+        setIsOpen(false);
+        setNewDate('');
+        navigate(`/trip/${response.data.tripId}`);
+      } else {
+        setError('Failed to copy trip.');
+      }
+    } catch (err) {
+      console.error('Error cloning trip:', err);
+      setError(err.response?.data?.message || 'Failed to copy trip. Please try again.');
+    } finally {
+      setCloning(false);
+    }
+  };
+
+  if (!isOpen) {
+    return (
+      <button className={className} onClick={() => setIsOpen(true)}>
+        Plan Again
+      </button>
+    );
+  }
+
+  return (
+    <div className="plan-again">
+      <label htmlFor={`planAgainDate-${tripId}`}>New date</label>
+      <input
+        type="date"
+        id={`planAgainDate-${tripId}`}
+        className="input"
+        value={newDate}
+        onChange={(e) => setNewDate(e.target.value)}
+      />
+      <div className="plan-again-actions">
+        <button className={className} onClick={handleClone} disabled={cloning}>
+          {cloning ? 'Copying...' : 'Create Copy'}
+        </button>
+        <button
+          className={className}
+          onClick={() => { setIsOpen(false); setError(''); }}
+          disabled={cloning}
+        >
+          Cancel
+        </button>
+      </div>
+      {error && <div className="error-message">{error}</div>}
+    </div>
+  );
+};
+
+export default PlanAgainButton;
@@ -0,0 +1,77 @@
+import React from 'react';
+import { MapContainer, TileLayer, Polyline, CircleMarker, Tooltip } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import { getDayColor } from '../utils/routeColors';
+
+// Style of segments that have not been validated yet
+const PENDING_STYLE = { color: '#888', weight: 2, dashArray: '4 6' };
+
+/**
+ * PlanProgress Component - Live Planning Progress
+ *
+ * Shown while a trip is being planned. Lists the progress reported by the
+ * server (AI attempts, validated segments, rejected plans...) and draws the
+ * plan currently being checked: its waypoints, with straight dashed lines
+ * between them that turn into solid lines in the day's color once the
+ * segment has been routed.
+ *
+ * Usage:
+ * <PlanProgress log={progressLog} candidate={candidate} validatedSegments={validatedSegments} />
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.log - Log lines: [{ id, event, text }]
+ * @param {Object|null} props.candidate - Plan being checked ({ attempt, source, days: [{ day, cities }] })
+ * @param {Array} props.validatedSegments - Routed segments of the candidate, as 'day-segment' keys (e.g. '1-2')
+ * @returns {React.ReactNode} The progress log and candidate map
+ */
+const PlanProgress = ({ log, candidate, validatedSegments }) => {
+  const points = candidate ? candidate.days.flatMap(day => day.cities.map(city => city.coordinates)) : [];
+
+  return (
+    <div className="plan-progress">
+      <h3>Planning Progress</h3>
+      {points.length > 0 && (
+        <div className="plan-progress-map">
+          {/* Remount for each candidate so the map fits its waypoints */}
+          <MapContainer
+            key={`${candidate.source}-${candidate.attempt}`}
+            bounds={points}
+            boundsOptions={{ padding: [20, 20] }}
+            style={{ height: '280px', width: '100%' }}
+          >
+            <TileLayer
+              url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+              attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+            />
+            {candidate.days.map((day, dayIndex) => day.cities.slice(1).map((city, index) => (
+              <Polyline
+                key={`${day.day}-${index}`}
+                positions={[day.cities[index].coordinates, city.coordinates]}
+                pathOptions={validatedSegments.includes(`${day.day}-${index + 1}`)
+                  ? { color: getDayColor(dayIndex), weight: 4 }
+                  : PENDING_STYLE}
+              />
+            )))}
+            {candidate.days.map((day, dayIndex) => day.cities.map((city, index) => (
+              <CircleMarker
+                key={`${day.day}-${index}`}
+                center={city.coordinates}
+                radius={5}
+                pathOptions={{ color: getDayColor(dayIndex) }}
+              >
+                <Tooltip>Day {day.day}: {city.name}</Tooltip>
+              </CircleMarker>
+            )))}
+          </MapContainer>
+        </div>
+      )}
+      <ol className="plan-progress-log">
+        {log.map(entry => (
+          <li key={entry.id} className={`plan-progress-${entry.event}`}>{entry.text}</li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default PlanProgress;
@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+/**
+ * ShareLinksPanel Component - Public Read-Only Links
+ *
+ * Lets the owner of a trip create, copy and revoke public share links.
+ * Anyone with a link can view the trip's map and itinerary at /shared/:token
+ * without logging in; revoking a link disables it immediately.
+ *
+ * Usage:
+ * <ShareLinksPanel tripId={trip.tripId} />
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.tripId - Unique identifier of the trip to share
+ * @returns {React.ReactNode} The share button or the share links panel
+ */
+const ShareLinksPanel = ({ tripId }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [shareLinks, setShareLinks] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [copiedToken, setCopiedToken] = useState(null);
+
+  const authHeaders = () => ({
+    headers: {
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+
+  // Builds the public URL for a share token.
+  const buildShareUrl = (token) => `${window.location.origin}/shared/${token}`;
+
+  // Opens the panel and loads the trip's active share links.
+  const openPanel = async () => {
+    setIsOpen(true);
+    setLoading(true);
+    setError('');
+    try {
+      const response = await axios.get(`http://localhost:5000/api/trip/trip/${tripId}/share`, authHeaders());
+      if (response.data.success) {
+        setShareLinks(response.data.shareLinks);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load share links.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Creates a new share link and adds it to the list.
+  const handleCreate = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await axios.post(`http://localhost:5000/api/trip/trip/${tripId}/share`, {}, authHeaders());
+      if (response.data.success) {
+        setShareLinks(prev => [...prev, response.data.shareLink]);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to create share link.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Revokes a share link so it can no longer be used.
+  const handleRevoke = async (token) => {
+    setError('');
+    try {
+      await axios.delete(`http://localhost:5000/api/trip/trip/${tripId}/share/${token}`, authHeaders());
+      setShareLinks(prev => prev.filter(link => link.token !== token));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to revoke share link.');
+    }
+  };
+
+  // Copies a share URL to the clipboard and briefly confirms it.
+  const handleCopy = async (token) => {
+    try {
+      await navigator.clipboard.writeText(buildShareUrl(token));
+      setCopiedToken(token);
+      setTimeout(() => setCopiedToken(null), 2000);
+    } catch (err) {
+      setError('Could not copy the link. Please copy it manually.');
+    }
+  };
+
+  if (!isOpen) {
+    return (
+      <button className="secondary-button" onClick={openPanel}>
+        Share
+      </button>
+    );
+  }
+
+  return (
+    <div className="share-links-panel">
+      <div className="share-links-header">
+        <strong>Public share links</strong>
+        <button className="secondary-button" onClick={() => setIsOpen(false)}>
+          Close
+        </button>
+      </div>
+      <p className="share-links-hint">Anyone with a link can view this trip without logging in.</p>
+      {shareLinks.length > 0 ? (
+        <ul className="share-links-list">
+          {shareLinks.map(link => (
+            <li key={link.token}>
+              <input type="text" className="input" value={buildShareUrl(link.token)} readOnly />
+              <button className="secondary-button" onClick={() => handleCopy(link.token)}>
+                {copiedToken === link.token ? 'Copied!' : 'Copy'}
+              </button>
+              <button className="secondary-button" onClick={() => handleRevoke(link.token)}>
+                Revoke
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        !loading && <p className="share-links-hint">This trip has no active share links.</p>
+      )}
+      <button className="primary-button" onClick={handleCreate} disabled={loading}>
+        {loading ? 'Working...' : 'Create Share Link'}
+      </button>
+      {error && <div className="error-message">{error}</div>}
+    </div>
+  );
+};
+
+export default ShareLinksPanel;
@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+/**
+ * TripOrganizer Component - Tags, Favorite and Folder of a Trip
+ *
+ * Shown on each trip card in the trip history. Lets the owner star the trip,
+ * add and remove tags, and move the trip into one of their folders. Every
+ * change is saved on the server right away, so the organization is the same
+ * on every device.
+ *
+ * Usage:
+ * <TripOrganizer
+ *   trip={trip}
+ *   folders={folders}
+ *   onUpdated={(tripId, changes) => ...}
+ *   onTagClick={tag => ...}
+ * />
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.trip - The trip ({ tripId, tags, favorite, folderId })
+ * @param {Array} props.folders - The user's folders ({ id, name })
+ * @param {Function} props.onUpdated - Called with the tripId and the saved { tags, favorite, folderId }
+ * @param {Function} [props.onTagClick] - Called when a tag chip is clicked (e.g. to filter by it)
+ * @returns {React.ReactNode} The organization controls
+ */
+const TripOrganizer = ({ trip, folders, onUpdated, onTagClick }) => {
+  const [newTag, setNewTag] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const tags = trip.tags || [];
+
+  // Saves the given organization changes for the trip.
+  const saveChanges = async (changes) => {
+    setSaving(true);
+    setError('');
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.patch(`http://localhost:5000/api/trip/trip/${trip.tripId}/organization`, changes, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+      if (response.data.success) {
+        const { tags: savedTags, favorite, folderId } = response.data;
+        onUpdated(trip.tripId, { tags: savedTags, favorite, folderId });
+        return true;
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update trip.');
+    } finally {
+      setSaving(false);
+    }
+    return false;
+  };
+
+  const handleAddTag = async (e) => {
+    e.preventDefault();
+    const tag = newTag.trim().toLowerCase();
+    if (!tag || tags.includes(tag)) {
+      setNewTag('');
+      return;
+    }
+    if (await saveChanges({ tags: [...tags, tag] })) {
+      setNewTag('');
+    }
+  };
+
+  return (
+    <div className="trip-organizer">
+      <div className="trip-organizer-row">
+        <button
+          type="button"
+          className={`favorite-toggle${trip.favorite ? ' active' : ''}`}
+          title={trip.favorite ? 'Remove from favorites' : 'Add to favorites'}
+          onClick={() => saveChanges({ favorite: !trip.favorite })}
+          disabled={saving}
+        >
+          {trip.favorite ? '★' : '☆'}
+        </button>
+        <select
+          className="input"
+          value={trip.folderId || ''}
+          onChange={(e) => saveChanges({ folderId: e.target.value || null })}
+          disabled={saving}
+        >
+          <option value="">No folder</option>
+          {folders.map(folder => (
+            <option key={folder.id} value={folder.id}>{folder.name}</option>
+          ))}
+        </select>
+      </div>
+      <div className="tag-chips">
+        {tags.map(tag => (
+          <span key={tag} className="tag-chip">
+            <span onClick={() => onTagClick && onTagClick(tag)}>#{tag}</span>
+            <button
+              type="button"
+              title="Remove tag"
+              onClick={() => saveChanges({ tags: tags.filter(t => t !== tag) })}
+              disabled={saving}
+            >
+              &times;
+            </button>
+          </span>
+        ))}
+        <form className="tag-add-form" onSubmit={handleAddTag}>
+          <input
+            type="text"
+            className="input"
+            placeholder="+ tag"
+            value={newTag}
+            maxLength={30}
+            onChange={(e) => setNewTag(e.target.value)}
+          />
+        </form>
+      </div>
+      {error && <div className="error-message">{error}</div>}
+    </div>
+  );
+};
+
+export default TripOrganizer;
@@ -0,0 +1,143 @@
+import React, { useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+import useTripTypes from '../hooks/useTripTypes';
+
+/**
+ * Highlighted Text
+ *
+ * Renders text with the given ranges wrapped in <mark> elements.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.text - The text to render
+ * @param {Array} props.highlights - Ranges to highlight ({ start, end }, end exclusive)
+ * @returns {React.ReactNode} The text with highlighted matches
+ */
+const HighlightedText = ({ text, highlights }) => {
+  const parts = [];
+  let position = 0;
+  highlights.forEach(({ start, end }, index) => {
+    if (start > position) {
+      parts.push(text.slice(position, start));
+    }
+    parts.push(<mark key={index}>{text.slice(start, end)}</mark>);
+    position = end;
+  });
+  if (position < text.length) {
+    parts.push(text.slice(position));
+  }
+  return <>{parts}</>;
+};
+
+/**
+ * TripSearch Component - Full-Text Trip Search
+ *
+ * A search box for the trip history that finds trips by city, country or any
+ * waypoint name ("that ride that went past Caesarea"). Results are ranked by
+ * relevance and show which city, country or waypoint matched, with the
+ * matching text highlighted.
+ *
+ * Usage:
+ * <TripSearch />
+ *
+ * @returns {React.ReactNode} The search box and its results
+ */
+const TripSearch = () => {
+  const navigate = useNavigate();
+  const { getTripType } = useTripTypes();
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState('');
+  const latestRequest = useRef(0);
+
+  /**
+   * Search Effect
+   *
+   * Runs the search shortly after the user stops typing. Responses to
+   * outdated queries are ignored.
+   */
+  useEffect(() => {
+    if (!query.trim()) {
+      setResults(null);
+      setError('');
+      return undefined;
+    }
+    const timeout = setTimeout(async () => {
+      const requestId = ++latestRequest.current;
+      setSearching(true);
+      setError('');
+      try {
+        const token = localStorage.getItem('token');
+        const response = await axios.get('http://localhost:5000/api/trip/search', {
+          params: { q: query.trim() },
+          headers: {
+            'Authorization': `Bearer ${token}`
+          }
+        });
+        if (requestId === latestRequest.current && response.data.success) {
+          setResults(response.data.results);
+        }
+      } catch (err) {
+        if (requestId === latestRequest.current) {
+          setError(err.response?.data?.message || 'Search failed. Please try again.');
+        }
+      } finally {
+        if (requestId === latestRequest.current) {
+          setSearching(false);
+        }
+      }
+    }, 350);
+    return () => clearTimeout(timeout);
+  }, [query]);
+
+  // Describes where in the trip a match was found.
+  const describeMatch = (match) => {
+    if (match.field === 'waypoint') return `Waypoint (day ${match.day}, stop ${match.position})`;
+    if (match.field === 'city') return 'City';
+    return 'Country';
+  };
+
+  return (
+    <div className="trip-search">
+      <input
+        type="search"
+        className="input"
+        placeholder="Search trips by city, country or waypoint..."
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+      />
+      {searching && <div className="trip-search-status">Searching...</div>}
+      {error && <div className="error-message">{error}</div>}
+      {results && !searching && (
+        results.length > 0 ? (
+          <ul className="trip-search-results">
+            {results.map(result => (
+              <li key={result.tripId} onClick={() => navigate(`/trip/${result.tripId}`)}>
+                <div className="trip-search-title">
+                  {result.countryFlag && (
+                    <img src={result.countryFlag} alt={`${result.country} flag`} className="trip-search-flag" />
+                  )}
+                  <strong>{result.city}, {result.country}</strong>
+                  <span className="trip-search-meta">{getTripType(result.tripType)?.label || result.tripType} · {result.tripDate}</span>
+                </div>
+                <ul className="trip-search-matches">
+                  {result.matches.map((match, index) => (
+                    <li key={index}>
+                      <span className="trip-search-field">{describeMatch(match)}:</span>{' '}
+                      <HighlightedText text={match.value} highlights={match.highlights} />
+                    </li>
+                  ))}
+                </ul>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <div className="trip-search-status">No trips match "{query.trim()}".</div>
+        )
+      )}
+    </div>
+  );
+};
+
+export default TripSearch;
@@ -0,0 +1,180 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+/**
+ * WaypointComments Component - Waypoint Discussion Threads
+ *
+ * Shows the comment threads on a single waypoint of a trip and lets the owner
+ * and collaborators start new threads, reply to existing ones and delete
+ * comments they are allowed to delete. The comments themselves are loaded once
+ * by the parent page and passed in, so the thread counts of every waypoint are
+ * known without a request per waypoint.
+ *
+ * Usage:
+ * <WaypointComments
+ *   tripId={trip.tripId}
+ *   waypointId={city.waypointId}
+ *   comments={commentsForWaypoint}
+ *   onCommentAdded={comment => ...}
+ *   onCommentsDeleted={ids => ...}
+ * />
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.tripId - Unique identifier of the trip
+ * @param {string} props.waypointId - Identifier of the waypoint being discussed
+ * @param {Array} props.comments - Comments on this waypoint, oldest first
+ * @param {Function} props.onCommentAdded - Called with the new comment after it is saved
+ * @param {Function} props.onCommentsDeleted - Called with the ids of deleted comments
+ * @returns {React.ReactNode} The comments toggle or the open threads
+ */
+const WaypointComments = ({ tripId, waypointId, comments, onCommentAdded, onCommentsDeleted }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [newComment, setNewComment] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
+  const [replyText, setReplyText] = useState('');
+  const [posting, setPosting] = useState(false);
+  const [error, setError] = useState('');
+
+  const threads = comments.filter(comment => !comment.parentId);
+  const repliesOf = (commentId) => comments.filter(comment => comment.parentId === commentId);
+
+  const authHeaders = () => ({
+    headers: {
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    }
+  });
+
+  // Posts a new thread, or a reply when parentId is given.
+  const postComment = async (body, parentId = null) => {
+    if (!body.trim()) {
+      return false;
+    }
+    setPosting(true);
+    setError('');
+    try {
+      const response = await axios.post(`http://localhost:5000/api/trip/trip/${tripId}/comments`, {
+        waypointId,
+        body,
+        parentId
+      }, authHeaders());
+      if (response.data.success) {
+        onCommentAdded(response.data.comment);
+        return true;
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to post comment.');
+    } finally {
+      setPosting(false);
+    }
+    return false;
+  };
+
+  const handleNewThread = async (e) => {
+    e.preventDefault();
+    if (await postComment(newComment)) {
+      setNewComment('');
+    }
+  };
+
+  const handleReply = async (e) => {
+    e.preventDefault();
+    if (await postComment(replyText, replyTo)) {
+      setReplyText('');
+      setReplyTo(null);
+    }
+  };
+
+  // Deletes a comment; deleting the first comment of a thread removes the whole thread.
+  const handleDelete = async (comment) => {
+    const prompt = comment.parentId
+      ? 'Delete this reply?'
+      : 'Delete this comment and all of its replies?';
+    if (!window.confirm(prompt)) {
+      return;
+    }
+    setError('');
+    try {
+      const response = await axios.delete(
+        `http://localhost:5000/api/trip/trip/${tripId}/comments/${comment.id}`,
+        authHeaders()
+      );
+      if (response.data.success) {
+        onCommentsDeleted(response.data.deletedIds);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete comment.');
+    }
+  };
+
+  // Renders a single comment with its author, time and delete action.
+  const renderComment = (comment) => (
+    <div className="waypoint-comment">
+      <div className="waypoint-comment-meta">
+        <strong>{comment.author.email}</strong>
+        <span>{new Date(comment.createdAt).toLocaleString()}</span>
+        {comment.canDelete && (
+          <button type="button" className="link-button" onClick={() => handleDelete(comment)}>
+            Delete
+          </button>
+        )}
+      </div>
+      <p>{comment.body}</p>
+    </div>
+  );
+
+  if (!isOpen) {
+    return (
+      <button type="button" className="link-button" onClick={() => setIsOpen(true)}>
+        {comments.length > 0 ? `Comments (${comments.length})` : 'Add comment'}
+      </button>
+    );
+  }
+
+  return (
+    <div className="waypoint-comments">
+      {threads.map(thread => (
+        <div key={thread.id} className="waypoint-thread">
+          {renderComment(thread)}
+          <div className="waypoint-replies">
+            {repliesOf(thread.id).map(reply => (
+              <React.Fragment key={reply.id}>{renderComment(reply)}</React.Fragment>
+            ))}
+            {replyTo === thread.id ? (
+              <form className="waypoint-comment-form" onSubmit={handleReply}>
+                <input
+                  type="text"
+                  className="input"
+                  placeholder="Write a reply..."
+                  value={replyText}
+                  maxLength={1000}
+                  onChange={(e) => setReplyText(e.target.value)}
+                />
+                <button type="submit" className="secondary-button" disabled={posting}>Reply</button>
+                <button type="button" className="secondary-button" onClick={() => setReplyTo(null)}>Cancel</button>
+              </form>
+            ) : (
+              <button type="button" className="link-button" onClick={() => { setReplyTo(thread.id); setReplyText(''); }}>
+                Reply
+              </button>
+            )}
+          </div>
+        </div>
+      ))}
+      <form className="waypoint-comment-form" onSubmit={handleNewThread}>
+        <input
+          type="text"
+          className="input"
+          placeholder="Start a new thread..."
+          value={newComment}
+          maxLength={1000}
+          onChange={(e) => setNewComment(e.target.value)}
+        />
+        <button type="submit" className="secondary-button" disabled={posting}>Comment</button>
+        <button type="button" className="secondary-button" onClick={() => setIsOpen(false)}>Hide</button>
+      </form>
+      {error && <div className="error-message">{error}</div>}
+    </div>
+  );
+};
+
+export default WaypointComments;
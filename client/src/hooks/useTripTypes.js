@@ -0,0 +1,61 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+
+// The registry rarely changes, so it is fetched once and shared by all components
+let tripTypesRequest = null;
+
+/**
+ * Fetches the trip type registry from the server (once per page load).
+ *
+ * @returns {Promise<Object>} { tripTypes, tripDays, avoidFeatures, difficultyGrades }
+ */
+export function fetchTripTypes() {
+  if (!tripTypesRequest) {
+    tripTypesRequest = axios.get('http://localhost:5000/api/trip/types')
+      .then(response => ({
+        tripTypes: response.data.tripTypes,
+        tripDays: response.data.tripDays,
+        avoidFeatures: response.data.avoidFeatures || [],
+        difficultyGrades: response.data.difficultyGrades || []
+      }))
+      .catch(err => {
+        // Allow a later component to try again
+        tripTypesRequest = null;
+        throw err;
+      });
+  }
+  return tripTypesRequest;
+}
+
+/**
+ * useTripTypes Hook - Trip Type Registry
+ *
+ * Provides the trip types supported by the server, each with its label,
+ * routing profile, default length, default daily distance and map colour,
+ * the route features a trip can avoid and the difficulty grades. Selects,
+ * filters and maps use it instead of hard-coding trip types.
+ *
+ * Usage:
+ * const { tripTypes, tripDays, avoidFeatures, difficultyGrades, getTripType } = useTripTypes();
+ *
+ * @returns {Object} tripTypes (array, empty until loaded), tripDays ({ min, max }),
+ *   avoidFeatures ([{ id, label }]), difficultyGrades (['easy', ...]) and
+ *   getTripType(id) which returns the registry entry or undefined
+ */
+export default function useTripTypes() {
+  const [registry, setRegistry] = useState({ tripTypes: [], tripDays: { min: 1, max: 14 }, avoidFeatures: [], difficultyGrades: [] });
+
+  useEffect(() => {
+    let active = true;
+    fetchTripTypes()
+      .then(result => {
+        if (active) setRegistry(result);
+      })
+      .catch(err => console.error('Error fetching trip types:', err));
+    return () => { active = false; };
+  }, []);
+
+  const getTripType = (id) => registry.tripTypes.find(type => type.id === id);
+
+  return { ...registry, getTripType };
+}
@@ -1,6 +1,7 @@
 import { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
+import FitnessProfilePanel from '../components/FitnessProfilePanel';
 import '../App.css';
 
 /**
@@ -13,6 +14,7 @@ import '../App.css';
  * - User profile information display
  * - Recent trip overview with quick access
  * - Action buttons for common tasks
+ * - Fitness profile editor used to size planned trips
  * - Responsive design with loading states
  * - Error handling and user feedback
  * 
@@ -63,6 +65,7 @@ export default function Dashboard() {
         headers: { Authorization: `Bearer ${token}` }
       }),
       axios.get('http://localhost:5000/api/trip/history', {
+        params: { limit: 1 }, // Only the most recent trip is shown
         headers: { Authorization: `Bearer ${token}` }
       })
     ])
@@ -229,6 +232,9 @@ export default function Dashboard() {
             </div>
           </div>
         )}
+
+        {/* Fitness Profile Section */}
+        <FitnessProfilePanel />
       </div>
     </div>
   );
@@ -1,6 +1,13 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import axios from 'axios';
 import { useNavigate } from 'react-router-dom';
+import PlanAgainButton from '../components/PlanAgainButton';
+import FolderSidebar from '../components/FolderSidebar';
+import TripOrganizer from '../components/TripOrganizer';
+import TripSearch from '../components/TripSearch';
+import NearbyTripsMap from '../components/NearbyTripsMap';
+import useTripTypes from '../hooks/useTripTypes';
+import DifficultyBadge from '../components/DifficultyBadge';
 
 /**
  * Trip History Component
@@ -9,18 +16,32 @@ import { useNavigate } from 'react-router-dom';
  * This component provides users with easy access to their trip planning history and allows
  * them to quickly find specific trips using various filter criteria.
  * 
+ * Filtering and sorting happen on the server; trips are loaded one page at a
+ * time and the next page is fetched automatically when the user scrolls to the
+ * end of the list (infinite scroll).
+ * 
  * Features:
  * - Complete trip history display with trip cards
- * - Advanced filtering by trip type, date range, and country
+ * - Advanced filtering by trip type, date range, country and city
+ * - Sorting by creation date, trip date or distance
  * - Real-time search functionality
+ * - Infinite scroll with cursor-based pagination
  * - Responsive grid layout
  * - Loading states and error handling
  * - Empty state management for new users
+ * - Trash bin with restore and permanent delete for removed trips
+ * - Tags, favorites and folders for organizing trips, stored server-side
+ * - Full-text search across cities, countries and waypoint names
+ * - Map search for trips that pass near a chosen point
  * 
  * Filtering System:
- * - Trip Type: Filter by 'bike', 'trek', or show all trips
+ * - Trip Type: Filter by any trip type from the registry, or show all trips
+ * - Difficulty: Filter by difficulty grade (easy, moderate, hard, expert)
  * - Date Range: Filter by past trips, future trips, or show all
- * - Country Search: Case-insensitive search by country name
+ * - Country / City Search: Case-insensitive search by country or city name
+ * - Folder: Show all trips, unfiled trips, or the trips of one folder
+ * - Tags: Show trips carrying all of the selected tags
+ * - Favorites: Show only starred trips
  * - Combined filtering: Multiple filters can be applied simultaneously
  */
 function TripHistory() {
@@ -31,6 +52,17 @@ function TripHistory() {
    * Manages the list of trips and their display
    */
   const [trips, setTrips] = useState([]);
+  const [sharedTrips, setSharedTrips] = useState([]);
+
+  /**
+   * Pagination State
+   * Cursor of the next page of trips and whether more pages exist
+   */
+  const [nextCursor, setNextCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const latestRequest = useRef(0);
+  const loadMoreRef = useRef(null);
   
   /**
    * UI State
@@ -44,8 +76,32 @@ function TripHistory() {
    * Manages the current filter settings for trip display
    */
   const [tripTypeFilter, setTripTypeFilter] = useState('all');
+  const [difficultyFilter, setDifficultyFilter] = useState('all');
+  const { tripTypes, difficultyGrades, getTripType } = useTripTypes();
   const [dateFilter, setDateFilter] = useState('all');
   const [countrySearch, setCountrySearch] = useState('');
+  const [citySearch, setCitySearch] = useState('');
+  const [sortOption, setSortOption] = useState('created-desc');
+  const [selectedFolder, setSelectedFolder] = useState('all');
+  const [selectedTags, setSelectedTags] = useState([]);
+  const [favoritesOnly, setFavoritesOnly] = useState(false);
+
+  /**
+   * Organization State
+   * The user's folders and the tags used on their trips
+   */
+  const [folders, setFolders] = useState([]);
+  const [allTags, setAllTags] = useState([]);
+
+  /**
+   * Trash State
+   * Manages the trash view listing soft-deleted trips and trip actions feedback
+   */
+  const [showNearby, setShowNearby] = useState(false);
+  const [showTrash, setShowTrash] = useState(false);
+  const [trashTrips, setTrashTrips] = useState([]);
+  const [trashLoading, setTrashLoading] = useState(false);
+  const [actionError, setActionError] = useState('');
   
   // Navigation hook for programmatic routing
   const navigate = useNavigate();
@@ -55,51 +111,374 @@ function TripHistory() {
   /**
    * Data Fetching Effect
    * 
-   * Loads the complete trip history when the component mounts.
-   * Handles authentication errors and provides user feedback.
+   * Loads the user's folders, tags and the trips shared with them when the
+   * component mounts.
    */
   useEffect(() => {
-    fetchTripHistory();
+    fetchSharedTrips();
+    fetchFolders();
+    fetchTags();
   }, []);
 
+  /**
+   * Filter Effect
+   * 
+   * Reloads the first page of trips whenever a filter or the sort order changes.
+   * Typing in the search fields is debounced so that not every keystroke
+   * triggers a request.
+   */
+  useEffect(() => {
+    const timeout = setTimeout(() => fetchTripHistory(), 300);
+    return () => clearTimeout(timeout);
+    // eslint-disable-next-line
+  }, [tripTypeFilter, difficultyFilter, dateFilter, countrySearch, citySearch, sortOption, selectedFolder, selectedTags, favoritesOnly]);
+
+  /**
+   * Infinite Scroll Effect
+   * 
+   * Watches the marker at the end of the trip grid and loads the next page
+   * as soon as it scrolls into view.
+   */
+  useEffect(() => {
+    const marker = loadMoreRef.current;
+    if (!marker || !hasMore || loadingMore) {
+      return undefined;
+    }
+    const observer = new IntersectionObserver(entries => {
+      if (entries[0].isIntersecting) {
+        fetchTripHistory(nextCursor);
+      }
+    }, { rootMargin: '200px' });
+    observer.observe(marker);
+    return () => observer.disconnect();
+    // eslint-disable-next-line
+  }, [hasMore, loadingMore, nextCursor]);
+
   // --- Data Fetching Functions ---
 
+  /**
+   * Build History Query
+   * 
+   * Translates the current filters and sort order into the query parameters
+   * of the trip history endpoint.
+   * 
+   * @param {string|null} cursor - Cursor of the page to load, or null for the first page
+   * @returns {Object} Query parameters
+   */
+  const buildHistoryParams = (cursor) => {
+    const [sort, order] = sortOption.split('-');
+    const params = { sort, order };
+    if (cursor) params.cursor = cursor;
+    if (tripTypeFilter !== 'all') params.tripType = tripTypeFilter;
+    if (difficultyFilter !== 'all') params.difficulty = difficultyFilter;
+
+    // Trip dates are compared as YYYY-MM-DD strings in the user's local time zone
+    const toDateString = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    const now = new Date();
+    if (dateFilter === 'future') {
+      params.dateFrom = toDateString(now);
+    } else if (dateFilter === 'past') {
+      params.dateTo = toDateString(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1));
+    }
+
+    if (countrySearch.trim()) params.country = countrySearch.trim();
+    if (citySearch.trim()) params.city = citySearch.trim();
+    if (selectedFolder !== 'all') params.folder = selectedFolder;
+    if (selectedTags.length > 0) params.tags = selectedTags.join(',');
+    if (favoritesOnly) params.favorite = 'true';
+    return params;
+  };
+
   /**
    * Fetch Trip History
    * 
-   * Retrieves the complete trip history for the authenticated user.
-   * Handles authentication validation and error responses.
+   * Retrieves one page of the authenticated user's trips matching the current
+   * filters. Without a cursor the list is replaced by the first page; with a
+   * cursor the page is appended. Responses to outdated requests (for filters
+   * that have since changed) are ignored.
+   * 
+   * @param {string|null} [cursor] - Cursor of the page to load
    */
-  const fetchTripHistory = async () => {
-    try {
-      const token = localStorage.getItem('token');
-      if (!token) {
-        setError('You must be logged in to view trip history.');
-        setLoading(false);
-        return;
-      }
+  const fetchTripHistory = async (cursor = null) => {
+    const token = localStorage.getItem('token');
+    if (!token) {
+      setError('You must be logged in to view trip history.');
+      setLoading(false);
+      return;
+    }
 
+    const requestId = ++latestRequest.current;
+    if (cursor) {
+      setLoadingMore(true);
+    }
+    try {
       const response = await axios.get('http://localhost:5000/api/trip/history', {
+        params: buildHistoryParams(cursor),
         headers: {
           'Authorization': `Bearer ${token}`
         }
       });
+      if (requestId !== latestRequest.current) {
+        return;
+      }
 
       if (response.data.success) {
-        setTrips(response.data.trips);
+        setTrips(prev => (cursor ? [...prev, ...response.data.trips] : response.data.trips));
+        setNextCursor(response.data.nextCursor);
+        setHasMore(response.data.hasMore);
       } else {
         setError('Failed to fetch trip history.');
       }
     } catch (error) {
+      if (requestId !== latestRequest.current) {
+        return;
+      }
       console.error('Error fetching trip history:', error);
-      if (error.response?.data?.error) {
-        setError(error.response.data.error);
+      setActionError(error.response?.data?.message || 'Failed to fetch trip history. Please try again.');
+    } finally {
+      if (requestId === latestRequest.current) {
+        setLoading(false);
+        setLoadingMore(false);
+      }
+    }
+  };
+
+  /**
+   * Fetch Shared Trips
+   * 
+   * Retrieves the trips other users have shared with the user as a collaborator.
+   */
+  const fetchSharedTrips = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get('http://localhost:5000/api/trip/shared-with-me', {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+      if (response.data.success) {
+        setSharedTrips(response.data.trips);
+      }
+    } catch (error) {
+      console.error('Error fetching shared trips:', error);
+    }
+  };
+
+  /**
+   * Fetch Folders
+   * 
+   * Retrieves the user's folders along with the number of trips in each.
+   */
+  const fetchFolders = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get('http://localhost:5000/api/trip/folders', {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+      if (response.data.success) {
+        setFolders(response.data.folders);
+      }
+    } catch (error) {
+      console.error('Error fetching folders:', error);
+    }
+  };
+
+  /**
+   * Fetch Tags
+   * 
+   * Retrieves every tag used on the user's trips, for the tag filter chips.
+   */
+  const fetchTags = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get('http://localhost:5000/api/trip/tags', {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+      if (response.data.success) {
+        setAllTags(response.data.tags);
+      }
+    } catch (error) {
+      console.error('Error fetching tags:', error);
+    }
+  };
+
+  /**
+   * Fetch Trash
+   * 
+   * Retrieves the trips the user has moved to the trash, including
+   * the date on which each one will be permanently purged.
+   */
+  const fetchTrash = async () => {
+    setTrashLoading(true);
+    setActionError('');
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get('http://localhost:5000/api/trip/trash', {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (response.data.success) {
+        setTrashTrips(response.data.trips);
       } else {
-        setError('Failed to fetch trip history. Please try again.');
+        setActionError('Failed to fetch deleted trips.');
       }
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+      setActionError(error.response?.data?.message || 'Failed to fetch deleted trips. Please try again.');
     } finally {
-      setLoading(false);
+      setTrashLoading(false);
+    }
+  };
+
+  // --- Trip Actions ---
+
+  /**
+   * Toggle Trash View
+   * 
+   * Switches between the active trip list and the trash, loading the
+   * trashed trips whenever the trash is opened.
+   */
+  const toggleTrash = () => {
+    const opening = !showTrash;
+    setShowTrash(opening);
+    setActionError('');
+    if (opening) {
+      fetchTrash();
+    }
+  };
+
+  /**
+   * Delete Trip (Soft Delete)
+   * 
+   * Moves a trip to the trash and removes it from the active list.
+   * 
+   * @param {Object} trip - The trip to delete
+   */
+  const handleDeleteTrip = async (trip) => {
+    if (!window.confirm(`Move the trip to ${trip.city}, ${trip.country} to the trash?`)) {
+      return;
     }
+    setActionError('');
+    try {
+      const token = localStorage.getItem('token');
+      await axios.delete(`http://localhost:5000/api/trip/trip/${trip.tripId}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+      setTrips(prev => prev.filter(t => t.tripId !== trip.tripId));
+    } catch (error) {
+      console.error('Error deleting trip:', error);
+      setActionError(error.response?.data?.message || 'Failed to delete trip. Please try again.');
+    }
+  };
+
+  /**
+   * Restore Trip
+   * 
+   * Restores a trashed trip and reloads the active trip list so it
+   * reappears in its original position.
+   * 
+   * @param {Object} trip - The trashed trip to restore
+   */
+  const handleRestoreTrip = async (trip) => {
+    setActionError('');
+    try {
+      const token = localStorage.getItem('token');
+      await axios.post(`http://localhost:5000/api/trip/trip/${trip.tripId}/restore`, {}, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+      setTrashTrips(prev => prev.filter(t => t.tripId !== trip.tripId));
+      fetchTripHistory();
+    } catch (error) {
+      console.error('Error restoring trip:', error);
+      setActionError(error.response?.data?.message || 'Failed to restore trip. Please try again.');
+    }
+  };
+
+  /**
+   * Permanently Delete Trip
+   * 
+   * Removes a trashed trip for good. This action cannot be undone.
+   * 
+   * @param {Object} trip - The trashed trip to delete permanently
+   */
+  const handlePermanentDelete = async (trip) => {
+    if (!window.confirm(`Permanently delete the trip to ${trip.city}, ${trip.country}? This cannot be undone.`)) {
+      return;
+    }
+    setActionError('');
+    try {
+      const token = localStorage.getItem('token');
+      await axios.delete(`http://localhost:5000/api/trip/trash/${trip.tripId}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+      setTrashTrips(prev => prev.filter(t => t.tripId !== trip.tripId));
+    } catch (error) {
+      console.error('Error permanently deleting trip:', error);
+      setActionError(error.response?.data?.message || 'Failed to delete trip. Please try again.');
+    }
+  };
+
+  // --- Organization Handlers ---
+
+  /**
+   * Trip Organized Handler
+   * 
+   * Applies saved tag, favorite and folder changes to a trip in the list and
+   * refreshes the tag chips and folder counts.
+   * 
+   * @param {string} tripId - The trip that was updated
+   * @param {Object} changes - The saved { tags, favorite, folderId }
+   */
+  const handleTripOrganized = (tripId, changes) => {
+    setTrips(prev => prev.map(t => (t.tripId === tripId ? { ...t, ...changes } : t)));
+    fetchTags();
+    fetchFolders();
+  };
+
+  /**
+   * Folder Deleted Handler
+   * 
+   * Marks the trips of a deleted folder as unfiled.
+   * 
+   * @param {string} folderId - The deleted folder
+   */
+  const handleFolderDeleted = (folderId) => {
+    setTrips(prev => prev.map(t => (t.folderId === folderId ? { ...t, folderId: null } : t)));
+  };
+
+  /**
+   * Toggle Tag Filter
+   * 
+   * Adds a tag to the tag filter, or removes it if it is already selected.
+   * 
+   * @param {string} tag - The tag to toggle
+   */
+  const toggleTagFilter = (tag) => {
+    setSelectedTags(prev => (prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]));
+  };
+
+  // Resets every filter to show all trips.
+  const clearFilters = () => {
+    setTripTypeFilter('all');
+    setDifficultyFilter('all');
+    setDateFilter('all');
+    setCountrySearch('');
+    setCitySearch('');
+    setSelectedFolder('all');
+    setSelectedTags([]);
+    setFavoritesOnly(false);
   };
 
   // --- Utility Functions ---
@@ -126,15 +505,20 @@ function TripHistory() {
   /**
    * Filtered Trips Computation
    * 
-   * Applies all active filters to the trip list and returns the filtered results.
-   * This is computed dynamically based on the current filter state.
+   * The user's own trips are already filtered by the server. Trips shared with
+   * the user are not paginated, so the same filters are applied to them here.
    */
   const today = new Date();
-  const filteredTrips = trips.filter(trip => {
+  const matchesFilters = (trip) => {
     // Filter by trip type
     if (tripTypeFilter !== 'all' && trip.tripType.toLowerCase() !== tripTypeFilter) {
       return false;
     }
+
+    // Filter by difficulty grade
+    if (difficultyFilter !== 'all' && trip.difficulty !== difficultyFilter) {
+      return false;
+    }
     
     // Filter by date range (past or future)
     if (dateFilter !== 'all') {
@@ -144,12 +528,31 @@ function TripHistory() {
     }
     
     // Filter by country search (case-insensitive)
-    if (countrySearch.trim() !== '' && !trip.country.toLowerCase().includes(countrySearch.toLowerCase())) {
+    if (countrySearch.trim() !== '' && !trip.country.toLowerCase().includes(countrySearch.trim().toLowerCase())) {
+      return false;
+    }
+
+    // Filter by city search (case-insensitive)
+    if (citySearch.trim() !== '' && !trip.city.toLowerCase().includes(citySearch.trim().toLowerCase())) {
       return false;
     }
     
     return true;
-  });
+  };
+  // Folders, tags and favorites only apply to the user's own trips. They are
+  // checked here as well so that a trip disappears as soon as it is re-organized
+  // out of the current view, without reloading the list.
+  const matchesOrganization = (trip) => {
+    if (selectedFolder === 'unfiled' && trip.folderId) return false;
+    if (selectedFolder !== 'all' && selectedFolder !== 'unfiled' && trip.folderId !== selectedFolder) return false;
+    if (favoritesOnly && !trip.favorite) return false;
+    if (selectedTags.some(tag => !(trip.tags || []).includes(tag))) return false;
+    return true;
+  };
+  const filteredTrips = trips.filter(matchesOrganization);
+  const hasActiveFilters = tripTypeFilter !== 'all' || difficultyFilter !== 'all' || dateFilter !== 'all' || countrySearch.trim() !== '' ||
+    citySearch.trim() !== '' || selectedFolder !== 'all' || selectedTags.length > 0 || favoritesOnly;
+  const filteredSharedTrips = sharedTrips.filter(matchesFilters);
 
   // --- Loading and Error States ---
 
@@ -168,10 +571,79 @@ function TripHistory() {
     );
   }
 
+  // --- Trash View Rendering ---
+  if (showTrash) {
+    return (
+      <div className="trip-history-page">
+        <h2>Trash</h2>
+        <div className="trip-history-toolbar">
+          <button className="secondary-button" onClick={toggleTrash}>
+            &larr; Back to Trips
+          </button>
+        </div>
+        {actionError && <div className="error-message">{actionError}</div>}
+
+        {trashLoading ? (
+          <div className="loading">Loading deleted trips...</div>
+        ) : (
+          <>
+            <div className="trip-history-grid">
+              {trashTrips.map(trip => (
+                <div key={trip.tripId} className="trip-card trip-card-trashed">
+                  <div className="flag-title-group" style={{ flexDirection: 'column', alignItems: 'center', justifyContent: 'center', display: 'flex', marginBottom: '0.7rem', minHeight: 0, gap: '0.5rem' }}>
+                    {trip.countryFlag && (
+                      <img
+                        src={trip.countryFlag}
+                        alt={`${trip.country} flag`}
+                        className="country-flag-small"
+                        style={{ marginBottom: '0.3rem' }}
+                      />
+                    )}
+                    <h3 style={{ textAlign: 'center', margin: 0 }}>{trip.city}{trip.destinationCity ? ` → ${trip.destinationCity}` : ''}, {trip.country}</h3>
+                  </div>
+                  <div className="trip-details">
+                    <p><strong>Type:</strong> {getTripType(trip.tripType)?.label || trip.tripType} <DifficultyBadge grade={trip.difficulty} /></p>
+                    <p><strong>Date:</strong> {trip.tripDate}</p>
+                    <p><strong>Deleted:</strong> {formatDate(trip.deletedAt)}</p>
+                    <p><strong>Purged on:</strong> {formatDate(trip.purgeAt)}</p>
+                  </div>
+                  <button className="button" onClick={() => handleRestoreTrip(trip)}>
+                    Restore
+                  </button>
+                  <button className="button danger-button" onClick={() => handlePermanentDelete(trip)}>
+                    Delete Forever
+                  </button>
+                </div>
+              ))}
+            </div>
+            {trashTrips.length === 0 && (
+              <div className="no-trips">
+                <p>The trash is empty.</p>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    );
+  }
+
   // --- JSX Rendering ---
   return (
     <div className="trip-history-page">
       <h2>Trip History</h2>
+      <div className="trip-history-toolbar">
+        <button className="secondary-button" onClick={() => setShowNearby(!showNearby)}>
+          {showNearby ? 'Hide Map Search' : 'Trips Near a Place'}
+        </button>
+        <button className="secondary-button" onClick={toggleTrash}>
+          View Trash
+        </button>
+      </div>
+      {actionError && <div className="error-message">{actionError}</div>}
+      {showNearby && <NearbyTripsMap />}
+
+      {/* Full-Text Search */}
+      <TripSearch />
       
       {/* Filter Controls */}
       <div className="trip-history-filters" style={{ display: 'flex', gap: '1rem', marginBottom: '1rem', flexWrap: 'wrap' }}>
@@ -184,11 +656,27 @@ function TripHistory() {
             onChange={e => setTripTypeFilter(e.target.value)}
           >
             <option value="all">All</option>
-            <option value="bike">Bike</option>
-            <option value="trek">Trek</option>
+            {tripTypes.map(type => (
+              <option key={type.id} value={type.id}>{type.label}</option>
+            ))}
           </select>
         </div>
         
+        {/* Difficulty Filter */}
+        <div>
+          <label htmlFor="difficultyFilter"><strong>Difficulty:</strong> </label>
+          <select 
+            id="difficultyFilter" 
+            value={difficultyFilter} 
+            onChange={e => setDifficultyFilter(e.target.value)}
+          >
+            <option value="all">All</option>
+            {difficultyGrades.map(grade => (
+              <option key={grade} value={grade}>{grade.charAt(0).toUpperCase() + grade.slice(1)}</option>
+            ))}
+          </select>
+        </div>
+
         {/* Date Range Filter */}
         <div>
           <label htmlFor="dateFilter"><strong>Date:</strong> </label>
@@ -215,68 +703,198 @@ function TripHistory() {
             style={{ minWidth: 180 }}
           />
         </div>
+
+        {/* City Search Filter */}
+        <div>
+          <label htmlFor="citySearch"><strong>City:</strong> </label>
+          <input
+            id="citySearch"
+            type="text"
+            placeholder="Search by city..."
+            value={citySearch}
+            onChange={e => setCitySearch(e.target.value)}
+            style={{ minWidth: 180 }}
+          />
+        </div>
+
+        {/* Sort Order */}
+        <div>
+          <label htmlFor="sortOption"><strong>Sort:</strong> </label>
+          <select 
+            id="sortOption" 
+            value={sortOption} 
+            onChange={e => setSortOption(e.target.value)}
+          >
+            <option value="created-desc">Newest first</option>
+            <option value="created-asc">Oldest first</option>
+            <option value="date-desc">Trip date (latest)</option>
+            <option value="date-asc">Trip date (earliest)</option>
+            <option value="distance-desc">Longest distance</option>
+            <option value="distance-asc">Shortest distance</option>
+          </select>
+        </div>
+
+        {/* Favorites Filter */}
+        <div>
+          <label htmlFor="favoritesOnly">
+            <input
+              id="favoritesOnly"
+              type="checkbox"
+              checked={favoritesOnly}
+              onChange={e => setFavoritesOnly(e.target.checked)}
+            />
+            <strong> ★ Favorites only</strong>
+          </label>
+        </div>
       </div>
+
+      {/* Tag Filter Chips */}
+      {allTags.length > 0 && (
+        <div className="tag-chips tag-filter">
+          {allTags.map(tag => (
+            <button
+              key={tag.name}
+              type="button"
+              className={`tag-chip${selectedTags.includes(tag.name) ? ' active' : ''}`}
+              onClick={() => toggleTagFilter(tag.name)}
+            >
+              #{tag.name} <span className="tag-count">{tag.count}</span>
+            </button>
+          ))}
+        </div>
+      )}
       
-      {/* Trip Grid */}
-      <div className="trip-history-grid">
-        {filteredTrips.map(trip => (
-          <div key={trip.tripId} className="trip-card">
-            {/* Trip Header with Flag and Title */}
-            <div className="flag-title-group" style={{ flexDirection: 'column', alignItems: 'center', justifyContent: 'center', display: 'flex', marginBottom: '0.7rem', minHeight: 0, gap: '0.5rem' }}>
-              {trip.countryFlag && (
-                <img
-                  src={trip.countryFlag}
-                  alt={`${trip.country} flag`}
-                  className="country-flag-small"
-                  style={{ marginBottom: '0.3rem' }}
+      <div className="trip-history-layout">
+        {/* Folder Sidebar */}
+        <FolderSidebar
+          folders={folders}
+          selectedFolder={selectedFolder}
+          onSelect={setSelectedFolder}
+          onFoldersChanged={fetchFolders}
+          onFolderDeleted={handleFolderDeleted}
+        />
+
+        <div className="trip-history-main">
+          {/* Trip Grid */}
+          <div className="trip-history-grid">
+            {filteredTrips.map(trip => (
+              <div key={trip.tripId} className="trip-card">
+                {/* Trip Header with Flag and Title */}
+                <div className="flag-title-group" style={{ flexDirection: 'column', alignItems: 'center', justifyContent: 'center', display: 'flex', marginBottom: '0.7rem', minHeight: 0, gap: '0.5rem' }}>
+                  {trip.countryFlag && (
+                    <img
+                      src={trip.countryFlag}
+                      alt={`${trip.country} flag`}
+                      className="country-flag-small"
+                      style={{ marginBottom: '0.3rem' }}
+                    />
+                  )}
+                  <h3 style={{ textAlign: 'center', margin: 0 }}>{trip.city}{trip.destinationCity ? ` → ${trip.destinationCity}` : ''}, {trip.country}</h3>
+                </div>
+                
+                {/* Trip Details */}
+                <div className="trip-details">
+                  <p><strong>Type:</strong> {getTripType(trip.tripType)?.label || trip.tripType} <DifficultyBadge grade={trip.difficulty} /></p>
+                  <p><strong>Date:</strong> {trip.tripDate}</p>
+                  <p><strong>Created:</strong> {formatDate(trip.createdAt)}</p>
+                  {trip.totalDistanceKm > 0 && (
+                    <p><strong>Distance:</strong> {trip.totalDistanceKm} km</p>
+                  )}
+                </div>
+
+                {/* Tags, Favorite and Folder */}
+                <TripOrganizer
+                  trip={trip}
+                  folders={folders}
+                  onUpdated={handleTripOrganized}
+                  onTagClick={toggleTagFilter}
                 />
-              )}
-              <h3 style={{ textAlign: 'center', margin: 0 }}>{trip.city}, {trip.country}</h3>
+                
+                {/* Trip Actions */}
+                <button 
+                  className="button" 
+                  onClick={() => navigate(`/trip/${trip.tripId}`)}
+                >
+                  View Trip
+                </button>
+                <PlanAgainButton tripId={trip.tripId} />
+                <button 
+                  className="button danger-button" 
+                  onClick={() => handleDeleteTrip(trip)}
+                >
+                  Delete
+                </button>
+              </div>
+            ))}
+          </div>
+          
+          {/* Infinite Scroll Marker - loads the next page when it becomes visible */}
+          {hasMore && (
+            <div ref={loadMoreRef} className="load-more-marker">
+              {loadingMore ? 'Loading more trips...' : ''}
             </div>
-            
-            {/* Trip Details */}
-            <div className="trip-details">
-              <p><strong>Type:</strong> {trip.tripType}</p>
-              <p><strong>Date:</strong> {trip.tripDate}</p>
-              <p><strong>Created:</strong> {formatDate(trip.createdAt)}</p>
+          )}
+          
+          {/* Empty State Management */}
+          {filteredTrips.length === 0 && !hasMore && (
+            <div className="no-trips">
+              <p>
+                {!hasActiveFilters 
+                  ? 'No trips found in history.' 
+                  : 'No trips match your current filters.'
+                }
+              </p>
+              {!hasActiveFilters ? (
+                // New user - encourage first trip creation
+                <button className="button" onClick={() => navigate('/trip-plan')}>
+                  Create your first trip
+                </button>
+              ) : (
+                // Filtered out all trips - provide clear filters option
+                <button className="button" onClick={clearFilters}>
+                  Clear Filters
+                </button>
+              )}
             </div>
-            
-            {/* Trip Actions */}
-            <button 
-              className="button" 
-              onClick={() => navigate(`/trip/${trip.tripId}`)}
-            >
-              View Trip
-            </button>
-          </div>
-        ))}
-      </div>
-      
-      {/* Empty State Management */}
-      {filteredTrips.length === 0 && (
-        <div className="no-trips">
-          <p>
-            {trips.length === 0 
-              ? 'No trips found in history.' 
-              : 'No trips match your current filters.'
-            }
-          </p>
-          {trips.length === 0 ? (
-            // New user - encourage first trip creation
-            <button className="button" onClick={() => navigate('/trip-plan')}>
-              Create your first trip
-            </button>
-          ) : (
-            // Filtered out all trips - provide clear filters option
-            <button className="button" onClick={() => {
-              setTripTypeFilter('all');
-              setDateFilter('all');
-              setCountrySearch('');
-            }}>
-              Clear Filters
-            </button>
           )}
         </div>
+      </div>
+
+      {/* Trips other users have shared with this user as a collaborator */}
+      {filteredSharedTrips.length > 0 && (
+        <div className="shared-trips-section">
+          <h2>Shared with me</h2>
+          <div className="trip-history-grid">
+            {filteredSharedTrips.map(trip => (
+              <div key={trip.tripId} className="trip-card">
+                <div className="flag-title-group" style={{ flexDirection: 'column', alignItems: 'center', justifyContent: 'center', display: 'flex', marginBottom: '0.7rem', minHeight: 0, gap: '0.5rem' }}>
+                  {trip.countryFlag && (
+                    <img
+                      src={trip.countryFlag}
+                      alt={`${trip.country} flag`}
+                      className="country-flag-small"
+                      style={{ marginBottom: '0.3rem' }}
+                    />
+                  )}
+                  <h3 style={{ textAlign: 'center', margin: 0 }}>{trip.city}{trip.destinationCity ? ` → ${trip.destinationCity}` : ''}, {trip.country}</h3>
+                </div>
+                <div className="trip-details">
+                  <p><strong>Type:</strong> {getTripType(trip.tripType)?.label || trip.tripType} <DifficultyBadge grade={trip.difficulty} /></p>
+                  <p><strong>Date:</strong> {trip.tripDate}</p>
+                  <p><strong>Shared by:</strong> {trip.ownerEmail}</p>
+                  <p><strong>Role:</strong> {trip.role}</p>
+                </div>
+                <button 
+                  className="button" 
+                  onClick={() => navigate(`/trip/${trip.tripId}`)}
+                >
+                  View Trip
+                </button>
+                <PlanAgainButton tripId={trip.tripId} />
+              </div>
+            ))}
+          </div>
+        </div>
       )}
     </div>
   );
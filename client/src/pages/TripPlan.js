@@ -1,9 +1,26 @@
-import { useState, useEffect } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, useMap, Polyline } from 'react-leaflet';
+import { useState, useEffect, useRef } from 'react';
+import { MapContainer, TileLayer, Marker, Popup, useMap, Polyline, Polygon } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
 import L from 'leaflet';
 import axios from 'axios';
 import polyline from 'polyline';
+import { getRouteColor } from '../utils/routeColors';
+import { FITNESS_FIELDS, getDefaultFitnessValue, toFitnessLimits } from '../utils/fitnessFields';
+import useTripTypes from '../hooks/useTripTypes';
+import { getMarkerIcon } from '../utils/mapIcons';
+import AvoidAreasMap from '../components/AvoidAreasMap';
+import DifficultyBadge from '../components/DifficultyBadge';
+import PlanProgress from '../components/PlanProgress';
+import { AVOID_AREA_STYLE, describeAvoidances } from '../utils/routeOptions';
+import {
+  createPlanJob,
+  cancelPlanJob,
+  waitForPlanJob,
+  rememberPlanJob,
+  getRememberedPlanJob,
+  forgetPlanJob,
+  describePlanProgress
+} from '../utils/planJobs';
 
 /**
  * Trip Planning Component
@@ -12,8 +29,12 @@ import polyline from 'polyline';
  * with interactive map visualization and weather forecasting.
  * 
  * Features:
- * - Interactive form for trip preferences
- * - AI-powered route generation using LLM services
+ * - Interactive form for trip preferences, including a trip length of 1-14 days
+ * - Round trips or point-to-point trips to an optional destination city
+ * - Must-visit places the generated route is required to pass through
+ * - Avoided route features and avoid areas drawn on a map
+ * - Daily limits from the user's fitness profile, with a per-trip override
+ * - AI-powered route generation using LLM services, with live planning progress
  * - Real-time map visualization with Leaflet
  * - Route validation using OpenRouteService
  * - Weather forecasting integration
@@ -42,6 +63,9 @@ L.Icon.Default.mergeOptions({
   shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
 });
 
+// Most must-visit places a single plan request may require (matches the server)
+const MAX_MUST_VISIT_PLACES = 5;
+
 /**
  * Map View Controller Component
  * 
@@ -77,9 +101,30 @@ function TripPlan() {
    */
   const [country, setCountry] = useState('');
   const [city, setCity] = useState('');
+  const [destinationCity, setDestinationCity] = useState(''); // Optional; empty for round trips
+  const [mustVisit, setMustVisit] = useState([]); // Names of places the route must pass through
+  const [avoidedFeatures, setAvoidedFeatures] = useState([]); // Ids of route features to avoid
+  const [avoidPolygons, setAvoidPolygons] = useState([]); // Areas to avoid, each a list of [lat, lng] corners
+  const [showAvoidAreas, setShowAvoidAreas] = useState(false);
   const [tripType, setTripType] = useState('');
+  const { tripTypes, tripDays: tripDayRange, avoidFeatures, getTripType } = useTripTypes();
+  const [tripDays, setTripDays] = useState('');
   const [tripDate, setTripDate] = useState('');
 
+  /**
+   * Fitness Limits State
+   * The saved fitness profile (used as placeholders) and the optional
+   * override for this plan only
+   */
+  const [fitnessProfile, setFitnessProfile] = useState({});
+  const [showFitnessOverride, setShowFitnessOverride] = useState(false);
+  const [fitnessOverride, setFitnessOverride] = useState({});
+  const [appliedFitnessLimits, setAppliedFitnessLimits] = useState(null);
+  const [mustVisitCoverage, setMustVisitCoverage] = useState([]); // Where the route passes each must-visit place
+  const [plannedRouteOptions, setPlannedRouteOptions] = useState(null); // Avoidances the shown plan was made with
+  const [tripDifficulty, setTripDifficulty] = useState(null); // Grade of the shown plan
+  const [planner, setPlanner] = useState(null); // Planner of the shown plan: { source ('llm' or 'fallback'), provider, model }
+
   /**
    * Map Visualization State
    * Controls map display, markers, and route polylines
@@ -95,6 +140,10 @@ function TripPlan() {
   const [tripData, setTripData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [progressLog, setProgressLog] = useState([]); // Live planning progress: [{ id, event, text }]
+  const [planCandidate, setPlanCandidate] = useState(null); // Plan the server is checking
+  const [validatedSegments, setValidatedSegments] = useState([]); // Routed segments of that plan ('day-segment')
+  const planJobFollower = useRef(null); // The plan job being waited for: { planJobId }
   const [countryFlag, setCountryFlag] = useState(null);
 
   /**
@@ -114,6 +163,7 @@ function TripPlan() {
    */
   const [submittedCountry, setSubmittedCountry] = useState('');
   const [submittedCity, setSubmittedCity] = useState('');
+  const [submittedDestination, setSubmittedDestination] = useState('');
   const [submittedTripType, setSubmittedTripType] = useState('');
   const [submittedTripDate, setSubmittedTripDate] = useState('');
 
@@ -127,6 +177,56 @@ function TripPlan() {
 
   // --- Side Effects ---
 
+  /**
+   * Fitness Profile Effect
+   * 
+   * Loads the logged-in user's fitness profile so the override fields can
+   * show the limits that will apply when left empty.
+   */
+  useEffect(() => {
+    const token = localStorage.getItem('token');
+    if (!token) {
+      return;
+    }
+    axios.get('http://localhost:5000/api/me/fitness', {
+      headers: {
+        'Authorization': `Bearer ${token}`
+      }
+    })
+      .then(response => setFitnessProfile(response.data.fitnessProfile || {}))
+      .catch(err => console.error('Error fetching fitness profile:', err));
+  }, []);
+
+  /**
+   * Plan Job Resume Effect
+   * 
+   * Picks up the plan job that was started before the page was reloaded or
+   * left: waits for it while it is still running, or shows its plan when it
+   * has finished. Waiting stops when the page is left; the job itself keeps
+   * running on the server.
+   */
+  useEffect(() => {
+    const remembered = getRememberedPlanJob();
+    if (remembered) {
+      const { planJobId, request } = remembered;
+      setCountry(request.country);
+      setCity(request.city);
+      setDestinationCity(request.destinationCity || '');
+      setTripType(request.tripType);
+      setTripDate(request.tripDate);
+      setTripDays(request.tripDays || '');
+      setMustVisit(request.mustVisit || []);
+      setAvoidedFeatures(request.avoidedFeatures || []);
+      setAvoidPolygons(request.avoidPolygons || []);
+      setShowFitnessOverride(Boolean(request.fitnessOverride));
+      setFitnessOverride(request.fitnessOverride || {});
+      setLoading(true);
+      followPlanJob(planJobId, request, localStorage.getItem('token'));
+    }
+    return () => { planJobFollower.current = null; };
+    // eslint-disable-next-line
+  }, []);
+
   /**
    * Weather Fetching Effect
    * 
@@ -260,26 +360,26 @@ function TripPlan() {
    * Fetch ORS Route
    * 
    * Retrieves route data from OpenRouteService through our backend proxy.
-   * This function fetches geographical coordinates for routes between two points,
-   * which are then used to draw polylines on the map for route visualization.
+   * This function fetches the route through a day's waypoints in a single request;
+   * its coordinates are then used to draw polylines on the map for route visualization.
    * 
    * Using a backend proxy keeps the ORS API key secure and prevents exposure
    * to the client-side application.
    * 
-   * @param {Array} start - Starting coordinates [latitude, longitude]
-   * @param {Array} end - Ending coordinates [latitude, longitude]
+   * @param {Array} coordinates - Waypoints to route through, [[latitude, longitude], ...]
    * @param {string} profile - Routing profile ('foot-walking', 'cycling-regular', etc.)
+   * @param {Object} [routeOptions] - Avoided features and areas of the trip
    * @returns {Array} Array of coordinate pairs for route visualization
    */
-  async function fetchORSRoute(start, end, profile = 'foot-walking') {
+  async function fetchORSRoute(coordinates, profile = 'foot-walking', routeOptions = null) {
     const url = `http://localhost:5000/api/trip/ors-route`;
     try {
       const response = await axios.post(
         url,
         {
-          start,
-          end,
-          profile
+          coordinates,
+          profile,
+          routeOptions: routeOptions || undefined
         },
       );
       console.log('ORS API response:', response.data);
@@ -294,7 +394,7 @@ function TripPlan() {
         return coords;
       } else {
         console.error('ORS API unexpected response:', response.data);
-        return [start, end];
+        return coordinates;
       }
     } catch (err) {
       if (err.response) {
@@ -302,12 +402,36 @@ function TripPlan() {
       } else {
         console.error('ORS route error', err);
       }
-      return [start, end]; // As a fallback, return a straight line between the points.
+      return coordinates; // As a fallback, return straight lines between the points.
     }
   }
 
   // --- Core Application Logic ---
 
+  // Updates the trip type and preselects its usual length (e.g. a 2-day bike
+  // trip or a 1-day trek) if none was chosen yet.
+  const handleTripTypeChange = (e) => {
+    const newType = getTripType(e.target.value);
+    setTripType(e.target.value);
+    if (!tripDays && newType) {
+      setTripDays(String(newType.defaultDays));
+    }
+  };
+
+  // Shows the progress recorded by the plan job so far: the log, the plan
+  // being checked (the last candidate) and its segments routed since.
+  const showPlanJobProgress = (progress) => {
+    const candidateIndex = progress.map(entry => entry.event).lastIndexOf('candidate');
+    setPlanCandidate(candidateIndex === -1 ? null : progress[candidateIndex].data);
+    setValidatedSegments(progress
+      .slice(candidateIndex + 1)
+      .filter(entry => entry.event === 'segment')
+      .map(entry => `${entry.data.day}-${entry.data.segment}`));
+    setProgressLog(progress
+      .map((entry, index) => ({ id: index, event: entry.event, text: describePlanProgress(entry.event, entry.data) }))
+      .filter(entry => entry.text));
+  };
+
   // Handles the main form submission for planning a trip.
   // This is the primary orchestrator function.
   const handleSubmit = async (e) => {
@@ -315,7 +439,12 @@ function TripPlan() {
     // Reset state for a new request
     setError('');
     setLoading(true);
+    setProgressLog([]);
+    setPlanCandidate(null);
+    setValidatedSegments([]);
     setTripData(null);
+    setMustVisitCoverage([]);
+    setPlannedRouteOptions(null);
     setMarkers([]);
     setPolylines([]);
     setTripSaved(false);
@@ -339,120 +468,246 @@ function TripPlan() {
         return;
       }
 
-      // Step 3: Call the backend API to generate the trip plan using the LLM.
-      const response = await axios.post('http://localhost:5000/api/trip/plan', {
+      // Also validate the destination of a point-to-point trip, in the same country.
+      const plannedDestination = destinationCity.trim();
+      if (plannedDestination) {
+        const destinationValidation = await validateCity(plannedDestination, countryValidation.countryCode);
+        if (!destinationValidation.isValid) {
+          setError(`Could not find "${plannedDestination}" in ${country}. Please check the destination and try again.`);
+          setLoading(false);
+          return;
+        }
+      }
+
+      // Step 3: Start planning the trip on the backend (LLM or fallback planner).
+      // The token (when logged in) lets the server apply the user's fitness profile.
+      const token = localStorage.getItem('token');
+      const override = showFitnessOverride ? toFitnessLimits(fitnessOverride) : {};
+      const planJobId = await createPlanJob({
         country,
         city,
+        destinationCity: plannedDestination || undefined,
+        mustVisit: mustVisit.map(place => place.trim()).filter(Boolean),
+        routeOptions: { avoidFeatures: avoidedFeatures, avoidPolygons },
         tripType,
-        tripDate
-      });
+        tripDate,
+        days: Number(tripDays),
+        fitness: Object.keys(override).length > 0 ? override : undefined
+      }, token);
 
-      if (response.data.success) {
-        const trip = response.data.tripData;
-        setTripData(trip);
-        
-        // Step 4: Store the submitted form values to decouple form state from the displayed results.
-        setSubmittedCountry(country);
-        setSubmittedCity(city);
-        setSubmittedTripType(tripType);
-        setSubmittedTripDate(tripDate);
-
-        // Step 5: Process the trip data to create markers and polylines for the map.
-        const allMarkers = [];
-        const allPolylines = [];
-
-        // Helper to determine the correct travel profile for the OpenRouteService API.
-        const getProfile = () => (tripType === 'bike' ? 'cycling-regular' : 'foot-walking');
-
-        // Identify the main start and end points of the entire trip.
-        const mainStart = trip.days[0].cities[0];
-        const mainEnd = trip.days[trip.days.length - 1].cities[trip.days[trip.days.length - 1].cities.length - 1];
-        const isCircular = mainStart.coordinates[0] === mainEnd.coordinates[0] && mainStart.coordinates[1] === mainEnd.coordinates[1];
-
-        // Add a primary marker for the start/end location.
-        allMarkers.push({
-          position: mainStart.coordinates,
-          title: 'Start-End Location',
-          isMain: true
-        });
-
-        // Add markers for intermediate stopping points (end of each day).
-        trip.days.forEach((day, dayIndex) => {
-          // Last city of the day
-          const lastCity = day.cities[day.cities.length - 1];
-          // Only add a marker if it's not the final destination of a circular trip.
-          if (
-            dayIndex !== trip.days.length - 1 || !isCircular
-          ) {
-            // Also, don't add a marker if it's identical to the main start/end point.
-            if (
-              lastCity.coordinates[0] !== mainStart.coordinates[0] ||
-              lastCity.coordinates[1] !== mainStart.coordinates[1]
-            ) {
-              allMarkers.push({
-                position: lastCity.coordinates,
-                title: `Stopping point - end of day ${day.day}`,
-                isMain: false
-              });
-            }
-          }
-        });
-
-        // This async function iterates through each day and each segment of the trip,
-        // fetching the actual route from ORS and constructing the polylines to be drawn on the map.
-        async function buildRoutes() {
-          for (const [dayIndex, day] of trip.days.entries()) {
-            // Build the full route polyline for the day by combining all segments
-            let fullRoute = [];
-            for (let i = 0; i < day.cities.length - 1; i++) {
-              const start = day.cities[i].coordinates;
-              const end = day.cities[i + 1].coordinates;
-              // Fetch the actual route from OpenRouteService for each segment
-              const segment = await fetchORSRoute(start, end, getProfile());
-              // This logic prevents adding duplicate coordinate points where segments connect.
-              if (fullRoute.length > 0 && segment.length > 0 && fullRoute[fullRoute.length - 1][0] === segment[0][0] && fullRoute[fullRoute.length - 1][1] === segment[0][1]) {
-                fullRoute = fullRoute.concat(segment.slice(1));
-              } else {
-                fullRoute = fullRoute.concat(segment);
-              }
-            }
-            if (fullRoute.length > 1) {
-              allPolylines.push({
-                positions: fullRoute,
-                color: dayIndex === 0 ? '#ff4444' : '#4444ff', // Different colors for different days
-                weight: 3,
-                opacity: 0.7,
-                day: day.day
-              });
-            }
-          }
+      // Step 4: Remember the job, so it can be resumed after a reload, and wait for it.
+      // The whole form is kept, so a resumed job shows the inputs it was planned with.
+      const request = {
+        country,
+        city,
+        destinationCity: plannedDestination,
+        tripType,
+        tripDate,
+        tripDays,
+        mustVisit,
+        avoidedFeatures,
+        avoidPolygons,
+        fitnessOverride: showFitnessOverride ? fitnessOverride : null
+      };
+      rememberPlanJob({ planJobId, request });
+      await followPlanJob(planJobId, request, token);
+    } catch (error) {
+      handlePlanError(error);
+      setLoading(false);
+    }
+  };
+
+  // Waits for a plan job, showing its progress, then shows the plan it made.
+  // Stops waiting when another job is started, the job is cancelled or the
+  // page is left.
+  const followPlanJob = async (planJobId, request, token) => {
+    const follower = { planJobId };
+    planJobFollower.current = follower;
+    const isActive = () => planJobFollower.current === follower;
+    try {
+      const plan = await waitForPlanJob(planJobId, token, {
+        onUpdate: job => showPlanJobProgress(job.progress || []),
+        isActive
+      });
+      if (plan && isActive()) {
+        await displayPlan(plan, request);
+      } else if (isActive()) {
+        // The job was cancelled (e.g. from another tab)
+        forgetPlanJob();
+      }
+    } catch (error) {
+      if (isActive()) {
+        // Keep the job to retry after a reload when only the connection failed
+        if (error.response) {
+          forgetPlanJob();
         }
+        handlePlanError(error);
+      }
+    } finally {
+      if (isActive()) {
+        planJobFollower.current = null;
+        setLoading(false);
+      }
+    }
+  };
 
-        // Step 6: Execute the route building and update the component's state.
-        await buildRoutes();
-        setMarkers(allMarkers);
-        setPolylines(allPolylines);
+  // Cancels the plan job being waited for.
+  const handleCancelPlan = async () => {
+    const follower = planJobFollower.current;
+    if (!follower) {
+      return;
+    }
+    planJobFollower.current = null;
+    forgetPlanJob();
+    setLoading(false);
+    setProgressLog([]);
+    setPlanCandidate(null);
+    setValidatedSegments([]);
+    try {
+      await cancelPlanJob(follower.planJobId, localStorage.getItem('token'));
+    } catch (error) {
+      console.error('Error cancelling plan job:', error);
+    }
+  };
 
-        // Center the map on the trip's starting location.
-        if (trip.days[0] && trip.days[0].cities[0]) {
-          setMapCenter(trip.days[0].cities[0].coordinates);
-        }
+  // Shows a plan made by the server: the itinerary, its routes on the map,
+  // the weather (through the effect above) and the country's flag.
+  // `request` holds the form values the plan was requested with.
+  const displayPlan = async (plan, request) => {
+    if (!plan.success) {
+      setError('Failed to generate trip plan. Please try again.');
+      return;
+    }
 
-        // Fetch a flag for the destination country.
-        const flag = await fetchCountryFlag(country);
-        setCountryFlag(flag);
-      } else {
-        setError('Failed to generate trip plan. Please try again.');
+    const trip = plan.tripData;
+    setTripData(trip);
+    setAppliedFitnessLimits(plan.fitnessLimits || null);
+    setMustVisitCoverage(plan.mustVisitCoverage || []);
+    const routeOptions = plan.routeOptions || null;
+    setPlannedRouteOptions(routeOptions);
+    setTripDifficulty(plan.difficulty || null);
+    setPlanner(plan.planner || null);
+    
+    // Store the submitted form values to decouple form state from the displayed results.
+    setSubmittedCountry(request.country);
+    setSubmittedCity(request.city);
+    setSubmittedDestination(request.destinationCity || '');
+    setSubmittedTripType(request.tripType);
+    setSubmittedTripDate(request.tripDate);
+
+    // Process the trip data to create markers and polylines for the map.
+    const allMarkers = [];
+    const allPolylines = [];
+
+    // Helper to determine the correct travel profile for the OpenRouteService API.
+    const submittedType = getTripType(request.tripType);
+    const getProfile = () => (submittedType ? submittedType.orsProfile : 'foot-walking');
+
+    // Identify the main start and end points of the entire trip.
+    const mainStart = trip.days[0].cities[0];
+    const mainEnd = trip.days[trip.days.length - 1].cities[trip.days[trip.days.length - 1].cities.length - 1];
+    const isCircular = mainStart.coordinates[0] === mainEnd.coordinates[0] && mainStart.coordinates[1] === mainEnd.coordinates[1];
+    const isOneWay = Boolean(request.destinationCity);
+
+    if (isOneWay) {
+      // Point-to-point trips get separate start and finish markers.
+      allMarkers.push({
+        position: mainStart.coordinates,
+        title: `Start - ${mainStart.name}`,
+        isMain: true,
+        endpoint: 'start'
+      });
+      allMarkers.push({
+        position: mainEnd.coordinates,
+        title: `Finish - ${mainEnd.name}`,
+        isMain: true,
+        endpoint: 'finish'
+      });
+    } else {
+      // Add a primary marker for the start/end location.
+      allMarkers.push({
+        position: mainStart.coordinates,
+        title: 'Start-End Location',
+        isMain: true,
+        endpoint: 'start-finish'
+      });
+    }
+
+    // Add markers for intermediate stopping points (end of each day).
+    trip.days.forEach((day, dayIndex) => {
+      // Last city of the day
+      const lastCity = day.cities[day.cities.length - 1];
+      // Only add a marker if it's not the final destination of a circular or one-way trip.
+      if (
+        dayIndex !== trip.days.length - 1 || (!isCircular && !isOneWay)
+      ) {
+        // Also, don't add a marker if it's identical to the main start/end point.
+        if (
+          lastCity.coordinates[0] !== mainStart.coordinates[0] ||
+          lastCity.coordinates[1] !== mainStart.coordinates[1]
+        ) {
+          allMarkers.push({
+            position: lastCity.coordinates,
+            title: `Stopping point - end of day ${day.day}`,
+            isMain: false
+          });
+        }
       }
-    } catch (error) {
-      console.error('Error planning trip:', error);
-      if (error.response?.data?.error) {
-        setError(error.response.data.error);
-      } else {
-        setError('Failed to plan trip. Please check your connection and try again.');
+    });
+
+    // Mark the places the user asked to visit.
+    (plan.mustVisitCoverage || []).forEach(entry => {
+      allMarkers.push({
+        position: entry.coordinates,
+        title: `Must-visit - ${entry.place} (day ${entry.day}, ${entry.waypoint})`,
+        isMain: false
+      });
+    });
+
+    // This async function iterates through each day of the trip, fetching the actual
+    // route from ORS and constructing the polylines to be drawn on the map.
+    async function buildRoutes() {
+      for (const [dayIndex, day] of trip.days.entries()) {
+        // Fetch the full route of the day through all of its waypoints from OpenRouteService
+        const fullRoute = await fetchORSRoute(day.cities.map(city => city.coordinates), getProfile(), routeOptions);
+        if (fullRoute.length > 1) {
+          allPolylines.push({
+            positions: fullRoute,
+            color: getRouteColor(dayIndex, trip.days.length, submittedType && submittedType.color), // Different colors for different days
+            weight: 3,
+            opacity: 0.7,
+            day: day.day
+          });
+        }
       }
-    } finally {
-      setLoading(false);
+    }
+
+    // Execute the route building and update the component's state.
+    await buildRoutes();
+    setMarkers(allMarkers);
+    setPolylines(allPolylines);
+
+    // Center the map on the trip's starting location.
+    if (trip.days[0] && trip.days[0].cities[0]) {
+      setMapCenter(trip.days[0].cities[0].coordinates);
+    }
+
+    // Fetch a flag for the destination country.
+    const flag = await fetchCountryFlag(request.country);
+    setCountryFlag(flag);
+  };
+
+  // Shows why planning failed.
+  const handlePlanError = (error) => {
+    console.error('Error planning trip:', error);
+    if (error.response?.data?.message && error.response.status === 400) {
+      setError(error.response.data.message);
+    } else if (error.response?.data?.error) {
+      // Say why the last plan was rejected, when the server reports it
+      const reasons = error.response.data.reasons || [];
+      setError(reasons.length > 0 ? `${error.response.data.error}: ${reasons[0]}` : error.response.data.error);
+    } else {
+      setError('Failed to plan trip. Please check your connection and try again.');
     }
   };
 
@@ -478,10 +733,13 @@ function TripPlan() {
       const saveData = {
         country: submittedCountry,
         city: submittedCity,
+        destinationCity: submittedDestination || null,
         tripType: submittedTripType,
         tripDate: submittedTripDate,
         countryFlag,
-        tripData
+        tripData,
+        routeOptions: plannedRouteOptions,
+        planner
       };
 
       console.log('Saving trip data:', saveData);
@@ -498,6 +756,8 @@ function TripPlan() {
       if (response.data.success) {
         setSaveSuccess('Trip saved successfully!');
         setTripSaved(true);
+        // The plan is kept, so its job no longer needs to be resumed
+        forgetPlanJob();
       }
     } catch (error) {
       console.error('Error saving trip:', error);
@@ -588,21 +848,145 @@ function TripPlan() {
           />
         </div>
 
+        <div className="form-group">
+          <label htmlFor="destinationCity">Destination City (optional)</label>
+          <input
+            type="text"
+            id="destinationCity"
+            className="input"
+            value={destinationCity}
+            onChange={(e) => setDestinationCity(e.target.value)}
+            placeholder="Leave empty for a round trip..."
+          />
+        </div>
+
+        <div className="form-group">
+          <label>Must-Visit Places (optional)</label>
+          {mustVisit.map((place, index) => (
+            <div key={index} className="must-visit-row">
+              <input
+                type="text"
+                className="input"
+                value={place}
+                onChange={(e) => setMustVisit(mustVisit.map((item, i) => (i === index ? e.target.value : item)))}
+                placeholder="Landmark, village, viewpoint..."
+              />
+              <button
+                type="button"
+                className="link-button"
+                onClick={() => setMustVisit(mustVisit.filter((_, i) => i !== index))}
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+          {mustVisit.length < MAX_MUST_VISIT_PLACES && (
+            <button
+              type="button"
+              className="link-button"
+              onClick={() => setMustVisit([...mustVisit, ''])}
+            >
+              + Add a must-visit place
+            </button>
+          )}
+        </div>
+
         <div className="form-group">
           <label htmlFor="tripType">Trip Type</label>
           <select
             id="tripType"
             className="input"
             value={tripType}
-            onChange={(e) => setTripType(e.target.value)}
+            onChange={handleTripTypeChange}
             required
           >
             <option value="">Select trip type...</option>
-            <option value="trek">Trek</option>
-            <option value="bike">Bike</option>
+            {tripTypes.map(type => (
+              <option key={type.id} value={type.id}>{type.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="tripDays">Trip Length</label>
+          <select
+            id="tripDays"
+            className="input"
+            value={tripDays}
+            onChange={(e) => setTripDays(e.target.value)}
+            required
+          >
+            <option value="">Select number of days...</option>
+            {Array.from({ length: tripDayRange.max - tripDayRange.min + 1 }, (_, index) => tripDayRange.min + index).map(count => (
+              <option key={count} value={count}>
+                {count} {count === 1 ? 'day' : 'days'}
+              </option>
+            ))}
           </select>
         </div>
 
+        <div className="form-group">
+          <button
+            type="button"
+            className="link-button"
+            onClick={() => setShowFitnessOverride(!showFitnessOverride)}
+          >
+            {showFitnessOverride ? 'Use my fitness profile' : 'Adjust fitness limits for this trip'}
+          </button>
+          {showFitnessOverride && (
+            <div className="fitness-override">
+              {FITNESS_FIELDS.map(field => {
+                // Show the limit that applies when the field is left empty
+                const fallback = (fitnessProfile[tripType] || {})[field.name] ??
+                  getDefaultFitnessValue(getTripType(tripType), field.name);
+                return (
+                  <label key={field.name}>
+                    {field.label}
+                    <input
+                      type="number"
+                      className="input"
+                      min={field.min}
+                      max={field.max}
+                      step={field.step}
+                      value={fitnessOverride[field.name] || ''}
+                      placeholder={fallback !== undefined ? String(fallback) : 'No limit'}
+                      onChange={(e) => setFitnessOverride({ ...fitnessOverride, [field.name]: e.target.value })}
+                    />
+                  </label>
+                );
+              })}
+            </div>
+          )}
+        </div>
+
+        <div className="form-group">
+          <label>Avoid</label>
+          <div className="avoid-features">
+            {avoidFeatures.map(feature => (
+              <label key={feature.id}>
+                <input
+                  type="checkbox"
+                  checked={avoidedFeatures.includes(feature.id)}
+                  onChange={(e) => setAvoidedFeatures(e.target.checked
+                    ? [...avoidedFeatures, feature.id]
+                    : avoidedFeatures.filter(id => id !== feature.id))}
+                />
+                {feature.label}
+              </label>
+            ))}
+          </div>
+          <button
+            type="button"
+            className="link-button"
+            onClick={() => setShowAvoidAreas(!showAvoidAreas)}
+          >
+            {showAvoidAreas ? 'Hide avoid areas' : `Draw areas to avoid${avoidPolygons.length > 0 ? ` (${avoidPolygons.length})` : ''}`}
+          </button>
+          {showAvoidAreas && (
+            <AvoidAreasMap areas={avoidPolygons} onChange={setAvoidPolygons} center={mapCenter} />
+          )}
+        </div>
+
         <div className="form-group">
           <label htmlFor="tripDate">Trip Date</label>
           <input
@@ -620,13 +1004,29 @@ function TripPlan() {
         <button type="submit" className="button" disabled={loading}>
           {loading ? 'Creating Route...' : 'Create Route'}
         </button>
+        {loading && (
+          <button type="button" className="button danger-button" onClick={handleCancelPlan}>
+            Cancel
+          </button>
+        )}
       </form>
 
+      {/* Shows what the server is doing while the trip is planned. */}
+      {loading && progressLog.length > 0 && (
+        <PlanProgress log={progressLog} candidate={planCandidate} validatedSegments={validatedSegments} />
+      )}
+
       {/* Renders the detailed trip information once it has been generated. */}
       {tripData && (
         <div className="trip-details">
           <h3>Trip Details</h3>
           <div className="trip-summary">
+            {planner && planner.source === 'fallback' && (
+              <p className="plan-source-notice">
+                The AI planner was unavailable, so this route was laid out automatically around {submittedCity}.
+                Its waypoints are road points rather than attractions.
+              </p>
+            )}
             <div className="trip-header">
               {countryFlag && (
                 <img 
@@ -637,19 +1037,49 @@ function TripPlan() {
               )}
               <div className="trip-info">
                 <p><strong>Starting City:</strong> {submittedCity}, {submittedCountry}</p>
-                <p><strong>Trip Type:</strong> {submittedTripType}</p>
+                <p><strong>Destination:</strong> {submittedDestination || `Round trip back to ${submittedCity}`}</p>
+                <p><strong>Trip Type:</strong> {getTripType(submittedTripType)?.label || submittedTripType}</p>
+                {tripDifficulty && (
+                  <p><strong>Difficulty:</strong> <DifficultyBadge grade={tripDifficulty} /></p>
+                )}
+                <p><strong>Trip Length:</strong> {tripData.days.length} {tripData.days.length === 1 ? 'day' : 'days'}</p>
+                {appliedFitnessLimits && (
+                  <p>
+                    <strong>Daily Limits:</strong> {appliedFitnessLimits.minDailyKm}-{appliedFitnessLimits.maxDailyKm} km
+                    {appliedFitnessLimits.maxClimbingM !== null && `, up to ${appliedFitnessLimits.maxClimbingM} m climbing`}
+                    {appliedFitnessLimits.averageSpeedKmh !== null && `, ${appliedFitnessLimits.averageSpeedKmh} km/h average`}
+                  </p>
+                )}
+                {describeAvoidances(plannedRouteOptions, avoidFeatures) && (
+                  <p><strong>Avoiding:</strong> {describeAvoidances(plannedRouteOptions, avoidFeatures)}</p>
+                )}
                 <p><strong>Date:</strong> {submittedTripDate}</p>
               </div>
             </div>
+            {mustVisitCoverage.length > 0 && (
+              <div className="must-visit-coverage">
+                <strong>Must-Visit Places:</strong>
+                <ul>
+                  {mustVisitCoverage.map(entry => (
+                    <li key={entry.place}>
+                      {entry.place} → Day {entry.day}, near <strong>{entry.waypoint}</strong> (the route passes {entry.routeDistanceKm} km away)
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
           </div>
           
           {/* Maps over the days and cities to display the itinerary. */}
           {tripData.days.map((day, index) => (
             <div key={index} className="day-route">
-              <h4>Day {day.day}</h4>
+              <h4>Day {day.day} <DifficultyBadge grade={day.difficulty} /></h4>
               <div className="route-info">
                 <p><strong>Total Distance:</strong> {day.totalDistance}</p>
                 <p><strong>Estimated Time:</strong> {day.estimatedTime}</p>
+                {day.elevation && (
+                  <p><strong>Climbing:</strong> ↑ {day.elevation.ascentM} m · ↓ {day.elevation.descentM} m · max {day.elevation.maxGradientPercent}%</p>
+                )}
               </div>
               <div className="cities-list">
                 <strong>Route:</strong>
@@ -888,7 +1318,7 @@ function TripPlan() {
                       display: 'inline-block',
                       width: 18,
                       height: 6,
-                      background: idx === 0 ? '#ff4444' : '#4444ff',
+                      background: getRouteColor(idx, tripData.days.length, getTripType(submittedTripType)?.color),
                       borderRadius: 3,
                       marginRight: 8
                     }}></span>
@@ -909,6 +1339,10 @@ function TripPlan() {
             />
             {/* This component handles map view changes. */}
             <ChangeMapView center={mapCenter} />
+            {/* Render the areas the routes avoid. */}
+            {plannedRouteOptions && plannedRouteOptions.avoidPolygons.map((area, index) => (
+              <Polygon key={`avoid-${index}`} positions={area} pathOptions={AVOID_AREA_STYLE} />
+            ))}
             {/* Render polylines for the trip routes. */}
             {polylines.map((polyline, index) => (
               <Polyline
@@ -919,9 +1353,9 @@ function TripPlan() {
                 opacity={polyline.opacity}
               />
             ))}
-            {/* Render markers for the start/end and stopping points. */}
+            {/* Render markers for the start, finish and stopping points. */}
             {markers.map((marker, index) => (
-              <Marker key={index} position={marker.position}>
+              <Marker key={index} position={marker.position} icon={getMarkerIcon(marker)}>
                 <Popup>
                   <div>
                     <strong>{marker.title}</strong>
@@ -1,10 +1,20 @@
 import { useEffect, useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { MapContainer, TileLayer, Marker, Popup, Polyline, useMap } from 'react-leaflet';
+import { MapContainer, TileLayer, Marker, Popup, Polyline, Polygon, CircleMarker, useMap } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
 import L from 'leaflet';
 import axios from 'axios';
 import polyline from 'polyline';
+import PlanAgainButton from '../components/PlanAgainButton';
+import ShareLinksPanel from '../components/ShareLinksPanel';
+import CollaboratorsPanel from '../components/CollaboratorsPanel';
+import WaypointComments from '../components/WaypointComments';
+import ElevationChart from '../components/ElevationChart';
+import DifficultyBadge from '../components/DifficultyBadge';
+import { getRouteColor } from '../utils/routeColors';
+import useTripTypes, { fetchTripTypes } from '../hooks/useTripTypes';
+import { getMarkerIcon } from '../utils/mapIcons';
+import { AVOID_AREA_STYLE, describeAvoidances } from '../utils/routeOptions';
 
 /**
  * Trip View Component
@@ -18,6 +28,9 @@ import polyline from 'polyline';
  * - Weather forecast for trip location and date
  * - Responsive design with loading states
  * - Error handling and user feedback
+ * - Edit mode with revision history and rollback
+ * - Waypoint notes and comment threads
+ * - Elevation profile per day, linked to the route on the map
  * 
  * Technical Architecture:
  * - React hooks for state management
@@ -65,26 +78,26 @@ function ChangeMapView({ center }) {
  * Fetch ORS Route
  * 
  * Retrieves route data from OpenRouteService through our backend proxy.
- * This function fetches geographical coordinates for routes between two points,
- * which are then used to draw polylines on the map for route visualization.
+ * This function fetches the route through a day's waypoints in a single request;
+ * its coordinates are then used to draw polylines on the map for route visualization.
  * 
  * Using a backend proxy keeps the ORS API key secure and prevents exposure
  * to the client-side application.
  * 
- * @param {Array} start - Starting coordinates [latitude, longitude]
- * @param {Array} end - Ending coordinates [latitude, longitude]
+ * @param {Array} coordinates - Waypoints to route through, [[latitude, longitude], ...]
  * @param {string} profile - Routing profile ('foot-walking', 'cycling-regular', etc.)
+ * @param {Object} [routeOptions] - Avoided features and areas saved with the trip
  * @returns {Array} Array of coordinate pairs for route visualization
  */
-async function fetchORSRoute(start, end, profile = 'foot-walking') {
+async function fetchORSRoute(coordinates, profile = 'foot-walking', routeOptions = null) {
   const url = `http://localhost:5000/api/trip/ors-route`;
   try {
     const response = await axios.post(
       url,
       {
-        start,
-        end,
-        profile
+        coordinates,
+        profile,
+        routeOptions: routeOptions || undefined
       },
     );
     console.log('ORS API response:', response.data);
@@ -99,7 +112,7 @@ async function fetchORSRoute(start, end, profile = 'foot-walking') {
       return coords;
     } else {
       console.error('ORS API unexpected response:', response.data);
-      return [start, end];
+      return coordinates;
     }
   } catch (err) {
     if (err.response) {
@@ -107,7 +120,7 @@ async function fetchORSRoute(start, end, profile = 'foot-walking') {
     } else {
       console.error('ORS route error', err);
     }
-    return [start, end]; // As a fallback, return a straight line between the points.
+    return coordinates; // As a fallback, return straight lines between the points.
   }
 }
 
@@ -117,10 +130,16 @@ async function fetchORSRoute(start, end, profile = 'foot-walking') {
  * Displays comprehensive information about a previously saved trip,
  * including interactive map visualization, route details, and weather data.
  * 
+ * When rendered in shared mode (the public /shared/:token route), the trip is
+ * loaded through its share token without authentication and shown read-only:
+ * editing, sharing, cloning and revision history are hidden.
+ * 
+ * @param {Object} props - Component props
+ * @param {boolean} [props.shared=false] - Render a public, read-only shared trip
  * @returns {JSX.Element} The trip view interface
  */
-export default function TripView() {
-  const { tripId } = useParams();
+export default function TripView({ shared = false }) {
+  const { tripId, token: shareToken } = useParams();
   const navigate = useNavigate();
   
   // --- State Management ---
@@ -132,6 +151,15 @@ export default function TripView() {
   const [trip, setTrip] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const { tripTypes, avoidFeatures, getTripType } = useTripTypes();
+
+  /**
+   * Access Role State
+   * The current user's role on the trip ('owner', 'editor' or 'viewer'),
+   * which decides which editing and sharing controls are shown
+   */
+  const [role, setRole] = useState(null);
+  const canEdit = role === 'owner' || role === 'editor';
   
   /**
    * Map Visualization State
@@ -140,6 +168,8 @@ export default function TripView() {
   const [mapCenter, setMapCenter] = useState([31.7683, 35.2137]); // Default center
   const [markers, setMarkers] = useState([]);
   const [polylines, setPolylines] = useState([]);
+  const [avoidAreas, setAvoidAreas] = useState([]); // Areas the trip's routes avoid
+  const [hoveredElevationPoint, setHoveredElevationPoint] = useState(null); // Profile point under the chart pointer
 
   /**
    * Weather Information State
@@ -149,6 +179,31 @@ export default function TripView() {
   const [weatherLoading, setWeatherLoading] = useState(false);
   const [weatherError, setWeatherError] = useState('');
 
+  /**
+   * Edit Mode State
+   * Holds the editable draft of the trip and the status of saving it
+   */
+  const [isEditing, setIsEditing] = useState(false);
+  const [editDraft, setEditDraft] = useState(null);
+  const [savingEdit, setSavingEdit] = useState(false);
+  const [editError, setEditError] = useState('');
+  const [editSuccess, setEditSuccess] = useState('');
+
+  /**
+   * Revision History State
+   * Manages the trip's revision timeline and rollback status
+   */
+  const [revisions, setRevisions] = useState([]);
+  const [revisionsError, setRevisionsError] = useState('');
+  const [restoringRevision, setRestoringRevision] = useState(null);
+
+  /**
+   * Waypoint Comments State
+   * All comments on the trip's waypoints, oldest first
+   */
+  const [comments, setComments] = useState([]);
+  const [commentsError, setCommentsError] = useState('');
+
   // --- Side Effects ---
 
   /**
@@ -160,7 +215,7 @@ export default function TripView() {
   useEffect(() => {
     fetchTrip();
     // eslint-disable-next-line
-  }, [tripId]);
+  }, [tripId, shareToken]);
 
   /**
    * Weather Fetching Effect
@@ -177,10 +232,138 @@ export default function TripView() {
 
   // --- Data Fetching and Processing ---
 
-  // Fetches the complete trip data from the backend using the tripId.
+  /**
+   * Build Map Data
+   * 
+   * Generates the markers and route polylines for a trip and applies them to the map.
+   * Used both when the trip is first loaded and after an edit has been saved.
+   * This logic is very similar to the one in TripPlan.js.
+   * 
+   * @param {Object} tripObj - The trip document returned by the backend
+   */
+  const buildMapData = async (tripObj) => {
+    const tripData = tripObj.tripData;
+    const allMarkers = [];
+    const allPolylines = [];
+    
+    // Helper to determine the travel profile for the routing API from the trip type registry.
+    const { tripTypes: registeredTypes } = await fetchTripTypes().catch(() => ({ tripTypes: [] }));
+    const tripTypeInfo = registeredTypes.find(type => type.id === tripObj.tripType);
+    const getProfile = () => (tripTypeInfo ? tripTypeInfo.orsProfile : 'foot-walking');
+    
+    // Identify the main start and end points of the entire trip to handle circular and one-way routes.
+    const mainStart = tripData.days[0].cities[0];
+    const mainEnd = tripData.days[tripData.days.length - 1].cities[tripData.days[tripData.days.length - 1].cities.length - 1];
+    const isCircular = mainStart.coordinates[0] === mainEnd.coordinates[0] && mainStart.coordinates[1] === mainEnd.coordinates[1];
+    const isOneWay = Boolean(tripObj.destinationCity);
+    
+    if (isOneWay) {
+      // Point-to-point trips get separate start and finish markers.
+      allMarkers.push({
+        position: mainStart.coordinates,
+        title: `Start - ${mainStart.name}`,
+        notes: mainStart.notes,
+        isMain: true,
+        endpoint: 'start'
+      });
+      allMarkers.push({
+        position: mainEnd.coordinates,
+        title: `Finish - ${mainEnd.name}`,
+        notes: mainEnd.notes,
+        isMain: true,
+        endpoint: 'finish'
+      });
+    } else {
+      // Add a primary marker for the start/end location.
+      allMarkers.push({
+        position: mainStart.coordinates,
+        title: 'Start-End Location',
+        notes: mainStart.notes,
+        isMain: true,
+        endpoint: 'start-finish'
+      });
+    }
+
+    // Add markers for intermediate stopping points (end of each day).
+    tripData.days.forEach((day, dayIndex) => {
+      // Last city of the day
+      const lastCity = day.cities[day.cities.length - 1];
+      // Avoid adding redundant markers for the final destination on circular and one-way trips.
+      if (
+        dayIndex !== tripData.days.length - 1 || (!isCircular && !isOneWay)
+      ) {
+        // Don't add if it's the same as main start/end
+        if (
+          lastCity.coordinates[0] !== mainStart.coordinates[0] ||
+          lastCity.coordinates[1] !== mainStart.coordinates[1]
+        ) {
+          allMarkers.push({
+            position: lastCity.coordinates,
+            title: `Stopping point - end of day ${day.day}`,
+            notes: lastCity.notes,
+            isMain: false
+          });
+        }
+      }
+    });
+
+    // Add markers for intermediate waypoints that carry a note, so the note can be read on the map.
+    tripData.days.forEach(day => {
+      day.cities.slice(1, -1).forEach(city => {
+        if (city.notes) {
+          allMarkers.push({
+            position: city.coordinates,
+            title: city.name,
+            notes: city.notes,
+            isMain: false
+          });
+        }
+      });
+    });
+
+    // Asynchronously build the route polylines for each day by fetching data from OpenRouteService.
+    for (const [dayIndex, day] of tripData.days.entries()) {
+      // Fetch the full route of the day through all of its waypoints from OpenRouteService,
+      // avoiding the same features and areas as when the trip was planned
+      const fullRoute = await fetchORSRoute(day.cities.map(city => city.coordinates), getProfile(), tripObj.routeOptions);
+      if (fullRoute.length > 1) {
+        allPolylines.push({
+          positions: fullRoute,
+          color: getRouteColor(dayIndex, tripData.days.length, tripTypeInfo && tripTypeInfo.color), // Different colors for different days
+          weight: 3,
+          opacity: 0.7,
+          day: day.day
+        });
+      }
+    }
+    setMarkers(allMarkers);
+    setPolylines(allPolylines);
+    setAvoidAreas((tripObj.routeOptions && tripObj.routeOptions.avoidPolygons) || []);
+
+    // Center the map on the starting location of the trip.
+    if (tripData.days[0] && tripData.days[0].cities[0]) {
+      setMapCenter(tripData.days[0].cities[0].coordinates);
+    }
+  };
+
+  // Fetches the complete trip data from the backend using the tripId,
+  // or through the public share endpoint when viewing a shared trip.
   const fetchTrip = async () => {
     setLoading(true);
     setError('');
+    setEditSuccess('');
+    if (shared) {
+      try {
+        const response = await axios.get(`http://localhost:5000/api/trip/shared/${shareToken}`);
+        setTrip(response.data.trip);
+        await buildMapData(response.data.trip);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to fetch shared trip.');
+      } finally {
+        setLoading(false);
+      }
+      return;
+    }
     try {
       const token = localStorage.getItem('token');
       if (!token) {
@@ -195,94 +378,240 @@ export default function TripView() {
       });
       if (response.data.success) {
         setTrip(response.data.trip);
-        
-        // --- Map Data Preparation ---
+        setRole(response.data.role);
+        fetchRevisions();
+        fetchComments();
         // Once the trip data is fetched, we process it to generate the necessary markers and polylines for the map.
-        // This logic is very similar to the one in TripPlan.js.
-        const tripData = response.data.trip.tripData;
-        const allMarkers = [];
-        const allPolylines = [];
-        
-        // Helper to determine the travel profile for the routing API.
-        const getProfile = () => (response.data.trip.tripType === 'bike' ? 'cycling-regular' : 'foot-walking');
-        
-        // Identify the main start and end points of the entire trip to handle circular routes.
-        const mainStart = tripData.days[0].cities[0];
-        const mainEnd = tripData.days[tripData.days.length - 1].cities[tripData.days[tripData.days.length - 1].cities.length - 1];
-        const isCircular = mainStart.coordinates[0] === mainEnd.coordinates[0] && mainStart.coordinates[1] === mainEnd.coordinates[1];
-        
-        // Add a primary marker for the start/end location.
-        allMarkers.push({
-          position: mainStart.coordinates,
-          title: 'Start-End Location',
-          isMain: true
-        });
+        await buildMapData(response.data.trip);
+      } else {
+        setError('Failed to fetch trip details.');
+      }
+    } catch (err) {
+      setError('Failed to fetch trip details.');
+    } finally {
+      setLoading(false);
+    }
+  };
 
-        // Add markers for intermediate stopping points (end of each day).
-        tripData.days.forEach((day, dayIndex) => {
-          // Last city of the day
-          const lastCity = day.cities[day.cities.length - 1];
-          // Avoid adding redundant markers for the final destination on circular trips.
-          if (
-            dayIndex !== tripData.days.length - 1 || !isCircular
-          ) {
-            // Don't add if it's the same as main start/end
-            if (
-              lastCity.coordinates[0] !== mainStart.coordinates[0] ||
-              lastCity.coordinates[1] !== mainStart.coordinates[1]
-            ) {
-              allMarkers.push({
-                position: lastCity.coordinates,
-                title: `Stopping point - end of day ${day.day}`,
-                isMain: false
-              });
-            }
-          }
-        });
+  // Fetches the revision timeline of the trip, newest revision first.
+  const fetchRevisions = async () => {
+    setRevisionsError('');
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get(`http://localhost:5000/api/trip/trip/${tripId}/revisions`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+      if (response.data.success) {
+        setRevisions(response.data.revisions);
+      }
+    } catch (err) {
+      setRevisionsError('Failed to load revision history.');
+    }
+  };
 
-        // Asynchronously build the route polylines for each day by fetching data from OpenRouteService.
-        async function buildRoutes() {
-          for (const [dayIndex, day] of tripData.days.entries()) {
-            // Build the full route polyline for the day by combining all segments
-            let fullRoute = [];
-            for (let i = 0; i < day.cities.length - 1; i++) {
-              const start = day.cities[i].coordinates;
-              const end = day.cities[i + 1].coordinates;
-              // Fetch the actual route from OpenRouteService for each segment
-              const segment = await fetchORSRoute(start, end, getProfile());
-              // Prevent duplicate coordinate points where segments connect.
-              if (fullRoute.length > 0 && segment.length > 0 && fullRoute[fullRoute.length - 1][0] === segment[0][0] && fullRoute[fullRoute.length - 1][1] === segment[0][1]) {
-                fullRoute = fullRoute.concat(segment.slice(1));
-              } else {
-                fullRoute = fullRoute.concat(segment);
-              }
-            }
-            if (fullRoute.length > 1) {
-              allPolylines.push({
-                positions: fullRoute,
-                color: dayIndex === 0 ? '#ff4444' : '#4444ff', // Different colors for different days
-                weight: 3,
-                opacity: 0.7,
-                day: day.day
-              });
-            }
-          }
+  // Fetches all comments on the trip's waypoints.
+  const fetchComments = async () => {
+    setCommentsError('');
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.get(`http://localhost:5000/api/trip/trip/${tripId}/comments`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
         }
-        await buildRoutes();
-        setMarkers(allMarkers);
-        setPolylines(allPolylines);
+      });
+      if (response.data.success) {
+        setComments(response.data.comments);
+      }
+    } catch (err) {
+      setCommentsError('Failed to load comments.');
+    }
+  };
 
-        // Center the map on the starting location of the trip.
-        if (tripData.days[0] && tripData.days[0].cities[0]) {
-          setMapCenter(tripData.days[0].cities[0].coordinates);
+  // Adds a newly posted comment to the list.
+  const handleCommentAdded = (comment) => {
+    setComments(prev => [...prev, comment]);
+  };
+
+  // Removes deleted comments (a thread and its replies) from the list.
+  const handleCommentsDeleted = (deletedIds) => {
+    setComments(prev => prev.filter(comment => !deletedIds.includes(comment.id)));
+  };
+
+  // Rolls the trip back to an earlier revision and refreshes the map and timeline.
+  const handleRestoreRevision = async (revisionNumber) => {
+    if (!window.confirm(`Restore this trip to revision ${revisionNumber}?`)) {
+      return;
+    }
+    setRestoringRevision(revisionNumber);
+    setRevisionsError('');
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.post(`http://localhost:5000/api/trip/trip/${tripId}/revisions/${revisionNumber}/restore`, {}, {
+        headers: {
+          'Authorization': `Bearer ${token}`
         }
-      } else {
-        setError('Failed to fetch trip details.');
+      });
+      if (response.data.success) {
+        setTrip(response.data.trip);
+        setEditSuccess(response.data.message);
+        fetchRevisions();
+        await buildMapData(response.data.trip);
       }
     } catch (err) {
-      setError('Failed to fetch trip details.');
+      setRevisionsError(err.response?.data?.message || 'Failed to restore revision.');
     } finally {
-      setLoading(false);
+      setRestoringRevision(null);
+    }
+  };
+
+  // Produces human-readable lines describing what a revision changed.
+  const describeRevisionChanges = (changes) => {
+    const lines = [];
+    if (changes.tripDate) lines.push(`Date changed from ${changes.tripDate.from} to ${changes.tripDate.to}`);
+    if (changes.tripType) lines.push(`Type changed from ${changes.tripType.from} to ${changes.tripType.to}`);
+    changes.added.forEach(w => lines.push(`+ Added ${w.name} (day ${w.day}, stop ${w.position})`));
+    changes.removed.forEach(w => lines.push(`− Removed ${w.name} (day ${w.day}, stop ${w.position})`));
+    changes.moved.forEach(w => lines.push(
+      `↕ Moved ${w.name} from day ${w.fromDay}, stop ${w.fromPosition} to day ${w.toDay}, stop ${w.toPosition}`
+    ));
+    changes.renamed.forEach(w => lines.push(`✎ Renamed ${w.from} to ${w.to} (day ${w.day})`));
+    (changes.notes || []).forEach(w => lines.push(
+      w.to ? `✎ Note on ${w.name} (day ${w.day}): "${w.to}"` : `✎ Note removed from ${w.name} (day ${w.day})`
+    ));
+    return lines;
+  };
+
+  // --- Edit Mode Handlers ---
+
+  // Enters edit mode with a draft copy of the trip's editable fields.
+  // Coordinates are kept as strings so the inputs can hold partial values while typing.
+  const startEditing = () => {
+    setEditDraft({
+      tripDate: trip.tripDate,
+      tripType: trip.tripType,
+      days: trip.tripData.days.map(day => ({
+        day: day.day,
+        cities: day.cities.map(city => ({
+          waypointId: city.waypointId,
+          name: city.name,
+          lat: String(city.coordinates[0]),
+          lng: String(city.coordinates[1]),
+          notes: city.notes || ''
+        }))
+      }))
+    });
+    setEditError('');
+    setEditSuccess('');
+    setIsEditing(true);
+  };
+
+  // Leaves edit mode and discards any unsaved changes.
+  const cancelEditing = () => {
+    setIsEditing(false);
+    setEditDraft(null);
+    setEditError('');
+  };
+
+  // Applies a transformation to the cities of a single day in the draft.
+  const updateDraftDay = (dayIndex, updateCities) => {
+    setEditDraft(prev => ({
+      ...prev,
+      days: prev.days.map((day, idx) => (
+        idx === dayIndex ? { ...day, cities: updateCities(day.cities) } : day
+      ))
+    }));
+  };
+
+  // Updates a single field (name, lat, lng or notes) of a waypoint in the draft.
+  const updateDraftCity = (dayIndex, cityIndex, field, value) => {
+    updateDraftDay(dayIndex, cities => cities.map((city, idx) => (
+      idx === cityIndex ? { ...city, [field]: value } : city
+    )));
+  };
+
+  // Moves a waypoint one position up (-1) or down (+1) within its day.
+  const moveDraftCity = (dayIndex, cityIndex, direction) => {
+    updateDraftDay(dayIndex, cities => {
+      const target = cityIndex + direction;
+      if (target < 0 || target >= cities.length) return cities;
+      const reordered = [...cities];
+      [reordered[cityIndex], reordered[target]] = [reordered[target], reordered[cityIndex]];
+      return reordered;
+    });
+  };
+
+  // Removes a waypoint from a day. Each day must keep at least two waypoints.
+  const removeDraftCity = (dayIndex, cityIndex) => {
+    updateDraftDay(dayIndex, cities => (
+      cities.length > 2 ? cities.filter((_, idx) => idx !== cityIndex) : cities
+    ));
+  };
+
+  // Inserts an empty waypoint before the last point of the day, so the day's end point is preserved.
+  const addDraftCity = (dayIndex) => {
+    updateDraftDay(dayIndex, cities => {
+      const updated = [...cities];
+      updated.splice(Math.max(cities.length - 1, 0), 0, { name: '', lat: '', lng: '', notes: '' });
+      return updated;
+    });
+  };
+
+  // Sends the edited trip to the backend, which re-validates the route and recomputes distances.
+  const handleSaveEdit = async () => {
+    // Convert the draft back into the tripData structure expected by the API.
+    const days = editDraft.days.map(day => ({
+      day: day.day,
+      cities: day.cities.map(city => ({
+        waypointId: city.waypointId,
+        name: city.name.trim(),
+        coordinates: [parseFloat(city.lat), parseFloat(city.lng)],
+        notes: city.notes.trim()
+      }))
+    }));
+    const hasInvalidCity = days.some(day => day.cities.some(city => (
+      !city.name ||
+      isNaN(city.coordinates[0]) || city.coordinates[0] < -90 || city.coordinates[0] > 90 ||
+      isNaN(city.coordinates[1]) || city.coordinates[1] < -180 || city.coordinates[1] > 180
+    )));
+    if (hasInvalidCity) {
+      setEditError('Every waypoint needs a name and valid latitude/longitude values.');
+      return;
+    }
+
+    setSavingEdit(true);
+    setEditError('');
+    setEditSuccess('');
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.put(`http://localhost:5000/api/trip/trip/${tripId}`, {
+        tripDate: editDraft.tripDate,
+        tripType: editDraft.tripType,
+        tripData: { days }
+      }, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+      if (response.data.success) {
+        setTrip(response.data.trip);
+        setIsEditing(false);
+        setEditDraft(null);
+        setEditSuccess('Trip updated successfully!');
+        fetchRevisions();
+        await buildMapData(response.data.trip);
+      } else {
+        setEditError('Failed to update trip.');
+      }
+    } catch (error) {
+      if (error.response?.data?.message) {
+        setEditError(error.response.data.message);
+      } else {
+        setEditError('Failed to update trip. Please try again.');
+      }
+    } finally {
+      setSavingEdit(false);
     }
   };
 
@@ -333,35 +662,191 @@ export default function TripView() {
               <img src={trip.countryFlag} alt={`${trip.country} flag`} className="country-flag" />
             )}
             <div className="trip-info">
-              <h3>{trip.city}, {trip.country}</h3>
-              <p><strong>Type:</strong> {trip.tripType}</p>
+              <h3>{trip.city}{trip.destinationCity ? ` → ${trip.destinationCity}` : ''}, {trip.country}</h3>
+              <p><strong>Type:</strong> {getTripType(trip.tripType)?.label || trip.tripType}</p>
+              {trip.difficulty && (
+                <p><strong>Difficulty:</strong> <DifficultyBadge grade={trip.difficulty} /></p>
+              )}
+              {trip.tripData && trip.tripData.days && (
+                <p><strong>Length:</strong> {trip.tripData.days.length} {trip.tripData.days.length === 1 ? 'day' : 'days'}</p>
+              )}
+              {describeAvoidances(trip.routeOptions, avoidFeatures) && (
+                <p><strong>Avoiding:</strong> {describeAvoidances(trip.routeOptions, avoidFeatures)}</p>
+              )}
+              {trip.planner && (
+                <p>
+                  <strong>Planned by:</strong>{' '}
+                  {trip.planner.source === 'llm' ? `${trip.planner.provider} · ${trip.planner.model}` : 'Automatic route builder (no AI)'}
+                </p>
+              )}
               <p><strong>Date:</strong> {trip.tripDate}</p>
               <p><strong>Created:</strong> {new Date(trip.createdAt).toLocaleDateString()}</p>
+              {role && role !== 'owner' && (
+                <p><strong>Shared by:</strong> {trip.userEmail} ({role})</p>
+              )}
             </div>
           </div>
-          {/* Renders the detailed itinerary for each day of the trip. */}
-          {trip.tripData && trip.tripData.days.map((day, index) => (
-            <div key={index} className="day-route">
-              <h4>Day {day.day}</h4>
-              <div className="route-info">
-                <p><strong>Total Distance:</strong> {day.totalDistance}</p>
-                <p><strong>Estimated Time:</strong> {day.estimatedTime}</p>
+          {/* Edit controls: toggles between the read-only itinerary and the edit form. */}
+          {!shared && !isEditing && (
+            <div className="trip-edit-actions">
+              {canEdit && (
+                <button className="secondary-button" onClick={startEditing}>
+                  Edit Trip
+                </button>
+              )}
+              <PlanAgainButton tripId={trip.tripId} className="secondary-button" />
+              {role === 'owner' && <ShareLinksPanel tripId={trip.tripId} />}
+              <CollaboratorsPanel tripId={trip.tripId} role={role} />
+              {editSuccess && <div className="success-message">{editSuccess}</div>}
+            </div>
+          )}
+          {isEditing && editDraft ? (
+            <div className="trip-edit-form">
+              <div className="form-group">
+                <label htmlFor="editTripDate">Trip Date</label>
+                <input
+                  type="date"
+                  id="editTripDate"
+                  className="input"
+                  value={editDraft.tripDate}
+                  onChange={(e) => setEditDraft({ ...editDraft, tripDate: e.target.value })}
+                />
               </div>
-              <div className="cities-list">
-                <strong>Route:</strong>
-                <ul>
-                  {day.cities.map((cityData, cityIndex) => (
-                    <li key={cityIndex}>
-                      <strong>{cityData.name}</strong> ({cityData.coordinates[0].toFixed(4)}, {cityData.coordinates[1].toFixed(4)})
-                      {day.distances && day.distances[cityIndex] && (
-                        <span className="distance-info"> → {day.distances[cityIndex]}</span>
-                      )}
-                    </li>
+              <div className="form-group">
+                <label htmlFor="editTripType">Trip Type</label>
+                <select
+                  id="editTripType"
+                  className="input"
+                  value={editDraft.tripType}
+                  onChange={(e) => setEditDraft({ ...editDraft, tripType: e.target.value })}
+                >
+                  {tripTypes.map(type => (
+                    <option key={type.id} value={type.id}>{type.label}</option>
                   ))}
-                </ul>
+                </select>
+              </div>
+              {/* Each day lists its waypoints with inputs for renaming, moving and removing them. */}
+              {editDraft.days.map((day, dayIndex) => (
+                <div key={dayIndex} className="day-route">
+                  <h4>Day {day.day}</h4>
+                  <ul className="edit-waypoints-list">
+                    {day.cities.map((cityData, cityIndex) => (
+                      <li key={cityIndex} className="edit-waypoint">
+                        <input
+                          type="text"
+                          className="input"
+                          value={cityData.name}
+                          placeholder="Waypoint name"
+                          onChange={(e) => updateDraftCity(dayIndex, cityIndex, 'name', e.target.value)}
+                        />
+                        <input
+                          type="number"
+                          step="any"
+                          className="input"
+                          value={cityData.lat}
+                          placeholder="Latitude"
+                          onChange={(e) => updateDraftCity(dayIndex, cityIndex, 'lat', e.target.value)}
+                        />
+                        <input
+                          type="number"
+                          step="any"
+                          className="input"
+                          value={cityData.lng}
+                          placeholder="Longitude"
+                          onChange={(e) => updateDraftCity(dayIndex, cityIndex, 'lng', e.target.value)}
+                        />
+                        <input
+                          type="text"
+                          className="input edit-waypoint-notes"
+                          value={cityData.notes}
+                          placeholder="Note (e.g. water refill here)"
+                          maxLength={500}
+                          onChange={(e) => updateDraftCity(dayIndex, cityIndex, 'notes', e.target.value)}
+                        />
+                        <button
+                          type="button"
+                          title="Move up"
+                          onClick={() => moveDraftCity(dayIndex, cityIndex, -1)}
+                          disabled={cityIndex === 0}
+                        >
+                          &uarr;
+                        </button>
+                        <button
+                          type="button"
+                          title="Move down"
+                          onClick={() => moveDraftCity(dayIndex, cityIndex, 1)}
+                          disabled={cityIndex === day.cities.length - 1}
+                        >
+                          &darr;
+                        </button>
+                        <button
+                          type="button"
+                          title="Remove waypoint"
+                          onClick={() => removeDraftCity(dayIndex, cityIndex)}
+                          disabled={day.cities.length <= 2}
+                        >
+                          &times;
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                  <button type="button" className="secondary-button" onClick={() => addDraftCity(dayIndex)}>
+                    + Add Waypoint
+                  </button>
+                </div>
+              ))}
+              {editError && <div className="error-message">{editError}</div>}
+              <div className="trip-edit-actions">
+                <button className="primary-button" onClick={handleSaveEdit} disabled={savingEdit}>
+                  {savingEdit ? 'Saving Changes...' : 'Save Changes'}
+                </button>
+                <button className="secondary-button" onClick={cancelEditing} disabled={savingEdit}>
+                  Cancel
+                </button>
               </div>
             </div>
-          ))}
+          ) : (
+            <>
+              {/* Renders the detailed itinerary for each day of the trip. */}
+              {commentsError && <div className="error-message">{commentsError}</div>}
+              {trip.tripData && trip.tripData.days.map((day, index) => (
+                <div key={index} className="day-route">
+                  <h4>Day {day.day} <DifficultyBadge grade={day.difficulty} /></h4>
+                  <div className="route-info">
+                    <p><strong>Total Distance:</strong> {day.totalDistance}</p>
+                    <p><strong>Estimated Time:</strong> {day.estimatedTime}</p>
+                    {day.elevation && (
+                      <p><strong>Climbing:</strong> ↑ {day.elevation.ascentM} m · ↓ {day.elevation.descentM} m · max {day.elevation.maxGradientPercent}%</p>
+                    )}
+                  </div>
+                  <div className="cities-list">
+                    <strong>Route:</strong>
+                    <ul>
+                      {day.cities.map((cityData, cityIndex) => (
+                        <li key={cityIndex}>
+                          <strong>{cityData.name}</strong> ({cityData.coordinates[0].toFixed(4)}, {cityData.coordinates[1].toFixed(4)})
+                          {day.distances && day.distances[cityIndex] && (
+                            <span className="distance-info"> → {day.distances[cityIndex]}</span>
+                          )}
+                          {cityData.notes && <p className="waypoint-notes">📝 {cityData.notes}</p>}
+                          {/* Comment threads are only available to the owner and collaborators. */}
+                          {!shared && cityData.waypointId && (
+                            <WaypointComments
+                              tripId={trip.tripId}
+                              waypointId={cityData.waypointId}
+                              comments={comments.filter(comment => comment.waypointId === cityData.waypointId)}
+                              onCommentAdded={handleCommentAdded}
+                              onCommentsDeleted={handleCommentsDeleted}
+                            />
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                </div>
+              ))}
+            </>
+          )}
           {/* This section handles the complex logic of displaying the correct weather information
               based on whether the trip date is in the past, present, or future. */}
           <div className="weather-section">
@@ -571,7 +1056,7 @@ export default function TripView() {
                       display: 'inline-block',
                       width: 18,
                       height: 6,
-                      background: idx === 0 ? '#ff4444' : '#4444ff',
+                      background: getRouteColor(idx, trip.tripData.days.length, getTripType(trip.tripType)?.color),
                       borderRadius: 3,
                       marginRight: 8
                     }}></span>
@@ -592,6 +1077,10 @@ export default function TripView() {
             />
             {/* This component handles map view changes. */}
             <ChangeMapView center={mapCenter} />
+            {/* Renders the areas the trip's routes avoid. */}
+            {avoidAreas.map((area, index) => (
+              <Polygon key={`avoid-${index}`} positions={area} pathOptions={AVOID_AREA_STYLE} />
+            ))}
             {/* Renders the route polylines on the map. */}
             {polylines.map((polyline, index) => (
               <Polyline
@@ -604,24 +1093,92 @@ export default function TripView() {
             ))}
             {/* Renders the markers for start/end and intermediate points. */}
             {markers.map((marker, index) => (
-              <Marker key={index} position={marker.position}>
+              <Marker key={index} position={marker.position} icon={getMarkerIcon(marker)}>
                 <Popup>
                   <div>
                     <strong>{marker.title}</strong>
                     <br />
                     Coordinates: {marker.position[0].toFixed(4)}, {marker.position[1].toFixed(4)}
+                    {marker.notes && (
+                      <>
+                        <br />
+                        <em>Note: {marker.notes}</em>
+                      </>
+                    )}
                   </div>
                 </Popup>
               </Marker>
             ))}
+            {/* Highlights the route point under the elevation chart's pointer. */}
+            {hoveredElevationPoint && (
+              <CircleMarker
+                center={hoveredElevationPoint.coordinates}
+                radius={7}
+                pathOptions={{ color: '#222', weight: 2, fillColor: '#fff', fillOpacity: 1 }}
+              />
+            )}
           </MapContainer>
         </div>
+        {/* Elevation profile of each day; hovering it highlights the point on the map. */}
+        {trip.tripData && trip.tripData.days && (
+          <ElevationChart
+            days={trip.tripData.days}
+            getColor={(dayIndex) => getRouteColor(dayIndex, trip.tripData.days.length, getTripType(trip.tripType)?.color)}
+            onHover={setHoveredElevationPoint}
+          />
+        )}
+        {/* Timeline of the trip's revisions with the waypoints each one changed,
+            also shown when loading them failed so the error is not hidden. */}
+        {(revisions.length > 0 || revisionsError) && (
+          <div className="revision-history">
+            <h3>Revision History</h3>
+            {revisionsError && <div className="error-message">{revisionsError}</div>}
+            <ol className="revision-timeline">
+              {revisions.map((revision, index) => {
+                const changeLines = describeRevisionChanges(revision.changes);
+                return (
+                  <li key={revision.revision} className="revision-entry">
+                    <div className="revision-header">
+                      <strong>Revision {revision.revision}</strong>
+                      <span className="revision-action">
+                        {revision.action === 'create' && 'Created'}
+                        {revision.action === 'update' && 'Edited'}
+                        {revision.action === 'restore' && `Restored from revision ${revision.restoredFrom}`}
+                      </span>
+                      <span className="revision-meta">
+                        by {revision.author.email} on {new Date(revision.createdAt).toLocaleString()}
+                      </span>
+                    </div>
+                    {changeLines.length > 0 ? (
+                      <ul className="revision-changes">
+                        {changeLines.map((line, lineIndex) => <li key={lineIndex}>{line}</li>)}
+                      </ul>
+                    ) : (
+                      revision.action !== 'create' && <p className="revision-changes">No waypoint changes</p>
+                    )}
+                    {index > 0 && canEdit && (
+                      <button
+                        className="secondary-button"
+                        onClick={() => handleRestoreRevision(revision.revision)}
+                        disabled={restoringRevision !== null}
+                      >
+                        {restoringRevision === revision.revision ? 'Restoring...' : 'Restore this version'}
+                      </button>
+                    )}
+                  </li>
+                );
+              })}
+            </ol>
+          </div>
+        )}
         {/* A button to navigate back to the previous page (likely the trip history). */}
-        <div className="trip-view-back-btn-container">
-          <button className="button" onClick={() => navigate(-1)}>
-            &larr; Back
-          </button>
-        </div>
+        {!shared && (
+          <div className="trip-view-back-btn-container">
+            <button className="button" onClick={() => navigate(-1)}>
+              &larr; Back
+            </button>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,46 @@
+/**
+ * Fitness Fields
+ *
+ * The limits a fitness profile can hold for each trip type, with the labels
+ * and input ranges shown in the profile editor and the trip planner. The
+ * ranges match the ones the server accepts.
+ */
+export const FITNESS_FIELDS = [
+  { name: 'minDailyKm', label: 'Min daily distance (km)', min: 1, max: 500, step: 1 },
+  { name: 'maxDailyKm', label: 'Max daily distance (km)', min: 1, max: 500, step: 1 },
+  { name: 'maxClimbingM', label: 'Max daily climbing (m)', min: 0, max: 10000, step: 50 },
+  { name: 'averageSpeedKmh', label: 'Average speed (km/h)', min: 1, max: 60, step: 0.5 }
+];
+
+/**
+ * Returns the value the planner uses for a field when no profile value is set.
+ * Daily distances come from the trip type registry; climbing and speed are
+ * not limited by default.
+ *
+ * @param {Object} [tripType] - Registry entry of the trip type (from useTripTypes)
+ * @param {string} name - Field name
+ * @returns {number|undefined} The default value, or undefined when unlimited
+ */
+export function getDefaultFitnessValue(tripType, name) {
+  if (!tripType) return undefined;
+  if (name === 'minDailyKm') return tripType.dailyDistanceKm.min;
+  if (name === 'maxDailyKm') return tripType.dailyDistanceKm.max;
+  return undefined;
+}
+
+/**
+ * Converts form values (strings, possibly empty) into the limits object sent
+ * to the server. Empty fields are left out so the server's fallback applies.
+ *
+ * @param {Object} values - Form values keyed by field name
+ * @returns {Object} The non-empty limits as numbers
+ */
+export function toFitnessLimits(values) {
+  const limits = {};
+  FITNESS_FIELDS.forEach(({ name }) => {
+    if (values[name] !== undefined && values[name] !== null && values[name] !== '') {
+      limits[name] = Number(values[name]);
+    }
+  });
+  return limits;
+}
@@ -0,0 +1,34 @@
+import L from 'leaflet';
+
+/**
+ * Map Icons
+ *
+ * Icons that tell the start and the finish of a trip apart on the map. Round
+ * trips use a single combined start/finish icon; point-to-point trips show a
+ * start flag and a finish flag. All other markers use Leaflet's default pin.
+ */
+const createEndpointIcon = (className, symbol) => L.divIcon({
+  className: `trip-endpoint-icon ${className}`,
+  html: `<span>${symbol}</span>`,
+  iconSize: [32, 32],
+  iconAnchor: [16, 30],
+  popupAnchor: [0, -28]
+});
+
+const ENDPOINT_ICONS = {
+  start: createEndpointIcon('start', '🚩'),
+  finish: createEndpointIcon('finish', '🏁'),
+  'start-finish': createEndpointIcon('start-finish', '🔁')
+};
+
+const defaultIcon = new L.Icon.Default();
+
+/**
+ * Returns the icon for a map marker.
+ *
+ * @param {Object} marker - Marker data; marker.endpoint may be 'start', 'finish' or 'start-finish'
+ * @returns {L.Icon} The icon to render the marker with
+ */
+export function getMarkerIcon(marker) {
+  return ENDPOINT_ICONS[marker.endpoint] || defaultIcon;
+}
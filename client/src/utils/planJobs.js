@@ -0,0 +1,165 @@
+import axios from 'axios';
+
+/**
+ * Trip Plan Jobs
+ *
+ * Trips are planned in background jobs on the server (POST /api/trip/plan/jobs),
+ * since planning can take longer than a request may stay open. The client
+ * polls the job for progress until it finishes. The job being followed is
+ * remembered in localStorage, so planning can be picked up again after a
+ * page reload.
+ */
+
+// How often a running job is polled
+const PLAN_JOB_POLL_INTERVAL_MS = 2000;
+
+// localStorage key of the remembered job
+const PLAN_JOB_STORAGE_KEY = 'planJob';
+
+/**
+ * Builds an error shaped like an axios error from a failed job, so callers
+ * can handle it the same way as a failed request.
+ *
+ * @param {Object} jobError - The job's error ({ status, error, message, ... })
+ * @returns {Error} Error with response: { status, data }
+ */
+function planError(jobError) {
+  const error = new Error(jobError.message || jobError.error || 'Failed to plan trip');
+  error.response = { status: jobError.status, data: jobError };
+  return error;
+}
+
+/**
+ * Builds the request options carrying the user's token, if any.
+ *
+ * @param {string|null} token - JWT of the logged-in user
+ * @returns {Object|undefined} axios request options
+ */
+function authOptions(token) {
+  return token ? { headers: { 'Authorization': `Bearer ${token}` } } : undefined;
+}
+
+/**
+ * Starts planning a trip.
+ *
+ * @param {Object} request - Plan request body (as for /api/trip/plan)
+ * @param {string|null} token - JWT of the logged-in user, if any
+ * @returns {Promise<string>} The job's ID
+ */
+export async function createPlanJob(request, token) {
+  const response = await axios.post('http://localhost:5000/api/trip/plan/jobs', request, authOptions(token));
+  return response.data.planJobId;
+}
+
+/**
+ * Cancels a plan job.
+ *
+ * @param {string} planJobId - The job's ID
+ * @param {string|null} token - JWT of the logged-in user, if any
+ * @returns {Promise<void>}
+ */
+export async function cancelPlanJob(planJobId, token) {
+  await axios.delete(`http://localhost:5000/api/trip/plan/jobs/${planJobId}`, authOptions(token));
+}
+
+/**
+ * Polls a plan job until it finishes.
+ *
+ * @param {string} planJobId - The job's ID
+ * @param {string|null} token - JWT of the logged-in user, if any
+ * @param {Object} handlers - Callbacks
+ * @param {Function} handlers.onUpdate - Called with the job ({ status, progress, ... }) after each poll
+ * @param {Function} handlers.isActive - Returns false once the caller no longer waits for the job
+ * @returns {Promise<Object|null>} The plan (the body of a successful /api/trip/plan response),
+ *   or null when the job was cancelled or the caller stopped waiting
+ * @throws {Error} With response: { status, data } when the job fails or cannot be fetched
+ */
+export async function waitForPlanJob(planJobId, token, { onUpdate, isActive }) {
+  for (;;) {
+    const response = await axios.get(`http://localhost:5000/api/trip/plan/jobs/${planJobId}`, authOptions(token));
+    if (!isActive()) {
+      return null;
+    }
+    const job = response.data;
+    onUpdate(job);
+    if (job.status === 'succeeded') {
+      return job.result;
+    }
+    if (job.status === 'failed') {
+      throw planError(job.error);
+    }
+    if (job.status === 'cancelled') {
+      return null;
+    }
+    await new Promise(resolve => setTimeout(resolve, PLAN_JOB_POLL_INTERVAL_MS));
+    if (!isActive()) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Remembers the job being followed, with the form values it was started from.
+ *
+ * @param {Object} job - { planJobId, request: { country, city, destinationCity, tripType, tripDate,
+ *   tripDays, mustVisit, avoidedFeatures, avoidPolygons, fitnessOverride } }, with the form's values
+ */
+export function rememberPlanJob(job) {
+  localStorage.setItem(PLAN_JOB_STORAGE_KEY, JSON.stringify(job));
+}
+
+/**
+ * Returns the remembered job, if any.
+ *
+ * @returns {Object|null} { planJobId, request }
+ */
+export function getRememberedPlanJob() {
+  try {
+    const job = JSON.parse(localStorage.getItem(PLAN_JOB_STORAGE_KEY));
+    return job && job.planJobId && job.request ? job : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Forgets the remembered job.
+ */
+export function forgetPlanJob() {
+  localStorage.removeItem(PLAN_JOB_STORAGE_KEY);
+}
+
+/**
+ * Describes a progress event in a line of the progress log.
+ *
+ * @param {string} event - Event name (see generateTripPlan on the server)
+ * @param {Object} data - Event payload
+ * @returns {string|null} The log line, or null for events not shown in the log
+ */
+export function describePlanProgress(event, data) {
+  switch (event) {
+    case 'attempt':
+      return `AI attempt ${data.attempt} of ${data.maxAttempts} (${data.provider} · ${data.model})`;
+    case 'llm-response':
+      return `AI replied with a plan (${data.characters} characters)`;
+    case 'candidate': {
+      const points = data.days.reduce((total, day) => total + day.cities.length, 0);
+      const days = `${data.days.length} ${data.days.length === 1 ? 'day' : 'days'}`;
+      return `Checking ${data.source === 'fallback' ? 'automatic route' : 'AI plan'} ${data.attempt}` +
+        (data.maxAttempts ? ` of ${data.maxAttempts}` : '') + `: ${days}, ${points} points`;
+    }
+    case 'segment':
+      return `Day ${data.day}, segment ${data.segment}/${data.segments}: ${data.from} → ${data.to}` +
+        (data.distanceKm !== null ? ` (${data.distanceKm} km)` : '');
+    case 'day-validated':
+      return `Day ${data.day} is routable: ${data.distanceKm} km`;
+    case 'day-out-of-range':
+      return `Day ${data.day} is ${data.distanceKm} km, outside the ${data.minKm}-${data.maxKm} km limit`;
+    case 'rejected':
+      return `Plan rejected: ${data.reasons.join('; ')}`;
+    case 'fallback':
+      return `${data.reason}; building a route automatically`;
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * Route Colors
+ *
+ * Colors used to draw each day of a trip on the map and in the map legend.
+ * The first two days keep the original red and blue; later days get further
+ * distinct colors. Trips longer than the palette fall back to generated hues,
+ * so any number of days can be told apart.
+ */
+const DAY_COLORS = [
+  '#ff4444', // Day 1 - red
+  '#4444ff', // Day 2 - blue
+  '#2e9e44', // Day 3 - green
+  '#ff9800', // Day 4 - orange
+  '#9c27b0', // Day 5 - purple
+  '#00a5b5', // Day 6 - teal
+  '#e91e63', // Day 7 - pink
+  '#795548', // Day 8 - brown
+  '#8bc34a', // Day 9 - lime
+  '#3f51b5', // Day 10 - indigo
+  '#ffc107', // Day 11 - amber
+  '#607d8b', // Day 12 - blue grey
+  '#c62828', // Day 13 - dark red
+  '#006064'  // Day 14 - dark cyan
+];
+
+/**
+ * Returns the route color for a day of a trip.
+ *
+ * @param {number} dayIndex - Zero-based index of the day within the trip
+ * @returns {string} A CSS color
+ */
+export function getDayColor(dayIndex) {
+  if (dayIndex < DAY_COLORS.length) {
+    return DAY_COLORS[dayIndex];
+  }
+  // Spread further days around the color wheel using the golden angle
+  return `hsl(${Math.round((dayIndex * 137.5) % 360)}, 70%, 45%)`;
+}
+
+/**
+ * Returns the color of a day's route on the map. Single-day trips are drawn
+ * in their trip type's color; multi-day trips use a color per day.
+ *
+ * @param {number} dayIndex - Zero-based index of the day within the trip
+ * @param {number} dayCount - Number of days in the trip
+ * @param {string} [tripTypeColor] - Color of the trip type from the registry
+ * @returns {string} A CSS color
+ */
+export function getRouteColor(dayIndex, dayCount, tripTypeColor) {
+  if (dayCount === 1 && tripTypeColor) {
+    return tripTypeColor;
+  }
+  return getDayColor(dayIndex);
+}
@@ -0,0 +1,31 @@
+/**
+ * Route Options
+ *
+ * Helpers for the features and areas a trip's routes avoid, shared by the
+ * planner and the trip view.
+ */
+
+// Map style of the areas a trip avoids
+export const AVOID_AREA_STYLE = { color: '#c62828', fillOpacity: 0.15, dashArray: '6 4' };
+
+/**
+ * Describes a trip's avoidances in words, e.g. "Ferries, Steps, 2 drawn areas".
+ *
+ * @param {Object} [routeOptions] - { avoidFeatures, avoidPolygons } of the trip
+ * @param {Array} avoidFeatures - Avoidable features from the registry ([{ id, label }])
+ * @returns {string} The description, or an empty string when nothing is avoided
+ */
+export function describeAvoidances(routeOptions, avoidFeatures) {
+  if (!routeOptions) {
+    return '';
+  }
+  const parts = (routeOptions.avoidFeatures || []).map(id => {
+    const feature = avoidFeatures.find(entry => entry.id === id);
+    return feature ? feature.label : id;
+  });
+  const areaCount = (routeOptions.avoidPolygons || []).length;
+  if (areaCount > 0) {
+    parts.push(`${areaCount} drawn ${areaCount === 1 ? 'area' : 'areas'}`);
+  }
+  return parts.join(', ');
+}
@@ -0,0 +1,91 @@
+const { TRIP_TYPES } = require('./tripTypes');
+
+/**
+ * Difficulty Grades
+ *
+ * Trips and their days are graded easy, moderate, hard or expert. A day is
+ * graded on four factors, each compared with the thresholds of its trip type
+ * in the trip type registry:
+ * - distance: the day's total distance
+ * - duration: the day's estimated time
+ * - climbing: the day's total ascent
+ * - surface: the share of the route on unpaved ground (ignored for trip
+ *   types such as mountain biking where unpaved ground is expected)
+ *
+ * A day is as hard as its hardest factor, and a trip is as hard as its
+ * hardest day. Factors without data (e.g. trips planned before elevation was
+ * recorded) do not count.
+ */
+const DIFFICULTY_GRADES = ['easy', 'moderate', 'hard', 'expert'];
+
+// Factors a day is graded on; each has thresholds of the same name in the registry
+const DIFFICULTY_FACTORS = ['distanceKm', 'durationHours', 'ascentM', 'unpavedPercent'];
+
+/**
+ * Reads the numbers a day is graded on from its stored itinerary data.
+ *
+ * @param {Object} day - A day of a trip itinerary
+ * @returns {Object} { distanceKm, durationHours, ascentM, unpavedPercent }, null where unknown
+ */
+function getDayFactors(day) {
+  const distanceKm = parseFloat(day.totalDistance);
+  const durationHours = parseFloat(day.estimatedTime);
+  return {
+    distanceKm: isFinite(distanceKm) ? distanceKm : null,
+    durationHours: isFinite(durationHours) ? durationHours : null,
+    ascentM: day.elevation && typeof day.elevation.ascentM === 'number' ? day.elevation.ascentM : null,
+    unpavedPercent: typeof day.unpavedPercent === 'number' ? day.unpavedPercent : null
+  };
+}
+
+/**
+ * Grades a single day of a trip.
+ *
+ * @param {string} tripType - Trip type identifier from the registry
+ * @param {Object} day - A day of the trip's itinerary
+ * @returns {string} One of DIFFICULTY_GRADES
+ */
+function rateDayDifficulty(tripType, day) {
+  const thresholds = TRIP_TYPES[tripType] && TRIP_TYPES[tripType].difficulty;
+  if (!thresholds) {
+    return DIFFICULTY_GRADES[0];
+  }
+  const factors = getDayFactors(day);
+  let level = 0;
+  DIFFICULTY_FACTORS.forEach(factor => {
+    const limits = thresholds[factor];
+    if (!limits || factors[factor] === null) {
+      return;
+    }
+    const factorLevel = limits.filter(limit => factors[factor] >= limit).length;
+    level = Math.max(level, factorLevel);
+  });
+  return DIFFICULTY_GRADES[level];
+}
+
+/**
+ * Grades every day of a trip and the trip as a whole. The grade of each day
+ * is written to its difficulty field.
+ *
+ * @param {string} tripType - Trip type identifier from the registry
+ * @param {Object} tripData - The trip itinerary (its days are modified in place)
+ * @returns {string|null} The trip's grade, or null when it has no days
+ */
+function applyDifficultyToTripData(tripType, tripData) {
+  const days = (tripData && tripData.days) || [];
+  if (days.length === 0) {
+    return null;
+  }
+  let tripLevel = 0;
+  days.forEach(day => {
+    day.difficulty = rateDayDifficulty(tripType, day);
+    tripLevel = Math.max(tripLevel, DIFFICULTY_GRADES.indexOf(day.difficulty));
+  });
+  return DIFFICULTY_GRADES[tripLevel];
+}
+
+module.exports = {
+  DIFFICULTY_GRADES,
+  rateDayDifficulty,
+  applyDifficultyToTripData
+};
@@ -0,0 +1,158 @@
+/**
+ * Route Avoidance Options
+ *
+ * Features and areas a trip's routes can avoid. They are chosen when planning
+ * a trip, saved with it and forwarded to OpenRouteService (ORS) whenever the
+ * trip's routes are validated or drawn, so every map shows the same route.
+ *
+ * Each avoidable feature has:
+ * - label: Name shown to users
+ * - orsFeature: Value for ORS' avoid_features option, or null when ORS has none
+ * - promptHint: Wording used in the LLM prompt
+ *
+ * ORS only accepts some avoid_features for each profile family (for example,
+ * cycling and walking profiles cannot avoid highways, which they never use
+ * for long stretches anyway). Features a profile does not support are only
+ * passed to the LLM as a preference.
+ */
+const AVOID_FEATURES = {
+  highways: {
+    label: 'Highways',
+    orsFeature: 'highways',
+    promptHint: 'highways and major roads'
+  },
+  ferries: {
+    label: 'Ferries',
+    orsFeature: 'ferries',
+    promptHint: 'ferry crossings'
+  },
+  unpaved: {
+    label: 'Unpaved roads',
+    orsFeature: null,
+    promptHint: 'unpaved roads and dirt tracks'
+  },
+  steps: {
+    label: 'Steps',
+    orsFeature: 'steps',
+    promptHint: 'stairs and steps'
+  }
+};
+
+// Identifiers of all avoidable features, in display order
+const AVOID_FEATURE_IDS = Object.keys(AVOID_FEATURES);
+
+// avoid_features values ORS accepts, by profile family (the part before the dash)
+const ORS_FEATURES_BY_PROFILE_FAMILY = {
+  driving: ['highways', 'tollways', 'ferries'],
+  cycling: ['ferries', 'steps', 'fords'],
+  foot: ['ferries', 'fords', 'steps'],
+  wheelchair: ['ferries', 'steps']
+};
+
+// Limits on the avoid areas drawn on the map
+const MAX_AVOID_POLYGONS = 10;
+const MIN_POLYGON_POINTS = 3;
+const MAX_POLYGON_POINTS = 50;
+
+/**
+ * Checks whether a value is a [latitude, longitude] pair.
+ *
+ * @param {*} point - Value to check
+ * @returns {boolean} True for valid coordinates
+ */
+function isValidPoint(point) {
+  return Array.isArray(point) && point.length === 2 &&
+    point.every(value => typeof value === 'number' && Number.isFinite(value)) &&
+    Math.abs(point[0]) <= 90 && Math.abs(point[1]) <= 180;
+}
+
+/**
+ * Validates and normalizes route options from a request body.
+ *
+ * Accepts { avoidFeatures: [String], avoidPolygons: [[[lat, lng]]] }. Unknown
+ * or repeated features are rejected; each polygon is a list of corners and is
+ * stored without repeating the first corner at the end.
+ *
+ * @param {*} input - Raw route options
+ * @returns {Object} { routeOptions } on success or { error } with a message
+ */
+function normalizeRouteOptions(input) {
+  if (input === undefined || input === null) {
+    return { routeOptions: { avoidFeatures: [], avoidPolygons: [] } };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Route options must be an object' };
+  }
+
+  const avoidFeatures = input.avoidFeatures === undefined || input.avoidFeatures === null ? [] : input.avoidFeatures;
+  if (!Array.isArray(avoidFeatures) ||
+      avoidFeatures.some(feature => !Object.prototype.hasOwnProperty.call(AVOID_FEATURES, feature))) {
+    return { error: `Avoided features must be any of: ${AVOID_FEATURE_IDS.join(', ')}` };
+  }
+
+  const avoidPolygons = input.avoidPolygons === undefined || input.avoidPolygons === null ? [] : input.avoidPolygons;
+  if (!Array.isArray(avoidPolygons) || avoidPolygons.length > MAX_AVOID_POLYGONS) {
+    return { error: `Avoid areas must be a list of at most ${MAX_AVOID_POLYGONS} polygons` };
+  }
+  const polygons = [];
+  for (const polygon of avoidPolygons) {
+    if (!Array.isArray(polygon) || !polygon.every(isValidPoint)) {
+      return { error: 'Each avoid area must be a list of [latitude, longitude] points' };
+    }
+    const first = polygon[0];
+    const last = polygon[polygon.length - 1];
+    const corners = polygon.length > 1 && first[0] === last[0] && first[1] === last[1] ? polygon.slice(0, -1) : polygon;
+    if (corners.length < MIN_POLYGON_POINTS || corners.length > MAX_POLYGON_POINTS) {
+      return { error: `Each avoid area must have between ${MIN_POLYGON_POINTS} and ${MAX_POLYGON_POINTS} points` };
+    }
+    polygons.push(corners.map(([lat, lng]) => [lat, lng]));
+  }
+
+  return {
+    routeOptions: {
+      // Keep the registry order so equal options always look the same
+      avoidFeatures: AVOID_FEATURE_IDS.filter(id => avoidFeatures.includes(id)),
+      avoidPolygons: polygons
+    }
+  };
+}
+
+/**
+ * Builds the ORS "options" object for a routing profile.
+ *
+ * @param {string} profile - ORS routing profile (e.g. 'cycling-regular')
+ * @param {Object} [routeOptions] - Normalized route options
+ * @returns {Object|undefined} ORS options, or undefined when nothing is avoided
+ */
+function buildORSRouteOptions(profile, routeOptions) {
+  if (!routeOptions) {
+    return undefined;
+  }
+  const options = {};
+  const supported = ORS_FEATURES_BY_PROFILE_FAMILY[String(profile).split('-')[0]] || [];
+  const features = (routeOptions.avoidFeatures || [])
+    .map(id => AVOID_FEATURES[id] && AVOID_FEATURES[id].orsFeature)
+    .filter(feature => feature && supported.includes(feature));
+  if (features.length > 0) {
+    options.avoid_features = features;
+  }
+  if (routeOptions.avoidPolygons && routeOptions.avoidPolygons.length > 0) {
+    // GeoJSON uses [longitude, latitude] and closed rings
+    options.avoid_polygons = {
+      type: 'MultiPolygon',
+      coordinates: routeOptions.avoidPolygons.map(polygon => [
+        [...polygon, polygon[0]].map(([lat, lng]) => [lng, lat])
+      ])
+    };
+  }
+  return Object.keys(options).length > 0 ? options : undefined;
+}
+
+module.exports = {
+  AVOID_FEATURES,
+  AVOID_FEATURE_IDS,
+  MAX_AVOID_POLYGONS,
+  MAX_POLYGON_POINTS,
+  normalizeRouteOptions,
+  buildORSRouteOptions
+};
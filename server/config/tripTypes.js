@@ -0,0 +1,137 @@
+/**
+ * Trip Type Registry
+ *
+ * Single source of truth for the kinds of trips the planner supports. Each
+ * entry describes how a trip type is routed, sized, described to the LLM and
+ * drawn on the map:
+ * - label: Name shown to users
+ * - orsProfile: OpenRouteService routing profile used for validation and drawing
+ * - defaultDays: Trip length used when the client does not ask for one
+ * - dailyDistanceKm: Default { min, max } distance of a single day
+ * - prompt: Wording used in the LLM prompt (trip name, route name and the
+ *   kinds of points the route may pass through)
+ * - color: Map/badge colour for the trip type
+ * - difficulty: Thresholds of a day's distance (km), duration (hours), ascent
+ *   (m) and unpaved share (%) at which it becomes moderate, hard and expert.
+ *   unpavedPercent is null for trip types where unpaved ground is expected.
+ *
+ * The Trip schema enum, the request validation in the trip routes and the
+ * client's trip type selects (through GET /api/trip/types) are all built from
+ * this registry, so adding a trip type only requires a new entry here.
+ */
+const TRIP_TYPES = {
+  bike: {
+    label: 'Bike',
+    orsProfile: 'cycling-regular',
+    defaultDays: 2,
+    dailyDistanceKm: { min: 10, max: 60 },
+    prompt: {
+      tripName: 'bike trip',
+      routeName: 'bike route',
+      pointKinds: 'streets, intersections, parks, viewpoints, or any interesting points along the way'
+    },
+    color: '#3498db',
+    difficulty: { distanceKm: [30, 60, 100], durationHours: [2, 4, 6], ascentM: [300, 800, 1500], unpavedPercent: [20, 40, 60] }
+  },
+  'road-bike': {
+    label: 'Road Bike',
+    orsProfile: 'cycling-road',
+    defaultDays: 1,
+    dailyDistanceKm: { min: 40, max: 120 },
+    prompt: {
+      tripName: 'road cycling trip',
+      routeName: 'road cycling route on paved roads',
+      pointKinds: 'towns, villages, paved climbs, viewpoints, or cafés along paved roads'
+    },
+    color: '#e67e22',
+    difficulty: { distanceKm: [60, 100, 150], durationHours: [2.5, 4.5, 7], ascentM: [500, 1200, 2200], unpavedPercent: [5, 15, 30] }
+  },
+  'mountain-bike': {
+    label: 'Mountain Bike',
+    orsProfile: 'cycling-mountain',
+    defaultDays: 1,
+    dailyDistanceKm: { min: 10, max: 50 },
+    prompt: {
+      tripName: 'mountain bike trip',
+      routeName: 'mountain bike route on trails and dirt roads',
+      pointKinds: 'trailheads, single tracks, forest roads, viewpoints, or summits along the way'
+    },
+    color: '#8e5a2b',
+    difficulty: { distanceKm: [20, 40, 70], durationHours: [2, 4, 6], ascentM: [400, 1000, 1800], unpavedPercent: null }
+  },
+  'e-bike': {
+    label: 'E-Bike',
+    orsProfile: 'cycling-electric',
+    defaultDays: 1,
+    dailyDistanceKm: { min: 20, max: 100 },
+    prompt: {
+      tripName: 'e-bike trip',
+      routeName: 'e-bike route',
+      pointKinds: 'towns, parks, viewpoints, charging-friendly cafés, or any interesting points along the way'
+    },
+    color: '#16a085',
+    difficulty: { distanceKm: [40, 80, 120], durationHours: [2, 4, 6], ascentM: [600, 1500, 2500], unpavedPercent: [20, 40, 60] }
+  },
+  trek: {
+    label: 'Trek',
+    orsProfile: 'foot-hiking',
+    defaultDays: 1,
+    dailyDistanceKm: { min: 5, max: 15 },
+    prompt: {
+      tripName: 'trek trip',
+      routeName: 'trek route',
+      pointKinds: 'hiking trails, viewpoints, parks, streets, or any interesting points along the way'
+    },
+    color: '#27ae60',
+    difficulty: { distanceKm: [8, 15, 25], durationHours: [3, 5, 8], ascentM: [300, 800, 1400], unpavedPercent: null }
+  },
+  running: {
+    label: 'Running',
+    orsProfile: 'foot-walking',
+    defaultDays: 1,
+    dailyDistanceKm: { min: 5, max: 30 },
+    prompt: {
+      tripName: 'running route',
+      routeName: 'running route on runnable paths and quiet streets',
+      pointKinds: 'parks, promenades, running paths, quiet streets, or landmarks along the way'
+    },
+    color: '#e74c3c',
+    difficulty: { distanceKm: [10, 21, 35], durationHours: [1, 2, 3.5], ascentM: [150, 400, 800], unpavedPercent: [30, 60, 90] }
+  },
+  'city-walk': {
+    label: 'City Walk',
+    orsProfile: 'foot-walking',
+    defaultDays: 1,
+    dailyDistanceKm: { min: 3, max: 12 },
+    prompt: {
+      tripName: 'city walk',
+      routeName: 'walking route through the city',
+      pointKinds: 'landmarks, squares, markets, museums, historic streets, or cafés along the way'
+    },
+    color: '#9b59b6',
+    difficulty: { distanceKm: [5, 10, 16], durationHours: [1.5, 3, 5], ascentM: [100, 250, 500], unpavedPercent: null }
+  }
+};
+
+// Identifiers of all supported trip types, in display order
+const TRIP_TYPE_IDS = Object.keys(TRIP_TYPES);
+
+/**
+ * Checks whether a value is a supported trip type identifier.
+ *
+ * @param {*} tripType - Value to check
+ * @returns {boolean} True for registered trip types
+ */
+function isValidTripType(tripType) {
+  return typeof tripType === 'string' && Object.prototype.hasOwnProperty.call(TRIP_TYPES, tripType);
+}
+
+// Error message listing the supported trip types, for 400 responses
+const TRIP_TYPE_ERROR_MESSAGE = `Trip type must be one of: ${TRIP_TYPE_IDS.join(', ')}`;
+
+module.exports = {
+  TRIP_TYPES,
+  TRIP_TYPE_IDS,
+  TRIP_TYPE_ERROR_MESSAGE,
+  isValidTripType
+};
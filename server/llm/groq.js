@@ -0,0 +1,31 @@
+const Groq = require('groq-sdk');
+
+/**
+ * Groq Provider
+ *
+ * Sends chat completions to Groq's hosted models through the groq-sdk.
+ *
+ * @param {Object} config - Resolved LLM configuration (see getLLMConfig)
+ * @param {string} config.model - Model name (e.g. 'llama-3.3-70b-versatile')
+ * @param {number|null} config.temperature - Sampling temperature, or null for the model's default
+ * @param {number} config.timeoutMs - How long to wait for a completion
+ * @param {string} config.apiKey - GROQ_API_KEY
+ * @returns {Object} Provider: { id, model, complete(messages, { signal }) }
+ */
+function createGroqProvider({ model, temperature, timeoutMs, apiKey }) {
+  const client = new Groq({ apiKey, timeout: timeoutMs, maxRetries: 0 });
+  return {
+    id: 'groq',
+    model,
+    async complete(messages, { signal } = {}) {
+      const completion = await client.chat.completions.create({
+        model,
+        messages,
+        ...(temperature !== null ? { temperature } : {})
+      }, { signal });
+      return completion.choices[0]?.message?.content || '';
+    }
+  };
+}
+
+module.exports = { createGroqProvider };
@@ -0,0 +1,174 @@
+const { createGroqProvider } = require('./groq');
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+const { createOllamaProvider } = require('./ollama');
+const { createMockProvider } = require('./mock');
+
+/**
+ * LLM Provider Registry
+ *
+ * Trip plans are written by a large language model behind a small provider
+ * interface, so the model can be swapped by configuration. Every provider
+ * exposes:
+ * - id: Registry identifier, recorded on trips planned with it
+ * - model: Model name, recorded on trips planned with it
+ * - complete(messages, { signal }): Sends chat messages ([{ role, content }]) and
+ *   resolves to the reply text; rejects when the service cannot be reached, times
+ *   out or the optional AbortSignal is aborted
+ *
+ * Each registry entry has:
+ * - label: Name shown to users
+ * - defaultModel: Model used when LLM_MODEL is not set
+ * - create: Factory taking the resolved configuration (see getLLMConfig)
+ */
+const LLM_PROVIDERS = {
+  groq: {
+    label: 'Groq',
+    defaultModel: 'llama-3.3-70b-versatile',
+    create: createGroqProvider
+  },
+  openai: {
+    label: 'OpenAI-compatible',
+    defaultModel: 'gpt-4o-mini',
+    create: createOpenAICompatibleProvider
+  },
+  ollama: {
+    label: 'Ollama',
+    defaultModel: 'llama3.1',
+    create: createOllamaProvider
+  },
+  mock: {
+    label: 'Mock',
+    defaultModel: 'canned-itineraries',
+    create: createMockProvider
+  }
+};
+
+// Identifiers of all providers
+const LLM_PROVIDER_IDS = Object.keys(LLM_PROVIDERS);
+
+// Where a trip plan came from: the LLM, or the fallback planner used without it
+const PLAN_SOURCES = ['llm', 'fallback'];
+
+// Default endpoints and limits
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_OLLAMA_BASE_URL = 'http://localhost:11434';
+const DEFAULT_TIMEOUT_MS = 60000;
+const MAX_TEMPERATURE = 2;
+const MAX_MODEL_NAME_LENGTH = 100;
+
+/**
+ * Reads the LLM configuration from environment variables:
+ * - LLM_PROVIDER: groq, openai, ollama, mock or none (defaults to groq when
+ *   GROQ_API_KEY is set, otherwise none; with none, /plan always uses its fallback planner)
+ * - LLM_MODEL: Model name (defaults to the provider's defaultModel)
+ * - LLM_TEMPERATURE: Sampling temperature from 0 to 2 (defaults to the model's own)
+ * - LLM_TIMEOUT_MS: How long to wait for a completion (default 60000)
+ * - GROQ_API_KEY: Key for the groq provider
+ * - OPENAI_BASE_URL / OPENAI_API_KEY: Endpoint and key for the openai provider
+ *   (the key is required only for the default OpenAI endpoint)
+ * - OLLAMA_BASE_URL: Ollama server for the ollama provider (default http://localhost:11434)
+ * - LLM_MOCK_FILE: JSON file of canned itineraries for the mock provider
+ *
+ * @param {Object} [env] - Environment variables (defaults to process.env)
+ * @returns {Object|null} The resolved configuration, or null when no provider is configured
+ * @throws {Error} When a variable has an invalid value, so misconfiguration is noticed at startup
+ */
+function getLLMConfig(env = process.env) {
+  const provider = (env.LLM_PROVIDER || (env.GROQ_API_KEY ? 'groq' : 'none')).trim().toLowerCase();
+  if (provider === 'none') {
+    return null;
+  }
+  if (!LLM_PROVIDERS[provider]) {
+    throw new Error(`LLM_PROVIDER must be one of: ${LLM_PROVIDER_IDS.join(', ')}, none`);
+  }
+
+  let temperature = null;
+  if (env.LLM_TEMPERATURE !== undefined && env.LLM_TEMPERATURE !== '') {
+    temperature = Number(env.LLM_TEMPERATURE);
+    if (!Number.isFinite(temperature) || temperature < 0 || temperature > MAX_TEMPERATURE) {
+      throw new Error(`LLM_TEMPERATURE must be a number from 0 to ${MAX_TEMPERATURE}`);
+    }
+  }
+
+  let timeoutMs = DEFAULT_TIMEOUT_MS;
+  if (env.LLM_TIMEOUT_MS !== undefined && env.LLM_TIMEOUT_MS !== '') {
+    timeoutMs = Number(env.LLM_TIMEOUT_MS);
+    if (!Number.isInteger(timeoutMs) || timeoutMs <= 0) {
+      throw new Error('LLM_TIMEOUT_MS must be a positive whole number of milliseconds');
+    }
+  }
+
+  const config = {
+    provider,
+    model: (env.LLM_MODEL || '').trim() || LLM_PROVIDERS[provider].defaultModel,
+    temperature,
+    timeoutMs
+  };
+
+  if (provider === 'groq') {
+    if (!env.GROQ_API_KEY) {
+      throw new Error('GROQ_API_KEY is required for the groq LLM provider');
+    }
+    config.apiKey = env.GROQ_API_KEY;
+  } else if (provider === 'openai') {
+    config.baseUrl = env.OPENAI_BASE_URL || DEFAULT_OPENAI_BASE_URL;
+    config.apiKey = env.OPENAI_API_KEY || null;
+    if (!config.apiKey && config.baseUrl === DEFAULT_OPENAI_BASE_URL) {
+      throw new Error('OPENAI_API_KEY is required for the openai LLM provider unless OPENAI_BASE_URL is set');
+    }
+  } else if (provider === 'ollama') {
+    config.baseUrl = env.OLLAMA_BASE_URL || DEFAULT_OLLAMA_BASE_URL;
+  } else if (provider === 'mock') {
+    config.mockFile = env.LLM_MOCK_FILE || null;
+  }
+  return config;
+}
+
+/**
+ * Creates the provider for a resolved configuration.
+ *
+ * @param {Object|null} config - Configuration from getLLMConfig
+ * @returns {Object|null} Provider ({ id, model, complete }), or null when no provider is configured
+ */
+function createLLMProvider(config) {
+  return config ? LLM_PROVIDERS[config.provider].create(config) : null;
+}
+
+/**
+ * Validates and normalizes the planner a trip was made with, as sent back by
+ * the client when the planned trip is saved.
+ *
+ * Accepts { source, provider, model }: source is 'llm' or 'fallback'; LLM
+ * plans also name the provider and model, fallback plans have neither.
+ *
+ * @param {*} input - Raw planner information
+ * @returns {Object} { planner } (null when not given) on success or { error } with a message
+ */
+function normalizePlanner(input) {
+  if (input === undefined || input === null) {
+    return { planner: null };
+  }
+  if (typeof input !== 'object' || Array.isArray(input) || !PLAN_SOURCES.includes(input.source)) {
+    return { error: `Planner source must be one of: ${PLAN_SOURCES.join(', ')}` };
+  }
+  if (input.source === 'fallback') {
+    return { planner: { source: 'fallback', provider: null, model: null } };
+  }
+  if (!LLM_PROVIDER_IDS.includes(input.provider)) {
+    return { error: `Planner provider must be one of: ${LLM_PROVIDER_IDS.join(', ')}` };
+  }
+  const model = typeof input.model === 'string' ? input.model.trim() : '';
+  if (!model || model.length > MAX_MODEL_NAME_LENGTH) {
+    return { error: `Planner model must be a name of at most ${MAX_MODEL_NAME_LENGTH} characters` };
+  }
+  return { planner: { source: 'llm', provider: input.provider, model } };
+}
+
+module.exports = {
+  LLM_PROVIDERS,
+  LLM_PROVIDER_IDS,
+  PLAN_SOURCES,
+  getLLMConfig,
+  createLLMProvider,
+  normalizePlanner
+};
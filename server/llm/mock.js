@@ -0,0 +1,63 @@
+const fs = require('fs');
+
+/**
+ * Canned itinerary returned by the mock provider when no LLM_MOCK_FILE is set:
+ * a one-day loop from Tel Aviv through the northern suburbs, in the format
+ * the trip planning prompt asks for.
+ */
+const DEFAULT_ITINERARIES = [
+  {
+    days: [
+      {
+        day: 1,
+        cities: [
+          { name: 'Tel Aviv', coordinates: [32.0853, 34.7818] },
+          { name: 'Herzliya', coordinates: [32.1624, 34.8447] },
+          { name: "Ra'anana", coordinates: [32.1848, 34.8713] },
+          { name: 'Petah Tikva', coordinates: [32.0840, 34.8878] },
+          { name: 'Ramat Gan', coordinates: [32.0684, 34.8248] },
+          { name: 'Tel Aviv', coordinates: [32.0853, 34.7818] }
+        ],
+        distances: ['0 km', '12 km', '4 km', '13 km', '7 km', '5 km'],
+        totalDistance: '41 km',
+        estimatedTime: '3 hours'
+      }
+    ]
+  }
+];
+
+/**
+ * Mock Provider
+ *
+ * Returns canned itineraries instead of calling a model, so trip planning can
+ * be developed and demonstrated without an API key or network access. The
+ * itineraries are returned in turn, starting again from the first after the
+ * last. They come from the JSON file named by LLM_MOCK_FILE (a single
+ * itinerary or an array of them) or, without it, from DEFAULT_ITINERARIES.
+ * The prompt is ignored, so a plan only passes validation when the request
+ * matches a canned itinerary; otherwise /plan falls back to its own planner.
+ *
+ * @param {Object} config - Resolved LLM configuration (see getLLMConfig)
+ * @param {string} config.model - Name recorded as the model
+ * @param {string|null} config.mockFile - Path of a JSON file with itineraries
+ * @returns {Object} Provider: { id, model, complete(messages) }
+ */
+function createMockProvider({ model, mockFile }) {
+  let itineraries = DEFAULT_ITINERARIES;
+  if (mockFile) {
+    const content = JSON.parse(fs.readFileSync(mockFile, 'utf8'));
+    itineraries = Array.isArray(content) ? content : [content];
+  }
+  let next = 0;
+  return {
+    id: 'mock',
+    model,
+    async complete() {
+      const itinerary = itineraries[next % itineraries.length];
+      next++;
+      return JSON.stringify(itinerary, null, 2);
+    }
+  };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,37 @@
+const axios = require('axios');
+
+/**
+ * Ollama Provider
+ *
+ * Sends chat completions to a local Ollama server (https://ollama.com)
+ * through its /api/chat endpoint, without streaming. The model must already
+ * be pulled on the server (e.g. `ollama pull llama3.1`).
+ *
+ * @param {Object} config - Resolved LLM configuration (see getLLMConfig)
+ * @param {string} config.model - Model name (e.g. 'llama3.1')
+ * @param {number|null} config.temperature - Sampling temperature, or null for the model's default
+ * @param {number} config.timeoutMs - How long to wait for a completion
+ * @param {string} config.baseUrl - Ollama server URL (e.g. 'http://localhost:11434')
+ * @returns {Object} Provider: { id, model, complete(messages, { signal }) }
+ */
+function createOllamaProvider({ model, temperature, timeoutMs, baseUrl }) {
+  return {
+    id: 'ollama',
+    model,
+    async complete(messages, { signal } = {}) {
+      const response = await axios.post(
+        `${baseUrl.replace(/\/+$/, '')}/api/chat`,
+        {
+          model,
+          messages,
+          stream: false,
+          ...(temperature !== null ? { options: { temperature } } : {})
+        },
+        { timeout: timeoutMs, signal }
+      );
+      return (response.data && response.data.message && response.data.message.content) || '';
+    }
+  };
+}
+
+module.exports = { createOllamaProvider };
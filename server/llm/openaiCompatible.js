@@ -0,0 +1,45 @@
+const axios = require('axios');
+
+/**
+ * OpenAI-Compatible Provider
+ *
+ * Sends chat completions to any server implementing OpenAI's
+ * /chat/completions API: OpenAI itself, or gateways and self-hosted servers
+ * such as OpenRouter, vLLM or LM Studio.
+ *
+ * @param {Object} config - Resolved LLM configuration (see getLLMConfig)
+ * @param {string} config.model - Model name (e.g. 'gpt-4o-mini')
+ * @param {number|null} config.temperature - Sampling temperature, or null for the model's default
+ * @param {number} config.timeoutMs - How long to wait for a completion
+ * @param {string} config.baseUrl - API base URL, up to and including the version (e.g. 'https://api.openai.com/v1')
+ * @param {string|null} config.apiKey - Bearer token, or null for servers without authentication
+ * @returns {Object} Provider: { id, model, complete(messages, { signal }) }
+ */
+function createOpenAICompatibleProvider({ model, temperature, timeoutMs, baseUrl, apiKey }) {
+  return {
+    id: 'openai',
+    model,
+    async complete(messages, { signal } = {}) {
+      const response = await axios.post(
+        `${baseUrl.replace(/\/+$/, '')}/chat/completions`,
+        {
+          model,
+          messages,
+          ...(temperature !== null ? { temperature } : {})
+        },
+        {
+          timeout: timeoutMs,
+          signal,
+          headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+          }
+        }
+      );
+      const choice = response.data && Array.isArray(response.data.choices) ? response.data.choices[0] : null;
+      return (choice && choice.message && choice.message.content) || '';
+    }
+  };
+}
+
+module.exports = { createOpenAICompatibleProvider };
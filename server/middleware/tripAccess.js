@@ -0,0 +1,96 @@
+const Trip = require('../models/Trip');
+
+/**
+ * Trip Access Control
+ *
+ * A trip can be accessed by its owner and by the collaborators the owner has
+ * invited. Each collaborator has a role that determines what they may do:
+ * - viewer: read the trip, its revisions, and clone it into their own history
+ * - editor: everything a viewer can do, plus change the itinerary
+ * - owner: everything, including deleting, sharing and managing collaborators
+ *
+ * Roles are ranked so that a higher role always includes the lower ones.
+ */
+const ROLE_RANK = {
+  viewer: 1,
+  editor: 2,
+  owner: 3
+};
+
+/**
+ * Determine a user's role on a trip.
+ *
+ * @param {Object} trip - The Trip document
+ * @param {string} email - Email of the user
+ * @returns {string|null} 'owner', 'editor', 'viewer', or null if the user has no access
+ */
+function getTripRole(trip, email) {
+  if (trip.userEmail === email) {
+    return 'owner';
+  }
+  const collaborator = (trip.collaborators || []).find(c => c.email === email);
+  return collaborator ? collaborator.role : null;
+}
+
+/**
+ * Trip Access Middleware Factory
+ *
+ * Creates middleware that loads the active (non-trashed) trip identified by
+ * req.params.tripId and verifies that the authenticated user holds at least
+ * the required role. Must run after the authentication middleware.
+ *
+ * On success the trip and the user's role are attached to the request:
+ * - req.trip: the Trip document
+ * - req.tripRole: 'owner', 'editor' or 'viewer'
+ *
+ * Usage: router.put('/trip/:tripId', authenticateToken, authorizeTripAccess('editor'), handler)
+ *
+ * @param {string} requiredRole - Minimum role needed ('viewer', 'editor' or 'owner')
+ * @returns {Function} Express middleware
+ */
+function authorizeTripAccess(requiredRole) {
+  return async (req, res, next) => {
+    try {
+      const { tripId } = req.params;
+      const { email } = req.user;
+
+      const trip = await Trip.findOne({
+        tripId,
+        deletedAt: null,
+        $or: [{ userEmail: email }, { 'collaborators.email': email }]
+      });
+
+      // Trips the user cannot see at all are reported as missing, not forbidden
+      if (!trip) {
+        return res.status(404).json({
+          error: 'Trip not found',
+          message: 'The requested trip could not be found or you do not have access to it'
+        });
+      }
+
+      const role = getTripRole(trip, email);
+      if (ROLE_RANK[role] < ROLE_RANK[requiredRole]) {
+        return res.status(403).json({
+          error: 'Insufficient permissions',
+          message: `This action requires the ${requiredRole} role on this trip`
+        });
+      }
+
+      req.trip = trip;
+      req.tripRole = role;
+      next();
+    } catch (error) {
+      console.error('Error checking trip access:', error);
+      res.status(500).json({
+        error: 'Failed to check trip access',
+        message: 'Unable to verify access to this trip. Please try again.'
+      });
+    }
+  };
+}
+
+module.exports = {
+  ROLE_RANK,
+  getTripRole,
+  authorizeTripAccess
+};
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+
+/**
+ * Plan Job Schema Definition
+ *
+ * Stores a trip plan request that runs in the background. Planning can take
+ * a minute (several LLM attempts plus route validation), which is longer than
+ * many proxies keep a request open, so clients create a job, poll it until it
+ * finishes and read the plan from it. Jobs are kept in the database so a
+ * client can pick a job up again after a page reload.
+ *
+ * Lifecycle: pending -> running -> succeeded | failed, or cancelled at any
+ * point before it finishes.
+ *
+ * Design Philosophy:
+ * - The job holds the response /plan would have sent (result or error), so
+ *   clients handle both the same way
+ * - Progress events are kept (the latest MAX_PROGRESS_EVENTS) so a resumed
+ *   client can show what happened so far
+ * - Jobs expire on their own after PLAN_JOB_RETENTION_HOURS
+ */
+const PLAN_JOB_STATUSES = ['pending', 'running', 'succeeded', 'failed', 'cancelled'];
+
+// Statuses of jobs that have not finished yet
+const ACTIVE_PLAN_JOB_STATUSES = ['pending', 'running'];
+
+// Most recent progress events kept on a job
+const MAX_PROGRESS_EVENTS = 200;
+
+/**
+ * Plan Job Retention Period
+ *
+ * Number of hours a job (and its plan) is kept after it was created.
+ * Configurable through the PLAN_JOB_RETENTION_HOURS environment variable.
+ */
+const PLAN_JOB_RETENTION_HOURS = parseInt(process.env.PLAN_JOB_RETENTION_HOURS, 10) || 24;
+
+const planJobSchema = new mongoose.Schema({
+  // Random identifier given to the client (planJobId in the API)
+  jobId: {
+    type: String,
+    required: true,
+    unique: true,
+    immutable: true
+  },
+
+  // The user who created the job; null for anonymous plan requests
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    immutable: true
+  },
+
+  // The plan request body, as sent to POST /api/trip/plan
+  request: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+    immutable: true
+  },
+
+  status: {
+    type: String,
+    enum: PLAN_JOB_STATUSES,
+    default: 'pending'
+  },
+
+  // Progress events reported while planning: [{ event, data, at }]
+  progress: [{
+    _id: false,
+    event: String,
+    data: mongoose.Schema.Types.Mixed,
+    at: Date
+  }],
+
+  // Body of the successful /plan response (set when the job succeeds)
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Status and body of the failed /plan response (set when the job fails):
+  // { status, error, message, ... }
+  error: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+
+  // When the job is removed from the database
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + PLAN_JOB_RETENTION_HOURS * 60 * 60 * 1000)
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * TTL Index for Automatic Job Removal
+ *
+ * MongoDB removes jobs once their expiresAt has passed.
+ */
+planJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Fail Interrupted Jobs
+ *
+ * Jobs run inside the server process, so jobs that were pending or running
+ * when the server stopped will never finish. Marks them as failed so clients
+ * waiting on them stop polling. Called on server startup.
+ *
+ * @returns {Promise<number>} Number of jobs marked as failed
+ */
+planJobSchema.statics.failInterruptedJobs = async function() {
+  const result = await this.updateMany(
+    { status: { $in: ACTIVE_PLAN_JOB_STATUSES } },
+    {
+      $set: {
+        status: 'failed',
+        finishedAt: new Date(),
+        error: {
+          status: 500,
+          error: 'Failed to plan trip',
+          message: 'The server restarted while your trip was being planned. Please try again.'
+        }
+      }
+    }
+  );
+  return result.modifiedCount;
+};
+
+planJobSchema.statics.PLAN_JOB_STATUSES = PLAN_JOB_STATUSES;
+planJobSchema.statics.ACTIVE_PLAN_JOB_STATUSES = ACTIVE_PLAN_JOB_STATUSES;
+planJobSchema.statics.MAX_PROGRESS_EVENTS = MAX_PROGRESS_EVENTS;
+
+module.exports = mongoose.model('PlanJob', planJobSchema);
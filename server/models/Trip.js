@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { TRIP_TYPE_IDS } = require('../config/tripTypes');
+const { AVOID_FEATURE_IDS } = require('../config/routeOptions');
+const { DIFFICULTY_GRADES, applyDifficultyToTripData } = require('../config/difficulty');
+const { LLM_PROVIDER_IDS, PLAN_SOURCES } = require('../llm');
 
 /**
  * Trip Schema Definition
@@ -47,17 +52,24 @@ const tripSchema = new mongoose.Schema({
     trim: true
   },
   
-  // City where the trip starts and ends
+  // City where the trip starts (and ends, for round trips)
   city: {
     type: String,
     required: true,
     trim: true
   },
 
+  // City where a point-to-point trip ends; null for round trips
+  destinationCity: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
   // Type of trip activity - restricts to supported trip types
   tripType: {
     type: String,
-    enum: ['bike', 'trek'], // Only these trip types are supported
+    enum: TRIP_TYPE_IDS, // Only trip types from the registry are supported
     required: true
   },
   
@@ -79,10 +91,14 @@ const tripSchema = new mongoose.Schema({
    * Structure:
    * - days: Array of daily itineraries
    *   - day: Day number (1, 2, etc.)
-   *   - cities: Array of waypoints with names and coordinates
+   *   - cities: Array of waypoints with names, coordinates and optional notes
    *   - distances: Array of distances between consecutive points
+   *   - durations: Array of durations between consecutive points
    *   - totalDistance: Total distance for the day
    *   - estimatedTime: Estimated duration for the day
+   *   - elevation: Ascent, descent, steepest gradient and a sampled elevation profile
+   *   - unpavedPercent: Share of the day's route on unpaved ground
+   *   - difficulty: Grade of the day, derived whenever the trip is saved
    */
   tripData: {
     days: [{
@@ -106,13 +122,195 @@ const tripSchema = new mongoose.Schema({
             },
             message: 'Coordinates must be valid [latitude, longitude] pairs'
           }
+        },
+        // Stable identifier of the waypoint within the trip, kept across edits
+        // so that comment threads stay attached to the same waypoint
+        waypointId: {
+          type: String
+        },
+        // Free-text note about the waypoint (e.g. "water refill here")
+        notes: {
+          type: String,
+          trim: true,
+          maxlength: 500
         }
       }],
       distances: [String], // Array of distance strings (e.g., "5.2 km")
+      durations: [String], // Array of segment duration strings (e.g., "12.5 min")
       totalDistance: String, // Total daily distance
-      estimatedTime: String // Estimated daily duration
+      estimatedTime: String, // Estimated daily duration
+      // Elevation of the day's route from OpenRouteService; null when unknown
+      elevation: {
+        type: {
+          _id: false,
+          ascentM: Number, // Total climbing in meters
+          descentM: Number, // Total descending in meters
+          maxGradientPercent: Number, // Steepest climb, in percent
+          // Points spread evenly along the route
+          profile: [{
+            _id: false,
+            distanceKm: Number, // Distance from the start of the day
+            elevationM: Number,
+            coordinates: [Number] // [latitude, longitude]
+          }]
+        },
+        default: null
+      },
+      // Share of the route on unpaved ground (0-100) from OpenRouteService; null when unknown
+      unpavedPercent: {
+        type: Number,
+        default: null
+      },
+      // Grade of the day, derived from the fields above
+      difficulty: {
+        type: String,
+        enum: DIFFICULTY_GRADES
+      }
     }]
   },
+
+  /**
+   * What the trip's routes avoid, as chosen when the trip was planned.
+   * They are forwarded to OpenRouteService whenever the routes are validated
+   * or drawn, so the map shows the route that was planned.
+   * - avoidFeatures: Avoided features from config/routeOptions.js
+   * - avoidPolygons: Areas drawn on the map, each a list of [latitude, longitude] corners
+   */
+  routeOptions: {
+    avoidFeatures: {
+      type: [{ type: String, enum: AVOID_FEATURE_IDS }],
+      default: []
+    },
+    avoidPolygons: {
+      type: [[[Number]]],
+      default: []
+    }
+  },
+  
+  /**
+   * Which planner made the trip, as reported by /plan; null for trips planned
+   * before it was recorded.
+   * - source: 'llm', or 'fallback' for the geometric planner used without the LLM
+   * - provider: LLM provider from llm/index.js (null for fallback plans)
+   * - model: Model name the provider used (null for fallback plans)
+   */
+  planner: {
+    type: {
+      _id: false,
+      source: { type: String, enum: PLAN_SOURCES },
+      provider: { type: String, enum: LLM_PROVIDER_IDS },
+      model: String
+    },
+    default: null
+  },
+  
+  // Total distance of the trip in kilometers, derived from the daily totals in
+  // tripData whenever the trip is saved; used to sort the trip history by distance
+  totalDistanceKm: {
+    type: Number,
+    default: 0
+  },
+
+  // Grade of the hardest day (easy, moderate, hard or expert), derived from
+  // tripData whenever the trip is saved; used to filter the trip history
+  difficulty: {
+    type: String,
+    enum: DIFFICULTY_GRADES,
+    default: null
+  },
+  
+  /**
+   * GeoJSON MultiPoint of every waypoint in the itinerary, derived from tripData
+   * whenever the trip is saved. Unlike tripData, coordinates here follow the
+   * GeoJSON [longitude, latitude] order so trips can be queried geographically.
+   */
+  waypointsGeo: {
+    type: {
+      type: String,
+      enum: ['MultiPoint']
+    },
+    coordinates: {
+      type: [[Number]],
+      default: undefined
+    }
+  },
+  
+  /**
+   * Users the owner has invited to the trip, each with a role:
+   * - viewer: can view and clone the trip
+   * - editor: can also change the itinerary
+   * Collaborators are identified by their (lowercase) account email.
+   */
+  collaborators: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true
+    },
+    role: {
+      type: String,
+      enum: ['viewer', 'editor'],
+      required: true
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
+  /**
+   * Public share links for read-only access to the trip
+   * Anyone holding an active token can view a sanitized copy of the trip
+   * without logging in. Revoking a link removes its token from this list.
+   */
+  shareLinks: [{
+    token: {
+      type: String,
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
+  /**
+   * Personal organization of the trip by its owner:
+   * - tags: free-form lowercase labels (e.g. "family", "gravel")
+   * - favorite: whether the trip is starred
+   * - folderId: the TripFolder the trip is filed in, or null when unfiled
+   */
+  tags: {
+    type: [{
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: 30
+    }],
+    default: []
+  },
+  favorite: {
+    type: Boolean,
+    default: false
+  },
+  folderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TripFolder',
+    default: null
+  },
+  
+  // Timestamp for when the trip was moved to the trash (soft delete)
+  // A null value means the trip is active; trashed trips are purged automatically
+  // once the retention period has passed (see the TTL index below)
+  deletedAt: {
+    type: Date,
+    default: null
+  },
   
   // Timestamp for when the trip was created
   createdAt: {
@@ -133,4 +331,284 @@ const tripSchema = new mongoose.Schema({
  */
 tripSchema.index({ userEmail: 1, createdAt: -1 });
 
+/**
+ * Trip History Sort Indexes
+ * 
+ * Support the alternative sort orders of the trip history (by trip date and by
+ * distance), with the _id tie-breaker used for cursor pagination.
+ */
+tripSchema.index({ userEmail: 1, tripDate: -1, _id: -1 });
+tripSchema.index({ userEmail: 1, totalDistanceKm: -1, _id: -1 });
+
+/**
+ * Difficulty Filter Index
+ * 
+ * Supports filtering the trip history by difficulty grade.
+ */
+tripSchema.index({ userEmail: 1, difficulty: 1 });
+
+/**
+ * Geospatial Index
+ * 
+ * Enables "trips near here" queries on the waypoints of a trip.
+ */
+tripSchema.index({ waypointsGeo: '2dsphere' });
+
+/**
+ * Full-Text Search Index
+ * 
+ * Lets users search their trips by city, country and waypoint name. Matches on
+ * the city weigh the most, waypoint names the least. Place names come from many
+ * languages, so no language-specific stemming or stop words are applied.
+ */
+tripSchema.index(
+  { city: 'text', country: 'text', 'tripData.days.cities.name': 'text' },
+  {
+    name: 'trip_text_search',
+    weights: { city: 10, country: 5, 'tripData.days.cities.name': 3 },
+    default_language: 'none'
+  }
+);
+
+/**
+ * Tag Index
+ * 
+ * Optimizes listing a user's tags and filtering their trips by tag.
+ */
+tripSchema.index({ userEmail: 1, tags: 1 });
+
+/**
+ * Collaborator Index
+ * 
+ * Optimizes access checks and the "Shared with me" listing, which both look up
+ * trips by a collaborator's email.
+ */
+tripSchema.index({ 'collaborators.email': 1 });
+
+/**
+ * Share Token Index
+ * 
+ * Optimizes public lookups of trips by share token and guarantees that a
+ * token can never point to more than one trip.
+ */
+tripSchema.index({ 'shareLinks.token': 1 }, { unique: true, sparse: true });
+
+/**
+ * Trash Retention Period
+ * 
+ * Number of days a trashed trip is kept before it is permanently removed.
+ * Configurable through the TRASH_RETENTION_DAYS environment variable.
+ */
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+/**
+ * TTL Index for Automatic Trash Purging
+ * 
+ * MongoDB removes documents once deletedAt is older than the retention period.
+ * Active trips have a null deletedAt and are never affected by this index.
+ * A changed retention period is applied to an existing index on startup by
+ * syncTrashRetention, since MongoDB does not replace an index whose options
+ * differ.
+ */
+const TRASH_RETENTION_SECONDS = TRASH_RETENTION_DAYS * 24 * 60 * 60;
+tripSchema.index({ deletedAt: 1 }, { expireAfterSeconds: TRASH_RETENTION_SECONDS });
+
+tripSchema.statics.TRASH_RETENTION_DAYS = TRASH_RETENTION_DAYS;
+
+/**
+ * Sync Trash Retention
+ * 
+ * Updates the expiry of the existing trash TTL index (with collMod) when
+ * TRASH_RETENTION_DAYS has changed since the index was created. Called on
+ * server startup.
+ * 
+ * @returns {Promise<boolean>} True if the index was updated
+ */
+tripSchema.statics.syncTrashRetention = async function() {
+  let indexes;
+  try {
+    indexes = await this.collection.indexes();
+  } catch (err) {
+    // No trips collection yet: the index will be created with the current retention
+    if (err.codeName === 'NamespaceNotFound') {
+      return false;
+    }
+    throw err;
+  }
+  const index = indexes.find(entry => Object.keys(entry.key).length === 1 && entry.key.deletedAt === 1);
+  if (!index || index.expireAfterSeconds === TRASH_RETENTION_SECONDS) {
+    return false;
+  }
+  await this.db.db.command({
+    collMod: this.collection.collectionName,
+    index: { keyPattern: { deletedAt: 1 }, expireAfterSeconds: TRASH_RETENTION_SECONDS }
+  });
+  return true;
+};
+
+/**
+ * Assign Waypoint IDs
+ * 
+ * Gives every waypoint that does not have one yet a waypointId. Waypoints of
+ * trips saved before waypoint IDs existed receive theirs the next time the
+ * trip is saved or viewed.
+ * 
+ * @returns {boolean} True if any waypoint received a new ID
+ */
+tripSchema.methods.assignWaypointIds = function() {
+  let assigned = false;
+  ((this.tripData && this.tripData.days) || []).forEach(day => {
+    day.cities.forEach(city => {
+      if (!city.waypointId) {
+        city.waypointId = crypto.randomUUID();
+        assigned = true;
+      }
+    });
+  });
+  return assigned;
+};
+
+/**
+ * Total Distance Helper Function
+ * 
+ * Adds up the daily distances of an itinerary. Daily totals are stored as
+ * strings such as "42.17 km"; days without a usable distance count as zero.
+ * 
+ * @param {Object} tripData - The trip itinerary
+ * @returns {number} Total distance in kilometers
+ */
+function computeTotalDistanceKm(tripData) {
+  const total = ((tripData && tripData.days) || []).reduce((sum, day) => {
+    const km = parseFloat(day.totalDistance);
+    return sum + (isFinite(km) ? km : 0);
+  }, 0);
+  return Math.round(total * 100) / 100;
+}
+
+/**
+ * Waypoint Geometry Helper Function
+ * 
+ * Builds the GeoJSON MultiPoint of an itinerary's waypoints, converting the
+ * stored [latitude, longitude] pairs to GeoJSON's [longitude, latitude] order.
+ * 
+ * @param {Object} tripData - The trip itinerary
+ * @returns {Object|undefined} The MultiPoint, or undefined if there are no waypoints
+ */
+function computeWaypointsGeo(tripData) {
+  const coordinates = ((tripData && tripData.days) || []).flatMap(day => 
+    day.cities.map(city => [city.coordinates[1], city.coordinates[0]])
+  );
+  return coordinates.length > 0 ? { type: 'MultiPoint', coordinates } : undefined;
+}
+
+/**
+ * Derived Fields Middleware
+ * 
+ * Makes sure every waypoint has an ID and that the total distance, the
+ * waypoint geometry and the difficulty grades match the itinerary before the
+ * trip is validated and saved.
+ */
+tripSchema.pre('validate', function(next) {
+  this.assignWaypointIds();
+  this.totalDistanceKm = computeTotalDistanceKm(this.tripData);
+  this.waypointsGeo = computeWaypointsGeo(this.tripData);
+  this.difficulty = applyDifficultyToTripData(this.tripType, this.tripData);
+  next();
+});
+
+/**
+ * Backfill Derived Fields
+ * 
+ * Computes totalDistanceKm, waypointsGeo and the difficulty grades for trips
+ * saved before these fields existed, so they can be sorted by distance, found
+ * by location and filtered by difficulty. Safe to run repeatedly; called on
+ * server startup.
+ * 
+ * @returns {Promise<number>} Number of trips updated
+ */
+tripSchema.statics.backfillDerivedFields = async function() {
+  const trips = await this.find({
+    $or: [
+      { totalDistanceKm: { $exists: false } },
+      { waypointsGeo: { $exists: false } },
+      { difficulty: { $exists: false } }
+    ]
+  }).select('tripType tripData').lean();
+  if (trips.length === 0) {
+    return 0;
+  }
+  await this.bulkWrite(trips.map(trip => {
+    const difficulty = applyDifficultyToTripData(trip.tripType, trip.tripData);
+    return {
+      updateOne: {
+        filter: { _id: trip._id },
+        update: {
+          $set: {
+            totalDistanceKm: computeTotalDistanceKm(trip.tripData),
+            waypointsGeo: computeWaypointsGeo(trip.tripData),
+            difficulty,
+            'tripData.days': (trip.tripData && trip.tripData.days) || []
+          }
+        },
+        timestamps: false
+      }
+    };
+  }));
+  return trips.length;
+};
+
+/**
+ * Orphan Purge Batch Size
+ * 
+ * Number of trip IDs checked against the trips collection per query while
+ * looking for orphaned revisions and comments.
+ */
+const ORPHAN_PURGE_BATCH_SIZE = 500;
+
+/**
+ * Purge Orphaned Trip Data
+ * 
+ * Removes the revisions and comments of trips that no longer exist. Trips
+ * emptied from the trash by the TTL index are removed by MongoDB itself, so
+ * their revisions and comments are cleaned up here instead of when the trip
+ * is deleted. Called on server startup and periodically afterwards.
+ * 
+ * The trip IDs of each collection are walked with a cursor over its tripId
+ * index and checked ORPHAN_PURGE_BATCH_SIZE at a time, so neither memory use
+ * nor query size grows with the number of trips.
+ * 
+ * @returns {Promise<number>} Number of revisions and comments removed
+ */
+tripSchema.statics.purgeOrphanedData = async function() {
+  let removed = 0;
+  const purgeBatch = async (Model, tripIds) => {
+    const existing = new Set(await this.distinct('tripId', { tripId: { $in: tripIds } }));
+    const orphaned = tripIds.filter(tripId => !existing.has(tripId));
+    if (orphaned.length > 0) {
+      const result = await Model.deleteMany({ tripId: { $in: orphaned } });
+      removed += result.deletedCount;
+    }
+  };
+
+  for (const modelName of ['TripRevision', 'TripComment']) {
+    const Model = mongoose.model(modelName);
+    // Sorting before grouping lets MongoDB read each trip ID once from the index
+    const cursor = Model.aggregate([{ $sort: { tripId: 1 } }, { $group: { _id: '$tripId' } }])
+      .allowDiskUse(true)
+      .cursor({ batchSize: ORPHAN_PURGE_BATCH_SIZE });
+    let batch = [];
+    for await (const { _id: tripId } of cursor) {
+      batch.push(tripId);
+      if (batch.length === ORPHAN_PURGE_BATCH_SIZE) {
+        await purgeBatch(Model, batch);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await purgeBatch(Model, batch);
+    }
+  }
+  return removed;
+};
+
 module.exports = mongoose.model('Trip', tripSchema); 
\ No newline at end of file
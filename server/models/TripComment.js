@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+/**
+ * Trip Comment Schema Definition
+ *
+ * Stores the comments that the owner and collaborators of a trip leave on its
+ * waypoints. Comments are grouped into threads: a top-level comment starts a
+ * thread on a waypoint and replies point to it through parentId.
+ *
+ * Design Philosophy:
+ * - Comments live outside the Trip document so that discussing a trip never
+ *   creates a new itinerary revision
+ * - Waypoints are referenced by their stable waypointId, so threads follow a
+ *   waypoint when it is renamed or moved to another day
+ * - Threads are one level deep (replies cannot be replied to) to keep them readable
+ */
+const tripCommentSchema = new mongoose.Schema({
+  // Identifier of the trip the comment belongs to (matches Trip.tripId)
+  tripId: {
+    type: String,
+    required: true,
+    index: true // Optimize comment lookups by trip
+  },
+
+  // Identifier of the waypoint being discussed (matches a city's waypointId)
+  waypointId: {
+    type: String,
+    required: true
+  },
+
+  // The top-level comment this comment replies to (null for thread starters)
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TripComment',
+    default: null
+  },
+
+  // The user who wrote the comment
+  author: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: {
+      type: String,
+      required: true
+    }
+  },
+
+  // Comment text
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+
+  // Timestamp for when the comment was written
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Compound Index for Thread Queries
+ *
+ * Optimizes listing a trip's comments in the order they were written.
+ */
+tripCommentSchema.index({ tripId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('TripComment', tripCommentSchema);
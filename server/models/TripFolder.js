@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+/**
+ * Trip Folder Schema Definition
+ *
+ * Named folders that a user creates to organize their trip history
+ * (e.g. "Alps 2025", "Weekend rides"). A trip belongs to at most one folder,
+ * referenced through Trip.folderId.
+ *
+ * Design Philosophy:
+ * - Folders are personal: each user only sees and manages their own folders
+ * - Stored server-side so the organization is the same on every device
+ * - Deleting a folder never deletes trips; its trips simply become unfiled
+ */
+const tripFolderSchema = new mongoose.Schema({
+  // Reference to the User who owns the folder
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Denormalized owner email, matching how trips are queried (Trip.userEmail)
+  userEmail: {
+    type: String,
+    required: true,
+    index: true // Optimize folder lookups by user
+  },
+
+  // Display name of the folder
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+
+  // Timestamp for when the folder was created
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Unique Folder Name Index
+ *
+ * Prevents a user from creating two folders with the same name.
+ * The collation makes the comparison case-insensitive.
+ */
+tripFolderSchema.index(
+  { userEmail: 1, name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+
+module.exports = mongoose.model('TripFolder', tripFolderSchema);
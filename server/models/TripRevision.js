@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+
+/**
+ * Trip Revision Schema Definition
+ *
+ * Stores an immutable snapshot of a trip every time its itinerary changes.
+ * Revisions form the audit trail shown in the trip's history timeline and
+ * allow a trip to be rolled back to any earlier state.
+ *
+ * Design Philosophy:
+ * - Append-only: revisions are never modified once written
+ * - Self-contained snapshots, so any revision can be restored without replaying changes
+ * - Sequential revision numbers per trip for simple ordering and lookups
+ */
+const tripRevisionSchema = new mongoose.Schema({
+  // Identifier of the trip this revision belongs to (matches Trip.tripId)
+  tripId: {
+    type: String,
+    required: true,
+    immutable: true,
+    index: true // Optimize revision lookups by trip
+  },
+
+  // Sequential revision number within the trip, starting at 1
+  revision: {
+    type: Number,
+    required: true,
+    immutable: true
+  },
+
+  // What caused this revision to be recorded
+  action: {
+    type: String,
+    enum: ['create', 'update', 'restore'],
+    required: true,
+    immutable: true
+  },
+
+  // Revision number this revision was restored from (only set for 'restore')
+  restoredFrom: {
+    type: Number,
+    immutable: true
+  },
+
+  // The user who made the change
+  author: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      immutable: true
+    },
+    email: {
+      type: String,
+      required: true,
+      immutable: true
+    }
+  },
+
+  // Snapshot of the trip fields that can change over time
+  tripType: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  tripDate: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+
+  // Complete copy of the itinerary at the time of the revision
+  // Stored as a plain object so the snapshot is never reshaped by later Trip schema changes
+  tripData: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+    immutable: true
+  },
+
+  // Timestamp for when the change was made
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+/**
+ * Unique Revision Index
+ *
+ * Guarantees that each revision number is used only once per trip and
+ * optimizes listing a trip's revisions in order.
+ */
+tripRevisionSchema.index({ tripId: 1, revision: -1 }, { unique: true });
+
+/**
+ * Immutability Guard
+ *
+ * Rejects update queries so that stored revisions can never be rewritten.
+ */
+tripRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function(next) {
+  next(new Error('Trip revisions are immutable and cannot be updated'));
+});
+
+/**
+ * Record Revision
+ *
+ * Appends a new revision containing a snapshot of the given trip.
+ *
+ * @param {Object} trip - The Trip document to snapshot
+ * @param {Object} author - The user making the change ({ userId, email })
+ * @param {string} action - 'create', 'update' or 'restore'
+ * @param {Object} [options] - Additional revision fields
+ * @param {number} [options.restoredFrom] - Source revision number for restores
+ * @param {Date} [options.createdAt] - Timestamp override (used for baseline revisions)
+ * @returns {Promise<Object>} The saved revision document
+ */
+tripRevisionSchema.statics.record = async function(trip, author, action, options = {}) {
+  const latest = await this.findOne({ tripId: trip.tripId }).sort({ revision: -1 }).select('revision');
+  const snapshot = JSON.parse(
+    JSON.stringify(trip.tripData),
+    (key, value) => (key === '_id' ? undefined : value)
+  );
+
+  return this.create({
+    tripId: trip.tripId,
+    revision: latest ? latest.revision + 1 : 1,
+    action,
+    restoredFrom: options.restoredFrom,
+    author: {
+      userId: author.userId,
+      email: author.email
+    },
+    tripType: trip.tripType,
+    tripDate: trip.tripDate,
+    tripData: snapshot,
+    createdAt: options.createdAt || Date.now()
+  });
+};
+
+module.exports = mongoose.model('TripRevision', tripRevisionSchema);
@@ -1,5 +1,30 @@
 const mongoose = require('mongoose');
 
+/**
+ * Allowed ranges for each fitness limit. Values outside these ranges are
+ * rejected both when saving a profile and when overriding it for one plan.
+ */
+const FITNESS_LIMIT_RANGES = {
+  minDailyKm: { min: 1, max: 500 },       // Shortest day the user wants (km)
+  maxDailyKm: { min: 1, max: 500 },       // Longest day the user can handle (km)
+  maxClimbingM: { min: 0, max: 10000 },   // Most total ascent per day (meters)
+  averageSpeedKmh: { min: 1, max: 60 }    // Average moving speed (km/h)
+};
+
+/**
+ * Fitness Limits Schema
+ *
+ * The user's preferences for one trip type. Every field is optional; missing
+ * values fall back to the planner's defaults for that trip type.
+ */
+const fitnessLimitsSchema = new mongoose.Schema(
+  Object.fromEntries(Object.entries(FITNESS_LIMIT_RANGES).map(([field, range]) => [
+    field,
+    { type: Number, min: range.min, max: range.max }
+  ])),
+  { _id: false }
+);
+
 /**
  * User Schema Definition
  * 
@@ -28,6 +53,14 @@ const userSchema = new mongoose.Schema({
   password: { 
     type: String, 
     required: true 
+  },
+
+  // Fitness profile: daily limits keyed by trip type (see config/tripTypes.js),
+  // used by the trip planner to size each day of a generated trip
+  fitnessProfile: {
+    type: Map,
+    of: fitnessLimitsSchema,
+    default: {}
   }
 }, {
   // Add timestamps for user creation and updates
@@ -51,4 +84,37 @@ userSchema.pre('save', function(next) {
   next();
 });
 
+/**
+ * Normalize Fitness Limits
+ *
+ * Checks a set of fitness limits sent by a client. Only known fields are kept;
+ * empty values (null, undefined or '') are dropped so the default applies.
+ *
+ * @param {Object} input - Limits such as { minDailyKm, maxDailyKm, maxClimbingM, averageSpeedKmh }
+ * @returns {Object} { limits } with the numeric values, or { error } describing the first invalid value
+ */
+userSchema.statics.normalizeFitnessLimits = function(input) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Fitness limits must be an object' };
+  }
+  const limits = {};
+  for (const [field, range] of Object.entries(FITNESS_LIMIT_RANGES)) {
+    const value = input[field];
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < range.min || number > range.max) {
+      return { error: `${field} must be a number between ${range.min} and ${range.max}` };
+    }
+    limits[field] = number;
+  }
+  if (limits.minDailyKm !== undefined && limits.maxDailyKm !== undefined && limits.minDailyKm > limits.maxDailyKm) {
+    return { error: 'minDailyKm cannot be greater than maxDailyKm' };
+  }
+  return { limits };
+};
+
+userSchema.statics.FITNESS_LIMIT_RANGES = FITNESS_LIMIT_RANGES;
+
 module.exports = mongoose.model('User', userSchema);
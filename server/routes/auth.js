@@ -2,6 +2,7 @@ const express = require('express');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { TRIP_TYPE_ERROR_MESSAGE, isValidTripType } = require('../config/tripTypes');
 
 const router = express.Router();
 
@@ -189,4 +190,129 @@ router.get('/me', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * Get Fitness Profile
+ * 
+ * GET /api/me/fitness
+ * 
+ * Returns the current user's fitness profile: the preferred daily distance,
+ * climbing and average speed for each trip type. The trip planner uses these
+ * limits instead of its defaults.
+ * 
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (required)
+ * 
+ * Response:
+ * - 200: { fitnessProfile: { bike: {...}, trek: {...}, ... } } (missing types use the defaults)
+ * - 401: Unauthorized (invalid or missing token)
+ * - 404: User not found
+ * - 500: Server error
+ */
+router.get('/me/fitness', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('fitnessProfile');
+    if (!user) {
+      return res.status(404).json({ 
+        error: 'User not found',
+        message: 'The authenticated user account no longer exists'
+      });
+    }
+
+    res.json({
+      fitnessProfile: user.toJSON().fitnessProfile || {}
+    });
+  } catch (error) {
+    console.error('Get fitness profile error:', error);
+    res.status(500).json({ 
+      error: 'Server error',
+      message: 'Unable to retrieve fitness profile'
+    });
+  }
+});
+
+/**
+ * Update Fitness Profile
+ * 
+ * PUT /api/me/fitness
+ * 
+ * Replaces the fitness limits of the trip types included in the request.
+ * Trip types that are not included keep their current limits; a trip type
+ * set to null is cleared and falls back to the planner's defaults.
+ * 
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (required)
+ * 
+ * Request Body:
+ * - fitnessProfile: Object keyed by trip type (e.g. 'bike', 'road-bike', 'trek'), each with
+ *   optional minDailyKm, maxDailyKm, maxClimbingM and averageSpeedKmh
+ * 
+ * Response:
+ * - 200: { fitnessProfile } with the saved profile
+ * - 400: Unknown trip type or invalid limit values
+ * - 401: Unauthorized (invalid or missing token)
+ * - 404: User not found
+ * - 500: Server error
+ */
+router.put('/me/fitness', authMiddleware, async (req, res) => {
+  try {
+    const { fitnessProfile } = req.body;
+    if (!fitnessProfile || typeof fitnessProfile !== 'object' || Array.isArray(fitnessProfile)) {
+      return res.status(400).json({ 
+        error: 'Invalid fitness profile',
+        message: 'Please provide a fitnessProfile object keyed by trip type'
+      });
+    }
+
+    // Validate every trip type before changing anything
+    const updates = {};
+    for (const [tripType, input] of Object.entries(fitnessProfile)) {
+      if (!isValidTripType(tripType)) {
+        return res.status(400).json({ 
+          error: 'Invalid trip type',
+          message: TRIP_TYPE_ERROR_MESSAGE
+        });
+      }
+      if (input === null) {
+        updates[tripType] = null;
+        continue;
+      }
+      const { limits, error } = User.normalizeFitnessLimits(input);
+      if (error) {
+        return res.status(400).json({ 
+          error: 'Invalid fitness limits',
+          message: `${tripType}: ${error}`
+        });
+      }
+      updates[tripType] = limits;
+    }
+
+    const user = await User.findById(req.userId).select('fitnessProfile');
+    if (!user) {
+      return res.status(404).json({ 
+        error: 'User not found',
+        message: 'The authenticated user account no longer exists'
+      });
+    }
+
+    Object.entries(updates).forEach(([tripType, limits]) => {
+      if (limits === null) {
+        user.fitnessProfile.delete(tripType);
+      } else {
+        user.fitnessProfile.set(tripType, limits);
+      }
+    });
+    await user.save();
+
+    res.json({
+      fitnessProfile: user.toJSON().fitnessProfile || {}
+    });
+  } catch (error) {
+    console.error('Update fitness profile error:', error);
+    res.status(500).json({ 
+      error: 'Server error',
+      message: 'Unable to update fitness profile'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,9 +1,24 @@
 const express = require('express');
 const router = express.Router();
-const Groq = require('groq-sdk');
+const mongoose = require('mongoose');
 const Trip = require('../models/Trip');
+const TripRevision = require('../models/TripRevision');
+const TripComment = require('../models/TripComment');
+const TripFolder = require('../models/TripFolder');
+const PlanJob = require('../models/PlanJob');
+const User = require('../models/User');
+const { TRIP_TYPES, TRIP_TYPE_IDS, TRIP_TYPE_ERROR_MESSAGE, isValidTripType } = require('../config/tripTypes');
+const { AVOID_FEATURES, AVOID_FEATURE_IDS, normalizeRouteOptions, buildORSRouteOptions } = require('../config/routeOptions');
+const { DIFFICULTY_GRADES, applyDifficultyToTripData } = require('../config/difficulty');
+const { getLLMConfig, createLLMProvider, normalizePlanner } = require('../llm');
+const { haversineKm, bearingDegrees } = require('../utils/geo');
+const { buildFallbackCandidates } = require('../utils/fallbackCandidates');
+const { parseLLMItinerary, validateItinerarySchema, buildPlanFeedbackPrompt } = require('../utils/itinerary');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { authorizeTripAccess } = require('../middleware/tripAccess');
 const jwt = require('jsonwebtoken');
 const axios = require('axios');
+const crypto = require('crypto');
 
 /**
  * Trip Planning API Routes
@@ -12,14 +27,16 @@ const axios = require('axios');
  * - Trip plan generation using AI/LLM services
  * - Route validation using OpenRouteService
  * - Trip persistence and retrieval
+ * - Trip revision history and rollback
+ * - Public read-only share links
+ * - Collaborators with viewer/editor roles
  * - Weather forecasting integration
  * - User authentication and authorization
  */
 
-// Initialize Groq SDK for AI-powered trip planning
-const groq = new Groq({
-  apiKey: process.env.GROQ_API_KEY
-});
+// LLM provider for AI-powered trip planning, chosen by the LLM_* environment
+// variables (see llm/index.js). Without one, /plan uses the fallback planner.
+const llm = createLLMProvider(getLLMConfig());
 
 // OpenRouteService API key for route validation and distance calculations
 const ORS_API_KEY = process.env.ORS_API_KEY;
@@ -86,6 +103,78 @@ const authenticateToken = (req, res, next) => {
   });
 };
 
+/**
+ * Trip ID Generator
+ * 
+ * Generates a unique identifier for a new trip.
+ * Format: {userEmail}_{timestamp}_{randomString} for guaranteed uniqueness
+ * 
+ * @param {string} email - Email of the user who owns the trip
+ * @returns {string} The generated trip identifier
+ */
+function generateTripId(email) {
+  return `${email}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Trip Date Validation Helper Function
+ * 
+ * Trip dates are stored as YYYY-MM-DD strings so the trip history can filter
+ * and sort them as strings. Other formats that Date can parse (e.g.
+ * "10/20/2026") would escape those filters and sort out of order.
+ * 
+ * @param {*} value - The submitted trip date
+ * @returns {boolean} True for a YYYY-MM-DD string naming a real calendar date
+ */
+function isValidTripDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  // Reject dates such as 2026-02-30, which Date rolls over into the next month
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Record Trip Revision Helper Function
+ * 
+ * Appends an immutable revision snapshot for a trip. Failures are logged rather
+ * than propagated, because the trip change itself has already been persisted.
+ * 
+ * @param {Object} trip - The Trip document to snapshot
+ * @param {Object} author - The user making the change ({ userId, email })
+ * @param {string} action - 'create', 'update' or 'restore'
+ * @param {Object} [options] - Additional revision fields (restoredFrom, createdAt)
+ */
+async function recordTripRevision(trip, author, action, options) {
+  try {
+    await TripRevision.record(trip, author, action, options);
+  } catch (error) {
+    console.error('Error recording trip revision:', error);
+  }
+}
+
+/**
+ * Baseline Revision Helper Function
+ * 
+ * Trips saved before revision history existed have no revisions. Before such a
+ * trip is changed for the first time, its current state is recorded as the
+ * initial 'create' revision so the first change can be diffed and rolled back.
+ * 
+ * @param {Object} trip - The Trip document about to be changed
+ */
+async function ensureBaselineRevision(trip) {
+  const hasRevisions = await TripRevision.exists({ tripId: trip.tripId });
+  if (!hasRevisions) {
+    await recordTripRevision(
+      trip,
+      { userId: trip.userId, email: trip.userEmail },
+      'create',
+      { createdAt: trip.createdAt }
+    );
+  }
+}
+
 /**
  * Authentication Test Endpoint
  * 
@@ -169,10 +258,13 @@ router.get('/decode-token', (req, res) => {
  * Request Body:
  * - country: Country where the trip takes place (required)
  * - city: City where the trip starts/ends (required)
- * - tripType: Type of trip ('bike' or 'trek') (required)
+ * - destinationCity: City where a point-to-point trip ends (optional)
+ * - tripType: Trip type identifier from the registry (e.g. 'bike', 'road-bike', 'trek') (required)
  * - tripDate: Planned date for the trip (required)
  * - countryFlag: URL of country flag image (optional)
  * - tripData: Complete trip itinerary data (required)
+ * - routeOptions: Avoided features and areas the trip was planned with (optional)
+ * - planner: The planner returned by /plan, { source, provider, model } (optional)
  * 
  * Response:
  * - 200: Trip saved successfully with trip ID
@@ -182,7 +274,7 @@ router.get('/decode-token', (req, res) => {
  */
 router.post('/save', authenticateToken, async (req, res) => {
   try {
-    const { country, city, tripType, tripDate, countryFlag, tripData } = req.body;
+    const { country, city, destinationCity, tripType, tripDate, countryFlag, tripData } = req.body;
     const { email, userId } = req.user;
 
     console.log('Save trip request:', { country, city, tripType, tripDate, hasCountryFlag: !!countryFlag, hasTripData: !!tripData });
@@ -234,9 +326,26 @@ router.post('/save', authenticateToken, async (req, res) => {
       });
     }
 
+    // Validate the avoided features and areas the routes were planned with
+    const { routeOptions, error: routeOptionsError } = normalizeRouteOptions(req.body.routeOptions);
+    if (routeOptionsError) {
+      return res.status(400).json({ 
+        error: 'Invalid route options',
+        message: routeOptionsError
+      });
+    }
+
+    // Validate the record of which planner (and LLM) made the trip
+    const { planner, error: plannerError } = normalizePlanner(req.body.planner);
+    if (plannerError) {
+      return res.status(400).json({ 
+        error: 'Invalid planner',
+        message: plannerError
+      });
+    }
+
     // Generate a unique identifier for the trip
-    // Format: {userEmail}_{timestamp}_{randomString} for guaranteed uniqueness
-    const tripId = `${req.user.email}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const tripId = generateTripId(req.user.email);
 
     // Create new trip document with all provided data
     const newTrip = new Trip({
@@ -245,14 +354,18 @@ router.post('/save', authenticateToken, async (req, res) => {
       tripId,
       country,
       city,
+      destinationCity: destinationCity || null,
       tripType,
       tripDate,
       countryFlag,
-      tripData
+      tripData,
+      routeOptions,
+      planner
     });
 
     console.log('Saving trip with ID:', tripId);
     await newTrip.save();
+    await recordTripRevision(newTrip, req.user, 'create');
     console.log('Trip saved successfully');
 
     res.json({
@@ -275,35 +388,228 @@ router.post('/save', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * Trip History Query Helpers
+ * 
+ * The trip history is paginated with opaque cursors. A cursor encodes the sort
+ * value and _id of the last trip on the previous page, so the next page starts
+ * right after it even when trips are added or removed in between.
+ */
+const HISTORY_SORT_FIELDS = {
+  created: 'createdAt',
+  date: 'tripDate',
+  distance: 'totalDistanceKm'
+};
+const HISTORY_DEFAULT_LIMIT = 20;
+const HISTORY_MAX_LIMIT = 100;
+
+function encodeHistoryCursor(trip, sortField) {
+  // Trips without a value (e.g. no total distance) are encoded as null
+  const value = trip[sortField] instanceof Date ? trip[sortField].toISOString() : (trip[sortField] ?? null);
+  return Buffer.from(JSON.stringify({ value, id: String(trip._id) })).toString('base64url');
+}
+
+function decodeHistoryCursor(cursor, sortField) {
+  try {
+    const { value, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!mongoose.isValidObjectId(id) || value === undefined) {
+      return null;
+    }
+    const sortValue = sortField === 'createdAt' ? new Date(value) : value;
+    if (sortField === 'createdAt' && isNaN(sortValue.getTime())) {
+      return null;
+    }
+    return { value: sortValue, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Builds the filter for the trips that come after a cursor position.
+ *
+ * MongoDB sorts trips without a sort value (null or missing) before all
+ * others, but a range query such as { $gt: null } matches nothing, so trips
+ * without a value get their own branches:
+ * - ascending, these trips come first, then every trip with a value
+ * - descending, these trips come last, after every trip with a value
+ *
+ * @param {string} sortField - Trip field the history is sorted on
+ * @param {Object} position - Decoded cursor: { value, id }
+ * @param {number} direction - 1 for ascending, -1 for descending
+ * @returns {Array} Conditions for the $or of the history filter
+ */
+function buildHistoryCursorConditions(sortField, position, direction) {
+  const after = direction === 1 ? '$gt' : '$lt';
+  if (position.value === null) {
+    const conditions = [{ [sortField]: null, _id: { [after]: position.id } }];
+    if (direction === 1) {
+      conditions.push({ [sortField]: { $ne: null } });
+    }
+    return conditions;
+  }
+  const conditions = [
+    { [sortField]: { [after]: position.value } },
+    { [sortField]: position.value, _id: { [after]: position.id } }
+  ];
+  if (direction === -1) {
+    conditions.push({ [sortField]: null });
+  }
+  return conditions;
+}
+
+// Escapes user input for use inside a regular expression
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 /**
  * Get Trip History Endpoint
  * 
  * GET /api/trip/history
  * 
- * Retrieves all trips for the authenticated user, sorted by creation date.
- * This endpoint provides a summary of all user's trips for display in trip history.
+ * Retrieves the authenticated user's trips one page at a time, with optional
+ * filtering and sorting. Trips that have been moved to the trash are not included.
+ * To load the next page, pass the returned nextCursor as the cursor parameter
+ * together with the same filters and sort order.
  * 
  * Headers:
  * - Authorization: Bearer <JWT_TOKEN> (required)
  * 
+ * Query Parameters (all optional):
+ * - limit: Number of trips per page (1-100, default 20)
+ * - cursor: nextCursor value from the previous page
+ * - sort: 'created' (default), 'date' (trip date) or 'distance' (total distance)
+ * - order: 'desc' (default) or 'asc'
+ * - tripType: Only trips of this type (any registered trip type)
+ * - difficulty: Only trips of this grade ('easy', 'moderate', 'hard' or 'expert')
+ * - dateFrom / dateTo: Only trips dated within this range (YYYY-MM-DD, inclusive)
+ * - country / city: Case-insensitive substring match
+ * - folder: A folder id, or 'unfiled' for trips without a folder
+ * - tags: Comma-separated tags; only trips carrying all of them
+ * - favorite: 'true' for favorite trips only
+ * 
  * Response:
- * - 200: Trip history retrieved successfully
+ * - 200: Page of trips with nextCursor (null on the last page) and hasMore
+ * - 400: Invalid query parameter or cursor
  * - 401/403: Authentication error
  * - 500: Server error during retrieval
  */
 router.get('/history', authenticateToken, async (req, res) => {
   try {
     const { email } = req.user;
+    const {
+      cursor, sort = 'created', order = 'desc',
+      tripType, difficulty, dateFrom, dateTo, country, city, folder, tags, favorite
+    } = req.query;
 
-    // Fetch trips for the authenticated user, sorted by creation date (most recent first)
-    // Only select necessary fields for trip history display
-    const trips = await Trip.find({ userEmail: email })
-      .sort({ createdAt: -1 }) // Most recent first
-      .select('tripId country city tripType tripDate countryFlag createdAt');
+    const sortField = HISTORY_SORT_FIELDS[sort];
+    if (!sortField || !['asc', 'desc'].includes(order)) {
+      return res.status(400).json({ 
+        error: 'Invalid sort order',
+        message: 'Sort must be "created", "date" or "distance", and order must be "asc" or "desc"'
+      });
+    }
+
+    const limit = req.query.limit === undefined ? HISTORY_DEFAULT_LIMIT : parseInt(req.query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > HISTORY_MAX_LIMIT) {
+      return res.status(400).json({ 
+        error: 'Invalid limit',
+        message: `Limit must be a number between 1 and ${HISTORY_MAX_LIMIT}`
+      });
+    }
+
+    // Build the filter from the query parameters
+    const filter = { userEmail: email, deletedAt: null };
+
+    if (tripType) {
+      if (!isValidTripType(tripType)) {
+        return res.status(400).json({ 
+          error: 'Invalid trip type',
+          message: TRIP_TYPE_ERROR_MESSAGE
+        });
+      }
+      filter.tripType = tripType;
+    }
+
+    if (difficulty) {
+      if (!DIFFICULTY_GRADES.includes(difficulty)) {
+        return res.status(400).json({ 
+          error: 'Invalid difficulty',
+          message: `Difficulty must be one of: ${DIFFICULTY_GRADES.join(', ')}`
+        });
+      }
+      filter.difficulty = difficulty;
+    }
+
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if ((dateFrom && !datePattern.test(dateFrom)) || (dateTo && !datePattern.test(dateTo))) {
+      return res.status(400).json({ 
+        error: 'Invalid date range',
+        message: 'dateFrom and dateTo must be dates in YYYY-MM-DD format'
+      });
+    }
+    // Trip dates are stored as YYYY-MM-DD strings, which sort chronologically
+    if (dateFrom || dateTo) {
+      filter.tripDate = {};
+      if (dateFrom) filter.tripDate.$gte = dateFrom;
+      if (dateTo) filter.tripDate.$lte = dateTo;
+    }
+
+    if (typeof country === 'string' && country.trim()) {
+      filter.country = { $regex: escapeRegex(country.trim()), $options: 'i' };
+    }
+    if (typeof city === 'string' && city.trim()) {
+      filter.city = { $regex: escapeRegex(city.trim()), $options: 'i' };
+    }
+
+    if (folder === 'unfiled') {
+      filter.folderId = null;
+    } else if (folder) {
+      if (!mongoose.isValidObjectId(folder)) {
+        return res.status(400).json({ 
+          error: 'Invalid folder',
+          message: 'Folder must be a folder id or "unfiled"'
+        });
+      }
+      filter.folderId = folder;
+    }
+
+    if (typeof tags === 'string' && tags.trim()) {
+      filter.tags = { $all: tags.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean) };
+    }
+
+    if (favorite === 'true') {
+      filter.favorite = true;
+    }
+
+    // Continue after the last trip of the previous page, using _id to break ties
+    const direction = order === 'asc' ? 1 : -1;
+    if (cursor) {
+      const position = decodeHistoryCursor(cursor, sortField);
+      if (!position) {
+        return res.status(400).json({ 
+          error: 'Invalid cursor',
+          message: 'The pagination cursor is invalid. Please reload the trip history.'
+        });
+      }
+      filter.$or = buildHistoryCursorConditions(sortField, position, direction);
+    }
+
+    // Fetch one extra trip to find out whether another page follows
+    const trips = await Trip.find(filter)
+      .sort({ [sortField]: direction, _id: direction })
+      .limit(limit + 1)
+      .select('tripId country city destinationCity tripType tripDate countryFlag tags favorite folderId totalDistanceKm difficulty createdAt');
+
+    const hasMore = trips.length > limit;
+    const page = hasMore ? trips.slice(0, limit) : trips;
 
     res.json({
       success: true,
-      trips
+      trips: page,
+      nextCursor: hasMore ? encodeHistoryCursor(page[page.length - 1], sortField) : null,
+      hasMore
     });
 
   } catch (error) {
@@ -316,373 +622,3455 @@ router.get('/history', authenticateToken, async (req, res) => {
 });
 
 /**
- * Get Specific Trip Endpoint
+ * Search Highlight Helper Function
  * 
- * GET /api/trip/trip/:tripId
+ * Finds where the search terms occur in a piece of text so the client can
+ * highlight them. Overlapping and adjacent occurrences are merged.
  * 
- * Retrieves the complete details of a specific trip by its unique identifier.
- * This endpoint ensures users can only access their own trips for security.
+ * @param {string} text - The text that matched (e.g. a waypoint name)
+ * @param {Array<string>} terms - Lowercase search terms
+ * @returns {Array<Object>} Sorted, non-overlapping ranges ({ start, end }, end exclusive)
+ */
+function findHighlights(text, terms) {
+  const lowerText = text.toLowerCase();
+  const ranges = [];
+  terms.forEach(term => {
+    let index = lowerText.indexOf(term);
+    while (index !== -1) {
+      ranges.push({ start: index, end: index + term.length });
+      index = lowerText.indexOf(term, index + term.length);
+    }
+  });
+  ranges.sort((a, b) => a.start - b.start);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Search Trips Endpoint
+ * 
+ * GET /api/trip/search
+ * 
+ * Full-text search over the user's active trips, covering the city, the
+ * country and every waypoint name. Results are ranked by relevance (matches
+ * on the city weigh the most) and list which fields and waypoints matched,
+ * with the matching parts marked for highlighting.
  * 
  * Headers:
  * - Authorization: Bearer <JWT_TOKEN> (required)
  * 
- * Parameters:
- * - tripId: Unique identifier of the trip to retrieve (required)
+ * Query Parameters:
+ * - q: Search text (required); words are matched individually, "quoted phrases" exactly
+ * - limit: Maximum number of results (1-50, default 20)
  * 
  * Response:
- * - 200: Trip details retrieved successfully
+ * - 200: Search results, most relevant first
+ * - 400: Missing search text or invalid limit
  * - 401/403: Authentication error
- * - 404: Trip not found or access denied
- * - 500: Server error during retrieval
+ * - 500: Server error during search
  */
-router.get('/trip/:tripId', authenticateToken, async (req, res) => {
+router.get('/search', authenticateToken, async (req, res) => {
   try {
-    const { tripId } = req.params;
     const { email } = req.user;
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
 
-    // Find trip by ID and ensure it belongs to the authenticated user
-    const trip = await Trip.findOne({ tripId, userEmail: email });
+    if (!q) {
+      return res.status(400).json({ 
+        error: 'Missing search text',
+        message: 'Please provide something to search for'
+      });
+    }
 
-    if (!trip) {
-      return res.status(404).json({ 
-        error: 'Trip not found',
-        message: 'The requested trip could not be found or you do not have access to it'
+    const limit = req.query.limit === undefined ? 20 : parseInt(req.query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+      return res.status(400).json({ 
+        error: 'Invalid limit',
+        message: 'Limit must be a number between 1 and 50'
       });
     }
 
+    const trips = await Trip.find(
+      { userEmail: email, deletedAt: null, $text: { $search: q } },
+      { score: { $meta: 'textScore' } }
+    )
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit)
+      .select('tripId country city tripType tripDate countryFlag tripData.days.day tripData.days.cities.name')
+      .lean();
+
+    // Describe where each trip matched
+    const terms = [...new Set(q.toLowerCase().replace(/"/g, ' ').split(/\s+/).filter(Boolean))];
+    const results = trips.map(trip => {
+      const matches = [];
+      ['city', 'country'].forEach(field => {
+        const highlights = findHighlights(trip[field], terms);
+        if (highlights.length > 0) {
+          matches.push({ field, value: trip[field], highlights });
+        }
+      });
+      ((trip.tripData && trip.tripData.days) || []).forEach(day => {
+        day.cities.forEach((city, index) => {
+          const highlights = findHighlights(city.name, terms);
+          if (highlights.length > 0) {
+            matches.push({ field: 'waypoint', value: city.name, day: day.day, position: index + 1, highlights });
+          }
+        });
+      });
+
+      return {
+        tripId: trip.tripId,
+        country: trip.country,
+        city: trip.city,
+        tripType: trip.tripType,
+        tripDate: trip.tripDate,
+        countryFlag: trip.countryFlag,
+        score: trip.score,
+        matches
+      };
+    });
+
     res.json({
       success: true,
-      trip
+      query: q,
+      results
     });
 
   } catch (error) {
-    console.error('Error fetching trip:', error);
+    console.error('Error searching trips:', error);
     res.status(500).json({ 
-      error: 'Failed to fetch trip',
-      message: 'Unable to retrieve trip details. Please try again.'
+      error: 'Failed to search trips',
+      message: 'Unable to search your trips. Please try again.'
     });
   }
 });
 
 /**
- * Route Validation Helper Function
- * 
- * Validates a trip plan by checking route feasibility and distance constraints
- * using the OpenRouteService (ORS) API. This ensures that generated trips are
- * actually routable and meet realistic distance requirements.
+ * Route Distance Helper Function
  * 
- * @param {Object} tripData - The trip plan data containing daily itineraries
- * @param {string} tripType - Type of trip ('bike' or 'trek')
- * @returns {Object} Validation result with route data and feasibility status
+ * Calculates how far a point is from a route line, measured to the closest
+ * stretch between consecutive route points. Distances are computed on a flat
+ * projection around the point, which is accurate over the few kilometers
+ * that matter when checking whether a route passes a place.
  * 
- * Validation Process:
- * 1. Determines appropriate routing profile based on trip type
- * 2. Validates each route segment between consecutive waypoints
- * 3. Calculates total daily distances and durations
- * 4. Ensures distances fall within realistic limits for the trip type
- * 5. Returns detailed route information for accurate trip planning
+ * @param {Array} point - [latitude, longitude]
+ * @param {Array} routePoints - The route's points, [[latitude, longitude, ...], ...]
+ * @returns {number|null} Distance in kilometers, or null when the route has no points
  */
-async function validateORSRoutesAndDistances(tripData, tripType) {
-  // Select appropriate routing profile based on trip type
-  const profile = tripType === 'bike' ? 'cycling-regular' : 'foot-walking';
-  
-  // Define realistic distance limits for each trip type (in meters)
-  const dayDistanceLimits = tripType === 'bike' 
-    ? { min: 10000, max: 60000 }  // 10-60km for biking
-    : { min: 5000, max: 15000 };  // 5-15km for trekking
-  
-  let allORSData = [];
-  
-  // Validate each day's route
-  for (const day of tripData.days) {
-    let dayDistance = 0;
-    let dayDuration = 0;
-    let orsSegments = [];
-    
-    // Check each route segment between consecutive waypoints
-    for (let i = 0; i < day.cities.length - 1; i++) {
-      const start = day.cities[i].coordinates;
-      const end = day.cities[i + 1].coordinates;
-      const url = `https://api.openrouteservice.org/v2/directions/${profile}`;
-      
-      try {
-        // Request route from OpenRouteService
-        const response = await axios.post(
-          url,
-          {
-            coordinates: [
-              [start[1], start[0]], // ORS expects [longitude, latitude]
-              [end[1], end[0]]
-            ]
-          },
-          {
-            headers: {
-              'Authorization': ORS_API_KEY,
-              'Content-Type': 'application/json'
-            }
-          }
-        );
-        
-        // Validate response structure
-        if (!response.data || !response.data.routes || !response.data.routes[0] || !response.data.routes[0].geometry) {
-          return { valid: false };
-        }
-        
-        const summary = response.data.routes[0].summary;
-        
-        // Only add valid distance and duration data
-        if (typeof summary.distance === 'number' && typeof summary.duration === 'number') {
-          dayDistance += summary.distance;
-          dayDuration += summary.duration;
-          orsSegments.push({
-            distance: summary.distance,
-            duration: summary.duration
-          });
-        } else {
-          orsSegments.push({ distance: null, duration: null });
-        }
-      } catch (err) {
-        // If any segment fails, the entire route is invalid
-        return { valid: false };
-      }
-    }
-    
-    // Verify that the total daily distance is within acceptable limits
-    if (dayDistance < dayDistanceLimits.min || dayDistance > dayDistanceLimits.max) {
-      return { valid: false };
-    }
-    
-    allORSData.push({ dayDistance, dayDuration, orsSegments });
+function distanceToRouteKm(point, routePoints) {
+  if (!Array.isArray(routePoints) || routePoints.length === 0) {
+    return null;
   }
-  
-  return { valid: true, allORSData };
+  const kmPerDegreeLat = 111.32;
+  const kmPerDegreeLng = 111.32 * Math.cos((point[0] * Math.PI) / 180);
+  // [x, y] in kilometers, with the point at the origin
+  const project = ([lat, lng]) => [(lng - point[1]) * kmPerDegreeLng, (lat - point[0]) * kmPerDegreeLat];
+  let previous = project(routePoints[0]);
+  let closest = Math.hypot(previous[0], previous[1]);
+  for (let i = 1; i < routePoints.length; i++) {
+    const current = project(routePoints[i]);
+    const dx = current[0] - previous[0];
+    const dy = current[1] - previous[1];
+    const lengthSquared = dx * dx + dy * dy;
+    // Position of the closest point along the stretch, from 0 (previous) to 1 (current)
+    const t = lengthSquared > 0 ? Math.max(0, Math.min(1, -(previous[0] * dx + previous[1] * dy) / lengthSquared)) : 0;
+    closest = Math.min(closest, Math.hypot(previous[0] + t * dx, previous[1] + t * dy));
+    previous = current;
+  }
+  return closest;
 }
 
 /**
- * Generate Trip Plan Endpoint
+ * Nearby Trips Endpoint
  * 
- * POST /api/trip/plan
+ * GET /api/trip/nearby
  * 
- * Creates a detailed trip itinerary using AI-powered route planning.
- * This endpoint combines LLM-generated trip suggestions with real-world
- * route validation to ensure feasible and enjoyable trip plans.
+ * Finds the user's own trips and the trips shared with them that pass within
+ * a radius of a point, closest first. A trip passes near the point when any of
+ * its waypoints lies within the radius. Each result names the waypoint closest
+ * to the point.
  * 
- * Request Body:
- * - country: Country where the trip takes place (required)
- * - city: City where the trip starts/ends (required)
- * - tripType: Type of trip ('bike' or 'trek') (required)
- * - tripDate: Planned date for the trip (required)
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (required)
  * 
- * Response:
- * - 200: Trip plan generated successfully with validated route data
- * - 400: Missing required fields or invalid trip type
- * - 500: Failed to generate valid trip plan after multiple attempts
+ * Query Parameters:
+ * - lat: Latitude of the point (required, -90 to 90)
+ * - lng: Longitude of the point (required, -180 to 180)
+ * - radiusKm: Search radius in kilometers (optional, up to 500, default 10)
  * 
- * Process:
- * 1. Validates input parameters
- * 2. Constructs detailed prompt for LLM based on trip type
- * 3. Generates trip plan using AI service
- * 4. Validates routes using OpenRouteService
- * 5. Retries up to 5 times if validation fails
- * 6. Returns validated trip data with accurate distances and times
+ * Response:
+ * - 200: Nearby trips, closest first
+ * - 400: Missing or invalid coordinates or radius
+ * - 401/403: Authentication error
+ * - 500: Server error during search
  */
-router.post('/plan', async (req, res) => {
+router.get('/nearby', authenticateToken, async (req, res) => {
   try {
-    const { country, city, tripType, tripDate } = req.body;
+    const { email } = req.user;
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+    const radiusKm = req.query.radiusKm === undefined ? 10 : parseFloat(req.query.radiusKm);
 
-    // Validate required input parameters
-    if (!country || !city || !tripType || !tripDate) {
+    if (!isFinite(lat) || lat < -90 || lat > 90 || !isFinite(lng) || lng < -180 || lng > 180) {
       return res.status(400).json({ 
-        error: 'All fields are required',
-        message: 'Please provide country, city, trip type, and trip date'
+        error: 'Invalid coordinates',
+        message: 'Please provide a valid latitude (-90 to 90) and longitude (-180 to 180)'
       });
     }
 
-    // Validate trip type
-    if (!['bike', 'trek'].includes(tripType)) {
+    if (!isFinite(radiusKm) || radiusKm <= 0 || radiusKm > 500) {
       return res.status(400).json({ 
-        error: 'Invalid trip type',
-        message: 'Trip type must be either "bike" or "trek"'
-      });
-    }
-
-    /**
-     * Construct AI prompt based on trip type
-     * 
-     * The prompt is carefully designed to ensure the LLM generates:
-     * - Realistic routes with appropriate distances
-     * - Valid geographical coordinates
-     * - Structured JSON response format
-     * - Land-based waypoints only (no water routes)
-     */
-    let prompt;
-    if (tripType === 'bike') {
-      prompt = `Plan a 2-day bike trip starting and ending in ${city}, ${country}.
-Requirements:
-- Day 1: 10-60km route, must pass through 3-8 different points (cities, towns, streets, landmarks, or notable locations)
-- Day 2: 10-60km route back to starting point, also passing through 3-8 different points
-- ***CRITICAL: UNDER NO CIRCUMSTANCES CAN ANY POINT BE IN WATER (SEA, LAKE, RIVER, ETC.). ALL POINTS MUST BE ON LAND. THIS IS A HARD REQUIREMENT.***
-- DISTANCE LIMITS: EACH DAY CAN BE UP TO 60KM INDEPENDENTLY
-- Day 1: 10-60km (up to 60km)
-- Day 2: 10-60km (up to 60km)
-- Total possible: Up to 120km over 2 days (60km + 60km)
-- The trip must start and end in ${city} (same coordinates)
-- Include estimated trip time for each day
-- Include distance from each point to the next point
-- You can include streets, intersections, parks, viewpoints, or any interesting points along the way
-
-Return the response as a JSON object with this exact structure:
-{
-  "days": [
-    {
-      "day": 1,
-      "cities": [
-        {"name": "City Name", "coordinates": [lat, lng]},
-        {"name": "City Name", "coordinates": [lat, lng]},
-        {"name": "City Name", "coordinates": [lat, lng]},
-        {"name": "City Name", "coordinates": [lat, lng]}
-      ],
-      "distances": ["0 km", "X km", "X km", "X km"],
-      "totalDistance": "XX km",
-      "estimatedTime": "X hours"
-    },
-    {
-      "day": 2,
-      "cities": [
-        {"name": "City Name", "coordinates": [lat, lng]},
-        {"name": "City Name", "coordinates": [lat, lng]},
-        {"name": "City Name", "coordinates": [lat, lng]},
-        {"name": "City Name", "coordinates": [lat, lng]}
-      ],
-      "distances": ["0 km", "X km", "X km", "X km"],
-      "totalDistance": "XX km",
-      "estimatedTime": "X hours"
+        error: 'Invalid radius',
+        message: 'Radius must be greater than 0 and at most 500 km'
+      });
     }
-  ]
-}
-CRITICAL: EACH DAY IS INDEPENDENT! Day 1 can be 10-60km AND Day 2 can be 10-60km. This means you can have Day 1 = 50km and Day 2 = 55km (total 105km). Each day can reach the full 60km limit independently. Create a realistic bike route that passes through multiple interesting points each day. The trip must end back in ${city} with the same coordinates as the starting point. Include realistic distances between each consecutive point.`;
-    } else if (tripType === 'trek') {
-      prompt = `Plan a 1-day trek trip starting and ending in ${city}, ${country}.
-Requirements:
-- 5-15km circular route
-- The route must pass through 3-8 different points (landmarks, viewpoints, parks, streets, or interesting locations)
-- ***CRITICAL: UNDER NO CIRCUMSTANCES CAN ANY POINT BE IN WATER (SEA, LAKE, RIVER, ETC.). ALL POINTS MUST BE ON LAND. THIS IS A HARD REQUIREMENT.***
-- STRICT DISTANCE LIMIT: Total route must be between 5-15km
-- The trip must start and end in ${city} (same coordinates)
-- Include estimated trip time
-- Include distance from each point to the next point
-- You can include hiking trails, viewpoints, parks, streets, or any interesting points along the way
 
-Return the response as a JSON object with this exact structure:
-{
-  "days": [
-    {
-      "day": 1,
-      "cities": [
-        {"name": "City Name", "coordinates": [lat, lng]},
-        {"name": "City Name", "coordinates": [lat, lng]},
-        {"name": "City Name", "coordinates": [lat, lng]},
-        {"name": "City Name", "coordinates": [lat, lng]}
-      ],
-      "distances": ["0 km", "X km", "X km", "X km"],
-      "totalDistance": "XX km",
-      "estimatedTime": "X hours"
-    }
-  ]
-}
-IMPORTANT: Respect the distance limit - Total route must be 5-15km. Create a realistic trek route that passes through multiple interesting points. The trip must end back in ${city} with the same coordinates as the starting point. Include realistic distances between each consecutive point.`;
-    }
-
-    let tripData;
-    let lastRawResponse = null;
-    let maxRetries = 5;
-    let foundValid = false;
-    let orsData = null;
-
-    /**
-     * Trip Generation and Validation Loop
-     * 
-     * The system attempts to generate a valid trip plan up to maxRetries times.
-     * This resilience mechanism handles cases where the LLM produces invalid
-     * or unroutable plans, ensuring users receive feasible trip suggestions.
-     */
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
-      // Generate trip plan using Groq LLM
-      const completion = await groq.chat.completions.create({
-        model: "llama-3.3-70b-versatile",
-        messages: [
-          {
-            role: "user",
-            content: prompt,
-          },
-        ],
-      });
-      const response = completion.choices[0]?.message?.content;
-      lastRawResponse = response;
-      
-      // Parse JSON response from LLM
-      try {
-        // Extract JSON from the response (in case there's extra text)
-        const jsonMatch = response.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          tripData = JSON.parse(jsonMatch[0]);
-        } else {
-          tripData = JSON.parse(response);
+    // $geoNear measures the distance to the closest waypoint of each trip
+    const trips = await Trip.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [lng, lat] },
+          key: 'waypointsGeo',
+          distanceField: 'distanceMeters',
+          maxDistance: radiusKm * 1000,
+          spherical: true,
+          query: {
+            deletedAt: null,
+            $or: [{ userEmail: email }, { 'collaborators.email': email }]
+          }
+        }
+      },
+      { $limit: 50 },
+      {
+        $project: {
+          tripId: 1, country: 1, city: 1, tripType: 1, tripDate: 1, countryFlag: 1,
+          userEmail: 1, collaborators: 1, distanceMeters: 1,
+          'tripData.days.day': 1, 'tripData.days.cities.name': 1, 'tripData.days.cities.coordinates': 1
         }
-      } catch (parseError) {
-        console.error('Error parsing LLM response:', parseError);
-        continue; // Try again with next attempt
       }
-      
-      // Validate the generated trip plan using OpenRouteService
-      const validation = await validateORSRoutesAndDistances(tripData, tripType);
-      if (validation.valid) {
-        foundValid = true;
-        orsData = validation.allORSData;
-        break;
-      }
-    }
-
-    // If no valid plan could be generated after all retries
-    if (!foundValid) {
-      return res.status(500).json({ 
-        error: 'Failed to generate valid trip plan',
-        message: 'Unable to create a feasible trip plan after multiple attempts. Please try again.',
-        rawResponse: lastRawResponse 
-      });
-    }
-
-    /**
-     * Enhance Trip Data with Validated Information
-     * 
-     * Replace LLM estimates with accurate data from OpenRouteService:
-     * - Convert distances from meters to kilometers
-     * - Convert durations from seconds to hours/minutes
-     * - Ensure all numerical data is properly formatted
-     */
-    tripData.days.forEach((day, idx) => {
-      day.totalDistance = (typeof orsData[idx].dayDistance === 'number' 
-        ? (orsData[idx].dayDistance / 1000).toFixed(2) + ' km' 
-        : 'N/A');
-      day.estimatedTime = (typeof orsData[idx].dayDuration === 'number' 
-        ? (orsData[idx].dayDuration / 3600).toFixed(2) + ' hours' 
-        : 'N/A');
-      day.distances = orsData[idx].orsSegments.map(seg => 
-        (typeof seg.distance === 'number' 
-          ? (seg.distance / 1000).toFixed(2) + ' km' 
-          : 'N/A'));
-      day.durations = orsData[idx].orsSegments.map(seg => 
-        (typeof seg.duration === 'number' 
-          ? (seg.duration / 60).toFixed(1) + ' min' 
-          : 'N/A'));
-    });
-    
-    res.json({
+    ]);
+
+    const results = trips.map(trip => {
+      // Find the waypoint closest to the point
+      let nearestWaypoint = null;
+      trip.tripData.days.forEach(day => {
+        day.cities.forEach(city => {
+          const distanceKm = haversineKm([lat, lng], city.coordinates);
+          if (!nearestWaypoint || distanceKm < nearestWaypoint.distanceKm) {
+            nearestWaypoint = { name: city.name, day: day.day, coordinates: city.coordinates, distanceKm };
+          }
+        });
+      });
+
+      const collaborator = (trip.collaborators || []).find(c => c.email === email);
+      return {
+        tripId: trip.tripId,
+        country: trip.country,
+        city: trip.city,
+        tripType: trip.tripType,
+        tripDate: trip.tripDate,
+        countryFlag: trip.countryFlag,
+        role: trip.userEmail === email ? 'owner' : collaborator.role,
+        ownerEmail: trip.userEmail,
+        distanceKm: Math.round(trip.distanceMeters / 10) / 100,
+        nearestWaypoint: nearestWaypoint && {
+          name: nearestWaypoint.name,
+          day: nearestWaypoint.day,
+          coordinates: nearestWaypoint.coordinates
+        }
+      };
+    });
+
+    res.json({
+      success: true,
+      center: [lat, lng],
+      radiusKm,
+      trips: results
+    });
+
+  } catch (error) {
+    console.error('Error finding nearby trips:', error);
+    res.status(500).json({ 
+      error: 'Failed to find nearby trips',
+      message: 'Unable to search for nearby trips. Please try again.'
+    });
+  }
+});
+
+/**
+ * Get Shared-With-Me Trips Endpoint
+ * 
+ * GET /api/trip/shared-with-me
+ * 
+ * Retrieves the trips other users have shared with the authenticated user
+ * as a collaborator, sorted by creation date (most recent first).
+ * Each trip includes the owner's email and the user's role on it.
+ * 
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (required)
+ * 
+ * Response:
+ * - 200: Shared trips retrieved successfully
+ * - 401/403: Authentication error
+ * - 500: Server error during retrieval
+ */
+router.get('/shared-with-me', authenticateToken, async (req, res) => {
+  try {
+    const { email } = req.user;
+
+    const trips = await Trip.find({ 'collaborators.email': email, deletedAt: null })
+      .sort({ createdAt: -1 }) // Most recent first
+      .select('tripId userEmail country city destinationCity tripType tripDate countryFlag difficulty createdAt collaborators')
+      .lean();
+
+    res.json({
+      success: true,
+      trips: trips.map(({ collaborators, userEmail, ...trip }) => ({
+        ...trip,
+        ownerEmail: userEmail,
+        role: collaborators.find(c => c.email === email).role
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching shared trips:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch shared trips',
+      message: 'Unable to retrieve trips shared with you. Please try again.'
+    });
+  }
+});
+
+/**
+ * Get Specific Trip Endpoint
+ * 
+ * GET /api/trip/trip/:tripId
+ * 
+ * Retrieves the complete details of a specific trip by its unique identifier.
+ * Available to the trip's owner and to its collaborators (any role).
+ * Share links are only included for the owner.
+ * 
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (required)
+ * 
+ * Parameters:
+ * - tripId: Unique identifier of the trip to retrieve (required)
+ * 
+ * Response:
+ * - 200: Trip details retrieved successfully
+ * - 401/403: Authentication error
+ * - 404: Trip not found or access denied
+ * - 500: Server error during retrieval
+ */
+router.get('/trip/:tripId', authenticateToken, authorizeTripAccess('viewer'), async (req, res) => {
+  try {
+    // Trips saved before waypoint IDs existed get them on first view,
+    // so that their waypoints can be commented on
+    if (req.trip.assignWaypointIds()) {
+      await req.trip.save({ timestamps: false });
+    }
+
+    const trip = req.trip.toObject();
+
+    // Share tokens grant public access, so only the owner may see them
+    if (req.tripRole !== 'owner') {
+      delete trip.shareLinks;
+    }
+
+    res.json({
+      success: true,
+      trip,
+      role: req.tripRole
+    });
+
+  } catch (error) {
+    console.error('Error fetching trip:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch trip',
+      message: 'Unable to retrieve trip details. Please try again.'
+    });
+  }
+});
+
+/**
+ * Update Trip Endpoint
+ * 
+ * PUT /api/trip/trip/:tripId
+ * 
+ * Updates an existing trip. Available to the owner and to editors.
+ * Waypoints may be renamed, reordered, added or removed, and their notes
+ * edited; whenever the route itself changes, the resulting itinerary is
+ * re-validated with OpenRouteService so that distances and durations always
+ * reflect the edited route. Waypoints keep their waypointId (and with it
+ * their comment threads) when it is sent back unchanged.
+ * 
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (required)
+ * 
+ * Parameters:
+ * - tripId: Unique identifier of the trip to update (required)
+ * 
+ * Request Body (all optional, at least one required):
+ * - tripDate: New planned date for the trip (YYYY-MM-DD)
+ * - tripType: New type of trip (any registered trip type)
+ * - tripData: Edited itinerary ({ days: [{ day, cities: [{ waypointId, name, coordinates, notes }] }] })
+ * 
+ * Response:
+ * - 200: Trip updated successfully with the updated trip
+ * - 400: Invalid update data or the edited route is not feasible
+ * - 401/403: Authentication error or insufficient role
+ * - 404: Trip not found or access denied
+ * - 500: Server error during update
+ */
+router.put('/trip/:tripId', authenticateToken, authorizeTripAccess('editor'), async (req, res) => {
+  try {
+    const { trip } = req;
+    const { tripDate, tripType, tripData } = req.body;
+
+    if (tripDate === undefined && tripType === undefined && tripData === undefined) {
+      return res.status(400).json({ 
+        error: 'No changes provided',
+        message: 'Please provide a trip date, trip type, or trip data to update'
+      });
+    }
+
+    // Validate trip type
+    if (tripType !== undefined && !isValidTripType(tripType)) {
+      return res.status(400).json({ 
+        error: 'Invalid trip type',
+        message: TRIP_TYPE_ERROR_MESSAGE
+      });
+    }
+
+    if (tripDate !== undefined && !isValidTripDate(tripDate)) {
+      return res.status(400).json({ 
+        error: 'Invalid trip date',
+        message: 'Please provide a valid trip date in YYYY-MM-DD format'
+      });
+    }
+
+    // Validate the structure of the edited itinerary before calling ORS
+    if (tripData !== undefined) {
+      const daysAreValid = tripData && Array.isArray(tripData.days) &&
+        tripData.days.length >= MIN_TRIP_DAYS && tripData.days.length <= MAX_TRIP_DAYS &&
+        tripData.days.every(day => Array.isArray(day.cities) && day.cities.length >= 2 &&
+          day.cities.every(city => 
+            city && typeof city.name === 'string' && city.name.trim() !== '' &&
+            Array.isArray(city.coordinates) && city.coordinates.length === 2 &&
+            city.coordinates.every(coord => typeof coord === 'number' && !isNaN(coord)) &&
+            (city.notes === undefined || city.notes === null || typeof city.notes === 'string')
+          ));
+      if (!daysAreValid) {
+        return res.status(400).json({ 
+          error: 'Invalid trip data',
+          message: `A trip must have ${MIN_TRIP_DAYS}-${MAX_TRIP_DAYS} days, each containing at least two named waypoints with [latitude, longitude] coordinates`
+        });
+      }
+
+      const notesTooLong = tripData.days.some(day => day.cities.some(city => city.notes && city.notes.trim().length > 500));
+      if (notesTooLong) {
+        return res.status(400).json({ 
+          error: 'Invalid trip data',
+          message: 'Waypoint notes cannot be longer than 500 characters'
+        });
+      }
+    }
+
+    // Make sure the state before this change is preserved in the revision history
+    await ensureBaselineRevision(trip);
+
+    const newTripType = tripType !== undefined ? tripType : trip.tripType;
+
+    if (tripData !== undefined || newTripType !== trip.tripType) {
+      const currentDays = trip.tripData.toObject().days;
+
+      // Waypoints may only keep IDs that already belong to this trip, each at most once;
+      // the others receive new IDs when the trip is saved
+      const knownWaypointIds = new Set(currentDays.flatMap(day => day.cities.map(city => city.waypointId)));
+      const keptWaypointIds = new Set();
+      const keepWaypointId = (waypointId) => {
+        if (typeof waypointId !== 'string' || !knownWaypointIds.has(waypointId) || keptWaypointIds.has(waypointId)) {
+          return undefined;
+        }
+        keptWaypointIds.add(waypointId);
+        return waypointId;
+      };
+
+      const days = (tripData !== undefined ? tripData.days : currentDays)
+        .map((day, idx) => ({
+          day: idx + 1,
+          cities: day.cities.map(city => ({
+            waypointId: keepWaypointId(city.waypointId),
+            name: city.name.trim(),
+            coordinates: [city.coordinates[0], city.coordinates[1]],
+            notes: city.notes ? city.notes.trim() : undefined
+          }))
+        }));
+      const updatedTripData = { days };
+
+      // Renaming waypoints or editing notes leaves the route itself untouched
+      const routeUnchanged = newTripType === trip.tripType &&
+        days.length === currentDays.length &&
+        days.every((day, idx) => 
+          day.cities.length === currentDays[idx].cities.length &&
+          day.cities.every((city, cityIdx) => 
+            city.coordinates[0] === currentDays[idx].cities[cityIdx].coordinates[0] &&
+            city.coordinates[1] === currentDays[idx].cities[cityIdx].coordinates[1]
+          ));
+
+      if (routeUnchanged) {
+        // Keep the distances and durations that were already validated
+        days.forEach((day, idx) => {
+          const { distances, durations, totalDistance, estimatedTime, elevation, unpavedPercent } = currentDays[idx];
+          Object.assign(day, { distances, durations, totalDistance, estimatedTime, elevation, unpavedPercent });
+        });
+        trip.tripData = updatedTripData;
+      } else {
+        // Re-validate the route whenever the waypoints or the routing profile change,
+        // using the editing user's fitness profile for the daily limits and the
+        // features and areas the trip was planned to avoid
+        const editor = await User.findById(req.user.userId).select('fitnessProfile');
+        const limits = resolveFitnessLimits(newTripType, getProfileLimits(editor, newTripType));
+        const validation = await validateORSRoutesAndDistances(updatedTripData, newTripType, undefined, limits, trip.routeOptions);
+        if (!validation.valid) {
+          return res.status(400).json({ 
+            error: 'Updated route is not feasible',
+            message: 'The edited route could not be validated or exceeds the daily distance limits for this trip type',
+            details: validation.reason
+          });
+        }
+
+        trip.tripData = applyORSDataToTripData(updatedTripData, validation.allORSData, limits.averageSpeedKmh);
+      }
+    }
+
+    trip.tripType = newTripType;
+    if (tripDate !== undefined) {
+      trip.tripDate = tripDate;
+    }
+
+    await trip.save();
+    await recordTripRevision(trip, req.user, 'update');
+
+    res.json({
       success: true,
+      message: 'Trip updated successfully',
+      trip
+    });
+
+  } catch (error) {
+    console.error('Error updating trip:', error);
+    res.status(500).json({ 
+      error: 'Failed to update trip',
+      message: 'Unable to update trip. Please try again.',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Clone Trip Endpoint
+ * 
+ * POST /api/trip/trip/:tripId/clone
+ * 
+ * Creates a copy of an existing trip on a new date ("ride it again").
+ * The itinerary is copied as-is to a new trip with its own tripId, so the
+ * original trip is left untouched. Weather is not stored with trips and is
+ * fetched again for the new date when the copy is viewed. Collaborators of any
+ * role may clone a trip; the copy always belongs to the user who cloned it.
+ * 
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (required)
+ * 
+ * Parameters:
+ * - tripId: Unique identifier of the trip to copy (required)
+ * 
+ * Request Body:
+ * - tripDate: Planned date for the new trip (YYYY-MM-DD, required)
+ * 
+ * Response:
+ * - 201: Trip cloned successfully with the new trip ID
+ * - 400: Missing or invalid trip date
+ * - 401/403: Authentication error
+ * - 404: Trip not found or access denied
+ * - 500: Server error during cloning
+ */
+router.post('/trip/:tripId/clone', authenticateToken, authorizeTripAccess('viewer'), async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { email, userId } = req.user;
+    const source = req.trip;
+    const { tripDate } = req.body;
+
+    if (!isValidTripDate(tripDate)) {
+      return res.status(400).json({ 
+        error: 'Invalid trip date',
+        message: 'Please provide a valid date for the new trip in YYYY-MM-DD format'
+      });
+    }
+
+    // Deep copy the itinerary without the original subdocument IDs
+    const tripData = JSON.parse(
+      JSON.stringify(source.tripData),
+      (key, value) => (key === '_id' ? undefined : value)
+    );
+
+    const newTripId = generateTripId(email);
+    const newTrip = new Trip({
+      userId,
+      userEmail: email,
+      tripId: newTripId,
+      country: source.country,
+      city: source.city,
+      destinationCity: source.destinationCity,
+      tripType: source.tripType,
+      tripDate,
+      countryFlag: source.countryFlag,
       tripData,
-      originalRequest: { country, city, tripType, tripDate }
+      routeOptions: source.routeOptions,
+      planner: source.planner
+    });
+
+    await newTrip.save();
+    await recordTripRevision(newTrip, req.user, 'create');
+
+    res.status(201).json({
+      success: true,
+      message: 'Trip cloned successfully',
+      tripId: newTripId,
+      clonedFrom: tripId
+    });
+
+  } catch (error) {
+    console.error('Error cloning trip:', error);
+    res.status(500).json({ 
+      error: 'Failed to clone trip',
+      message: 'Unable to copy trip. Please try again.'
+    });
+  }
+});
+
+/**
+ * Waypoint Diff Helper Functions
+ * 
+ * Compare two itineraries and describe how their waypoints changed.
+ * Waypoints are identified by their coordinates (with an occurrence counter so
+ * the repeated start/end point of circular trips stays distinguishable):
+ * - added: waypoints only present in the newer itinerary
+ * - removed: waypoints only present in the older itinerary
+ * - moved: waypoints whose day or relative order changed
+ * - renamed: waypoints whose coordinates stayed the same but name changed
+ * - notes: waypoints whose note was added, changed or removed
+ */
+function flattenWaypoints(tripData) {
+  const occurrences = {};
+  const waypoints = [];
+  ((tripData && tripData.days) || []).forEach(day => {
+    (day.cities || []).forEach((city, index) => {
+      const coordKey = city.coordinates.map(coord => Number(coord).toFixed(5)).join(',');
+      occurrences[coordKey] = (occurrences[coordKey] || 0) + 1;
+      waypoints.push({
+        key: `${coordKey}#${occurrences[coordKey]}`,
+        name: city.name,
+        notes: city.notes || '',
+        day: day.day,
+        position: index + 1
+      });
+    });
+  });
+  return waypoints;
+}
+
+function diffTripWaypoints(oldTripData, newTripData) {
+  const before = flattenWaypoints(oldTripData);
+  const after = flattenWaypoints(newTripData);
+  const beforeByKey = new Map(before.map(waypoint => [waypoint.key, waypoint]));
+  const afterKeys = new Set(after.map(waypoint => waypoint.key));
+
+  const added = after
+    .filter(waypoint => !beforeByKey.has(waypoint.key))
+    .map(({ name, day, position }) => ({ name, day, position }));
+  const removed = before
+    .filter(waypoint => !afterKeys.has(waypoint.key))
+    .map(({ name, day, position }) => ({ name, day, position }));
+
+  // Waypoints present in both versions keep their place if they are part of the
+  // longest common subsequence; everything else in that set has been moved
+  const beforeCommon = before.filter(waypoint => afterKeys.has(waypoint.key)).map(waypoint => waypoint.key);
+  const afterCommon = after.filter(waypoint => beforeByKey.has(waypoint.key));
+  const lcs = Array.from({ length: beforeCommon.length + 1 }, () => new Array(afterCommon.length + 1).fill(0));
+  for (let i = beforeCommon.length - 1; i >= 0; i--) {
+    for (let j = afterCommon.length - 1; j >= 0; j--) {
+      lcs[i][j] = beforeCommon[i] === afterCommon[j].key
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const stable = new Set();
+  for (let i = 0, j = 0; i < beforeCommon.length && j < afterCommon.length;) {
+    if (beforeCommon[i] === afterCommon[j].key) {
+      stable.add(beforeCommon[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  const moved = [];
+  const renamed = [];
+  const notes = [];
+  afterCommon.forEach(waypoint => {
+    const previous = beforeByKey.get(waypoint.key);
+    if (!stable.has(waypoint.key) || previous.day !== waypoint.day) {
+      moved.push({
+        name: waypoint.name,
+        fromDay: previous.day,
+        fromPosition: previous.position,
+        toDay: waypoint.day,
+        toPosition: waypoint.position
+      });
+    }
+    if (previous.name !== waypoint.name) {
+      renamed.push({ from: previous.name, to: waypoint.name, day: waypoint.day });
+    }
+    if (previous.notes !== waypoint.notes) {
+      notes.push({ name: waypoint.name, day: waypoint.day, from: previous.notes, to: waypoint.notes });
+    }
+  });
+
+  return { added, removed, moved, renamed, notes };
+}
+
+/**
+ * Get Trip Revisions Endpoint
+ * 
+ * GET /api/trip/trip/:tripId/revisions
+ * 
+ * Retrieves the revision history of a trip, newest first. Each revision lists
+ * its author and timestamp, along with the changes compared to the previous
+ * revision (waypoints added, removed, moved or renamed, notes edited, and
+ * date/type changes).
+ * 
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (required)
+ * 
+ * Parameters:
+ * - tripId: Unique identifier of the trip (required)
+ * 
+ * Response:
+ * - 200: Revision history retrieved successfully
+ * - 401/403: Authentication error
+ * - 404: Trip not found or access denied
+ * - 500: Server error during retrieval
+ */
+router.get('/trip/:tripId/revisions', authenticateToken, authorizeTripAccess('viewer'), async (req, res) => {
+  try {
+    const { tripId } = req.params;
+
+    const revisions = await TripRevision.find({ tripId }).sort({ revision: 1 }).lean();
+
+    // Describe each revision relative to the one before it
+    const timeline = revisions.map((revision, idx) => {
+      const previous = idx > 0 ? revisions[idx - 1] : null;
+      const changes = previous
+        ? diffTripWaypoints(previous.tripData, revision.tripData)
+        : { added: [], removed: [], moved: [], renamed: [], notes: [] };
+      if (previous && previous.tripDate !== revision.tripDate) {
+        changes.tripDate = { from: previous.tripDate, to: revision.tripDate };
+      }
+      if (previous && previous.tripType !== revision.tripType) {
+        changes.tripType = { from: previous.tripType, to: revision.tripType };
+      }
+      return {
+        revision: revision.revision,
+        action: revision.action,
+        restoredFrom: revision.restoredFrom,
+        author: { email: revision.author.email },
+        createdAt: revision.createdAt,
+        tripType: revision.tripType,
+        tripDate: revision.tripDate,
+        changes
+      };
+    });
+
+    res.json({
+      success: true,
+      revisions: timeline.reverse() // Newest first
+    });
+
+  } catch (error) {
+    console.error('Error fetching trip revisions:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch trip revisions',
+      message: 'Unable to retrieve revision history. Please try again.'
+    });
+  }
+});
+
+/**
+ * Restore Trip Revision Endpoint
+ * 
+ * POST /api/trip/trip/:tripId/revisions/:revision/restore
+ * 
+ * Rolls a trip back to the itinerary, date and type stored in an earlier revision.
+ * The rollback itself is recorded as a new revision, so no history is lost.
+ * Available to the owner and to editors.
+ * 
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (required)
+ * 
+ * Parameters:
+ * - tripId: Unique identifier of the trip (required)
+ * - revision: Revision number to restore (required)
+ * 
+ * Response:
+ * - 200: Revision restored successfully with the updated trip
+ * - 400: Invalid revision number
+ * - 401/403: Authentication error or insufficient role
+ * - 404: Trip or revision not found
+ * - 500: Server error during restore
+ */
+router.post('/trip/:tripId/revisions/:revision/restore', authenticateToken, authorizeTripAccess('editor'), async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { trip } = req;
+    const revisionNumber = parseInt(req.params.revision, 10);
+
+    if (!Number.isInteger(revisionNumber) || revisionNumber < 1) {
+      return res.status(400).json({ 
+        error: 'Invalid revision',
+        message: 'Revision must be a positive integer'
+      });
+    }
+
+    const revision = await TripRevision.findOne({ tripId, revision: revisionNumber }).lean();
+
+    if (!revision) {
+      return res.status(404).json({ 
+        error: 'Revision not found',
+        message: `Revision ${revisionNumber} does not exist for this trip`
+      });
+    }
+
+    trip.tripData = revision.tripData;
+    trip.tripType = revision.tripType;
+    trip.tripDate = revision.tripDate;
+
+    await trip.save();
+    await recordTripRevision(trip, req.user, 'restore', { restoredFrom: revisionNumber });
+
+    res.json({
+      success: true,
+      message: `Trip restored to revision ${revisionNumber}`,
+      trip
+    });
+
+  } catch (error) {
+    console.error('Error restoring trip revision:', error);
+    res.status(500).json({ 
+      error: 'Failed to restore revision',
+      message: 'Unable to restore this revision. Please try again.'
+    });
+  }
+});
+
+/**
+ * List Share Links Endpoint
+ * 
+ * GET /api/trip/trip/:tripId/share
+ * 
+ * Retrieves the active public share links of a trip.
+ * 
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (required)
+ * 
+ * Parameters:
+ * - tripId: Unique identifier of the trip (required)
+ * 
+ * Response:
+ * - 200: Share links retrieved successfully
+ * - 401/403: Authentication error or insufficient role
+ * - 404: Trip not found or access denied
+ * - 500: Server error during retrieval
+ */
+router.get('/trip/:tripId/share', authenticateToken, authorizeTripAccess('owner'), async (req, res) => {
+  try {
+    const { trip } = req;
+
+    res.json({
+      success: true,
+      shareLinks: trip.shareLinks.map(link => ({ token: link.token, createdAt: link.createdAt }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching share links:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch share links',
+      message: 'Unable to retrieve share links. Please try again.'
+    });
+  }
+});
+
+/**
+ * Create Share Link Endpoint
+ * 
+ * POST /api/trip/trip/:tripId/share
+ * 
+ * Creates a new public share token for a trip. The token grants read-only
+ * access through GET /api/trip/shared/:token until it is revoked.
+ * 
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (required)
+ * 
+ * Parameters:
+ * - tripId: Unique identifier of the trip (required)
+ * 
+ * Response:
+ * - 201: Share link created successfully with its token
+ * - 401/403: Authentication error or insufficient role
+ * - 404: Trip not found or access denied
+ * - 500: Server error during creation
+ */
+router.post('/trip/:tripId/share', authenticateToken, authorizeTripAccess('owner'), async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { email } = req.user;
+
+    // Unguessable URL-safe token; it is the only credential for the public link
+    const shareLink = {
+      token: crypto.randomBytes(24).toString('base64url'),
+      createdAt: new Date()
+    };
+
+    const trip = await Trip.findOneAndUpdate(
+      { tripId, userEmail: email, deletedAt: null },
+      { $push: { shareLinks: shareLink } },
+      { new: true }
+    );
+
+    if (!trip) {
+      return res.status(404).json({ 
+        error: 'Trip not found',
+        message: 'The requested trip could not be found or you do not have access to it'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Share link created',
+      shareLink
+    });
+
+  } catch (error) {
+    console.error('Error creating share link:', error);
+    res.status(500).json({ 
+      error: 'Failed to create share link',
+      message: 'Unable to create share link. Please try again.'
+    });
+  }
+});
+
+/**
+ * Revoke Share Link Endpoint
+ * 
+ * DELETE /api/trip/trip/:tripId/share/:token
+ * 
+ * Revokes a public share link. The token stops working immediately.
+ * 
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (required)
+ * 
+ * Parameters:
+ * - tripId: Unique identifier of the trip (required)
+ * - token: The share token to revoke (required)
+ * 
+ * Response:
+ * - 200: Share link revoked
+ * - 401/403: Authentication error or insufficient role
+ * - 404: Trip or share link not found
+ * - 500: Server error during revocation
+ */
+router.delete('/trip/:tripId/share/:token', authenticateToken, authorizeTripAccess('owner'), async (req, res) => {
+  try {
+    const { tripId, token } = req.params;
+    const { email } = req.user;
+
+    const trip = await Trip.findOneAndUpdate(
+      { tripId, userEmail: email, 'shareLinks.token': token },
+      { $pull: { shareLinks: { token } } },
+      { new: true }
+    );
+
+    if (!trip) {
+      return res.status(404).json({ 
+        error: 'Share link not found',
+        message: 'The share link could not be found or has already been revoked'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Share link revoked'
+    });
+
+  } catch (error) {
+    console.error('Error revoking share link:', error);
+    res.status(500).json({ 
+      error: 'Failed to revoke share link',
+      message: 'Unable to revoke share link. Please try again.'
+    });
+  }
+});
+
+/**
+ * Get Shared Trip Endpoint
+ * 
+ * GET /api/trip/shared/:token
+ * 
+ * Public, unauthenticated endpoint that returns a read-only copy of a shared trip.
+ * The response is sanitized: it contains no owner information (email, user ID,
+ * or the tripId, which embeds the owner's email) and no share tokens.
+ * 
+ * Parameters:
+ * - token: An active share token (required)
+ * 
+ * Response:
+ * - 200: Shared trip retrieved successfully
+ * - 404: Share link is invalid, revoked, or the trip was deleted
+ * - 500: Server error during retrieval
+ */
+router.get('/shared/:token', async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    const trip = await Trip.findOne({ 'shareLinks.token': token, deletedAt: null })
+      .select('country city destinationCity tripType tripDate countryFlag tripData routeOptions planner difficulty createdAt')
+      .lean();
+
+    if (!trip) {
+      return res.status(404).json({ 
+        error: 'Shared trip not found',
+        message: 'This share link is invalid or has been revoked'
+      });
+    }
+
+    // Strip internal document IDs from the itinerary as well
+    const sharedTrip = JSON.parse(
+      JSON.stringify(trip),
+      (key, value) => (key === '_id' ? undefined : value)
+    );
+
+    res.json({
+      success: true,
+      trip: sharedTrip
+    });
+
+  } catch (error) {
+    console.error('Error fetching shared trip:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch shared trip',
+      message: 'Unable to retrieve the shared trip. Please try again.'
+    });
+  }
+});
+
+/**
+ * List Collaborators Endpoint
+ * 
+ * GET /api/trip/trip/:tripId/collaborators
+ * 
+ * Retrieves the owner and collaborators of a trip. Available to anyone with access.
+ * 
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (required)
+ * 
+ * Parameters:
+ * - tripId: Unique identifier of the trip (required)
+ * 
+ * Response:
+ * - 200: Collaborators retrieved successfully
+ * - 401/403: Authentication error
+ * - 404: Trip not found or access denied
+ * - 500: Server error during retrieval
+ */
+router.get('/trip/:tripId/collaborators', authenticateToken, authorizeTripAccess('viewer'), async (req, res) => {
+  try {
+    const { trip } = req;
+
+    res.json({
+      success: true,
+      ownerEmail: trip.userEmail,
+      role: req.tripRole,
+      collaborators: trip.collaborators.map(({ email, role, addedAt }) => ({ email, role, addedAt }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching collaborators:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch collaborators',
+      message: 'Unable to retrieve collaborators. Please try again.'
+    });
+  }
+});
+
+/**
+ * Invite Collaborator Endpoint
+ * 
+ * POST /api/trip/trip/:tripId/collaborators
+ * 
+ * Invites a registered user to a trip by email with the given role.
+ * Inviting someone who is already a collaborator changes their role.
+ * Only the trip owner can invite collaborators.
+ * 
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (required)
+ * 
+ * Parameters:
+ * - tripId: Unique identifier of the trip (required)
+ * 
+ * Request Body:
+ * - email: Email address of the user to invite (required)
+ * - role: 'viewer' or 'editor' (required)
+ * 
+ * Response:
+ * - 200: Collaborator invited or role updated
+ * - 400: Missing/invalid email or role, or inviting the owner
+ * - 401/403: Authentication error or insufficient role
+ * - 404: Trip not found, or no account exists for the email
+ * - 500: Server error during invitation
+ */
+router.post('/trip/:tripId/collaborators', authenticateToken, authorizeTripAccess('owner'), async (req, res) => {
+  try {
+    const { trip } = req;
+    const { role } = req.body;
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+
+    if (!email || !['viewer', 'editor'].includes(role)) {
+      return res.status(400).json({ 
+        error: 'Invalid collaborator',
+        message: 'Please provide an email address and a role of "viewer" or "editor"'
+      });
+    }
+
+    if (email === trip.userEmail) {
+      return res.status(400).json({ 
+        error: 'Invalid collaborator',
+        message: 'You already own this trip'
+      });
+    }
+
+    // Collaborators must have an account so that invitations cannot go to mistyped addresses
+    const user = await User.findOne({ email }).select('_id email');
+    if (!user) {
+      return res.status(404).json({ 
+        error: 'User not found',
+        message: 'No account exists with this email address'
+      });
+    }
+
+    const existing = trip.collaborators.find(c => c.email === email);
+    if (existing) {
+      existing.role = role;
+    } else {
+      trip.collaborators.push({ userId: user._id, email, role });
+    }
+    await trip.save();
+
+    res.json({
+      success: true,
+      message: existing ? 'Collaborator role updated' : 'Collaborator invited',
+      collaborators: trip.collaborators.map(({ email, role, addedAt }) => ({ email, role, addedAt }))
+    });
+
+  } catch (error) {
+    console.error('Error inviting collaborator:', error);
+    res.status(500).json({ 
+      error: 'Failed to invite collaborator',
+      message: 'Unable to invite collaborator. Please try again.'
+    });
+  }
+});
+
+/**
+ * Remove Collaborator Endpoint
+ * 
+ * DELETE /api/trip/trip/:tripId/collaborators/:email
+ * 
+ * Removes a collaborator from a trip. The owner can remove anyone;
+ * a collaborator can only remove themselves (leave the trip).
+ * 
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (required)
+ * 
+ * Parameters:
+ * - tripId: Unique identifier of the trip (required)
+ * - email: Email address of the collaborator to remove (required)
+ * 
+ * Response:
+ * - 200: Collaborator removed
+ * - 401/403: Authentication error or insufficient role
+ * - 404: Trip or collaborator not found
+ * - 500: Server error during removal
+ */
+router.delete('/trip/:tripId/collaborators/:email', authenticateToken, authorizeTripAccess('viewer'), async (req, res) => {
+  try {
+    const { trip } = req;
+    const email = req.params.email.toLowerCase();
+
+    if (req.tripRole !== 'owner' && email !== req.user.email) {
+      return res.status(403).json({ 
+        error: 'Insufficient permissions',
+        message: 'Only the trip owner can remove other collaborators'
+      });
+    }
+
+    const collaborator = trip.collaborators.find(c => c.email === email);
+    if (!collaborator) {
+      return res.status(404).json({ 
+        error: 'Collaborator not found',
+        message: 'This user is not a collaborator on the trip'
+      });
+    }
+
+    trip.collaborators.pull(collaborator._id);
+    await trip.save();
+
+    res.json({
+      success: true,
+      message: 'Collaborator removed',
+      collaborators: trip.collaborators.map(({ email, role, addedAt }) => ({ email, role, addedAt }))
+    });
+
+  } catch (error) {
+    console.error('Error removing collaborator:', error);
+    res.status(500).json({ 
+      error: 'Failed to remove collaborator',
+      message: 'Unable to remove collaborator. Please try again.'
+    });
+  }
+});
+
+/**
+ * Format Comment Helper Function
+ * 
+ * Converts a TripComment document into the shape returned by the comment endpoints,
+ * including whether the requesting user may delete it (its author and the trip owner can).
+ * 
+ * @param {Object} comment - The TripComment document
+ * @param {Object} req - The request, carrying the authenticated user and their trip role
+ * @returns {Object} The comment as returned to clients
+ */
+function formatComment(comment, req) {
+  return {
+    id: comment._id,
+    waypointId: comment.waypointId,
+    parentId: comment.parentId,
+    author: { email: comment.author.email },
+    body: comment.body,
+    createdAt: comment.createdAt,
+    canDelete: req.tripRole === 'owner' || comment.author.email === req.user.email
+  };
+}
+
+/**
+ * List Trip Comments Endpoint
+ * 
+ * GET /api/trip/trip/:tripId/comments
+ * 
+ * Retrieves the comments on a trip's waypoints, oldest first. Replies carry the
+ * id of the thread's top-level comment in parentId. Available to anyone with access.
+ * 
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (required)
+ * 
+ * Parameters:
+ * - tripId: Unique identifier of the trip (required)
+ * 
+ * Query Parameters:
+ * - waypointId: Only return comments on this waypoint (optional)
+ * 
+ * Response:
+ * - 200: Comments retrieved successfully
+ * - 401/403: Authentication error
+ * - 404: Trip not found or access denied
+ * - 500: Server error during retrieval
+ */
+router.get('/trip/:tripId/comments', authenticateToken, authorizeTripAccess('viewer'), async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { waypointId } = req.query;
+
+    const filter = { tripId };
+    if (typeof waypointId === 'string' && waypointId) {
+      filter.waypointId = waypointId;
+    }
+
+    const comments = await TripComment.find(filter).sort({ createdAt: 1 }).lean();
+
+    res.json({
+      success: true,
+      comments: comments.map(comment => formatComment(comment, req))
+    });
+
+  } catch (error) {
+    console.error('Error fetching trip comments:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch comments',
+      message: 'Unable to retrieve comments. Please try again.'
+    });
+  }
+});
+
+/**
+ * Add Trip Comment Endpoint
+ * 
+ * POST /api/trip/trip/:tripId/comments
+ * 
+ * Adds a comment to one of the trip's waypoints, either starting a new thread
+ * or replying to an existing one. Available to the owner and all collaborators.
+ * 
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (required)
+ * 
+ * Parameters:
+ * - tripId: Unique identifier of the trip (required)
+ * 
+ * Request Body:
+ * - waypointId: Identifier of the waypoint being discussed (required)
+ * - body: Comment text, up to 1000 characters (required)
+ * - parentId: Id of the top-level comment to reply to (optional)
+ * 
+ * Response:
+ * - 201: Comment added successfully
+ * - 400: Missing or invalid comment data
+ * - 401/403: Authentication error
+ * - 404: Trip, waypoint or parent comment not found
+ * - 500: Server error during creation
+ */
+router.post('/trip/:tripId/comments', authenticateToken, authorizeTripAccess('viewer'), async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { trip } = req;
+    const { waypointId, parentId } = req.body;
+    const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+
+    if (!body || body.length > 1000) {
+      return res.status(400).json({ 
+        error: 'Invalid comment',
+        message: 'Comments must contain between 1 and 1000 characters'
+      });
+    }
+
+    const waypointExists = trip.tripData.days.some(day => day.cities.some(city => city.waypointId === waypointId));
+    if (typeof waypointId !== 'string' || !waypointExists) {
+      return res.status(404).json({ 
+        error: 'Waypoint not found',
+        message: 'The waypoint you are commenting on is not part of this trip'
+      });
+    }
+
+    if (parentId !== undefined && parentId !== null) {
+      const parent = mongoose.isValidObjectId(parentId)
+        ? await TripComment.findOne({ _id: parentId, tripId, waypointId }).lean()
+        : null;
+      if (!parent) {
+        return res.status(404).json({ 
+          error: 'Comment not found',
+          message: 'The comment you are replying to no longer exists'
+        });
+      }
+      if (parent.parentId) {
+        return res.status(400).json({ 
+          error: 'Invalid reply',
+          message: 'Replies can only be added to the first comment of a thread'
+        });
+      }
+    }
+
+    const comment = await TripComment.create({
+      tripId,
+      waypointId,
+      parentId: parentId || null,
+      author: {
+        userId: req.user.userId,
+        email: req.user.email
+      },
+      body
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added',
+      comment: formatComment(comment, req)
+    });
+
+  } catch (error) {
+    console.error('Error adding trip comment:', error);
+    res.status(500).json({ 
+      error: 'Failed to add comment',
+      message: 'Unable to add comment. Please try again.'
+    });
+  }
+});
+
+/**
+ * Delete Trip Comment Endpoint
+ * 
+ * DELETE /api/trip/trip/:tripId/comments/:commentId
+ * 
+ * Deletes a comment. Deleting the first comment of a thread also deletes its
+ * replies. Authors can delete their own comments; the trip owner can delete any.
+ * 
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (required)
+ * 
+ * Parameters:
+ * - tripId: Unique identifier of the trip (required)
+ * - commentId: Id of the comment to delete (required)
+ * 
+ * Response:
+ * - 200: Comment deleted, with the ids of all removed comments
+ * - 401/403: Authentication error or not allowed to delete the comment
+ * - 404: Trip or comment not found
+ * - 500: Server error during deletion
+ */
+router.delete('/trip/:tripId/comments/:commentId', authenticateToken, authorizeTripAccess('viewer'), async (req, res) => {
+  try {
+    const { tripId, commentId } = req.params;
+
+    const comment = mongoose.isValidObjectId(commentId)
+      ? await TripComment.findOne({ _id: commentId, tripId })
+      : null;
+
+    if (!comment) {
+      return res.status(404).json({ 
+        error: 'Comment not found',
+        message: 'The requested comment could not be found'
+      });
+    }
+
+    if (req.tripRole !== 'owner' && comment.author.email !== req.user.email) {
+      return res.status(403).json({ 
+        error: 'Insufficient permissions',
+        message: 'You can only delete your own comments'
+      });
+    }
+
+    const replies = await TripComment.find({ tripId, parentId: comment._id }).select('_id').lean();
+    const deletedIds = [comment._id, ...replies.map(reply => reply._id)];
+    await TripComment.deleteMany({ _id: { $in: deletedIds } });
+
+    res.json({
+      success: true,
+      message: 'Comment deleted',
+      deletedIds
+    });
+
+  } catch (error) {
+    console.error('Error deleting trip comment:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete comment',
+      message: 'Unable to delete comment. Please try again.'
+    });
+  }
+});
+
+// Limits on the tags a single trip can carry
+const MAX_TAGS_PER_TRIP = 20;
+const MAX_TAG_LENGTH = 30;
+
+/**
+ * Tag Normalization Helper Function
+ * 
+ * Cleans up a list of tags: trims and lowercases them, drops empty entries
+ * and duplicates.
+ * 
+ * @param {Array} tags - Tags as sent by the client
+ * @returns {Array|null} The normalized tags, or null if the list is invalid
+ */
+function normalizeTags(tags) {
+  if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string')) {
+    return null;
+  }
+  const normalized = [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+  if (normalized.length > MAX_TAGS_PER_TRIP || normalized.some(tag => tag.length > MAX_TAG_LENGTH)) {
+    return null;
+  }
+  return normalized;
+}
+
+/**
+ * Organize Trip Endpoint
+ * 
+ * PATCH /api/trip/trip/:tripId/organization
+ * 
+ * Updates how the owner has organized a trip: its tags, favorite flag and
+ * folder. These are personal to the owner and do not create a revision.
+ * 
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (required)
+ * 
+ * Parameters:
+ * - tripId: Unique identifier of the trip (required)
+ * 
+ * Request Body (all optional, at least one required):
+ * - tags: Complete list of tags for the trip (up to 20, each up to 30 characters)
+ * - favorite: Whether the trip is a favorite
+ * - folderId: Id of one of the user's folders, or null to unfile the trip
+ * 
+ * Response:
+ * - 200: Trip organization updated
+ * - 400: Invalid tags, favorite flag or folder
+ * - 401/403: Authentication error or insufficient role
+ * - 404: Trip or folder not found
+ * - 500: Server error during update
+ */
+router.patch('/trip/:tripId/organization', authenticateToken, authorizeTripAccess('owner'), async (req, res) => {
+  try {
+    const { trip } = req;
+    const { tags, favorite, folderId } = req.body;
+
+    if (tags === undefined && favorite === undefined && folderId === undefined) {
+      return res.status(400).json({ 
+        error: 'No changes provided',
+        message: 'Please provide tags, a favorite flag, or a folder to update'
+      });
+    }
+
+    if (tags !== undefined) {
+      const normalizedTags = normalizeTags(tags);
+      if (!normalizedTags) {
+        return res.status(400).json({ 
+          error: 'Invalid tags',
+          message: `Tags must be a list of up to ${MAX_TAGS_PER_TRIP} labels of at most ${MAX_TAG_LENGTH} characters`
+        });
+      }
+      trip.tags = normalizedTags;
+    }
+
+    if (favorite !== undefined) {
+      if (typeof favorite !== 'boolean') {
+        return res.status(400).json({ 
+          error: 'Invalid favorite flag',
+          message: 'Favorite must be true or false'
+        });
+      }
+      trip.favorite = favorite;
+    }
+
+    if (folderId !== undefined) {
+      if (folderId !== null) {
+        const folder = mongoose.isValidObjectId(folderId)
+          ? await TripFolder.exists({ _id: folderId, userEmail: req.user.email })
+          : null;
+        if (!folder) {
+          return res.status(404).json({ 
+            error: 'Folder not found',
+            message: 'The selected folder could not be found'
+          });
+        }
+      }
+      trip.folderId = folderId;
+    }
+
+    await trip.save();
+
+    res.json({
+      success: true,
+      message: 'Trip organization updated',
+      tags: trip.tags,
+      favorite: trip.favorite,
+      folderId: trip.folderId
+    });
+
+  } catch (error) {
+    console.error('Error organizing trip:', error);
+    res.status(500).json({ 
+      error: 'Failed to organize trip',
+      message: 'Unable to update the trip. Please try again.'
+    });
+  }
+});
+
+/**
+ * List Tags Endpoint
+ * 
+ * GET /api/trip/tags
+ * 
+ * Retrieves every tag used on the user's active trips with the number of
+ * trips carrying it, sorted alphabetically.
+ * 
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (required)
+ * 
+ * Response:
+ * - 200: Tags retrieved successfully
+ * - 401/403: Authentication error
+ * - 500: Server error during retrieval
+ */
+router.get('/tags', authenticateToken, async (req, res) => {
+  try {
+    const { email } = req.user;
+
+    const tags = await Trip.aggregate([
+      { $match: { userEmail: email, deletedAt: null } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    res.json({
+      success: true,
+      tags: tags.map(tag => ({ name: tag._id, count: tag.count }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch tags',
+      message: 'Unable to retrieve tags. Please try again.'
+    });
+  }
+});
+
+/**
+ * List Folders Endpoint
+ * 
+ * GET /api/trip/folders
+ * 
+ * Retrieves the user's trip folders sorted by name, each with the number of
+ * active trips filed in it.
+ * 
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (required)
+ * 
+ * Response:
+ * - 200: Folders retrieved successfully
+ * - 401/403: Authentication error
+ * - 500: Server error during retrieval
+ */
+router.get('/folders', authenticateToken, async (req, res) => {
+  try {
+    const { email } = req.user;
+
+    const [folders, counts] = await Promise.all([
+      TripFolder.find({ userEmail: email })
+        .collation({ locale: 'en', strength: 2 })
+        .sort({ name: 1 })
+        .lean(),
+      Trip.aggregate([
+        { $match: { userEmail: email, deletedAt: null, folderId: { $ne: null } } },
+        { $group: { _id: '$folderId', count: { $sum: 1 } } }
+      ])
+    ]);
+    const tripCounts = new Map(counts.map(entry => [String(entry._id), entry.count]));
+
+    res.json({
+      success: true,
+      folders: folders.map(folder => ({
+        id: folder._id,
+        name: folder.name,
+        tripCount: tripCounts.get(String(folder._id)) || 0,
+        createdAt: folder.createdAt
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching folders:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch folders',
+      message: 'Unable to retrieve folders. Please try again.'
+    });
+  }
+});
+
+/**
+ * Create Folder Endpoint
+ * 
+ * POST /api/trip/folders
+ * 
+ * Creates a new, empty trip folder for the user.
+ * 
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (required)
+ * 
+ * Request Body:
+ * - name: Folder name, up to 50 characters (required)
+ * 
+ * Response:
+ * - 201: Folder created successfully
+ * - 400: Missing or invalid folder name
+ * - 401/403: Authentication error
+ * - 409: A folder with this name already exists
+ * - 500: Server error during creation
+ */
+router.post('/folders', authenticateToken, async (req, res) => {
+  try {
+    const { email, userId } = req.user;
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+
+    if (!name || name.length > 50) {
+      return res.status(400).json({ 
+        error: 'Invalid folder name',
+        message: 'Folder names must contain between 1 and 50 characters'
+      });
+    }
+
+    const folder = await TripFolder.create({ userId, userEmail: email, name });
+
+    res.status(201).json({
+      success: true,
+      message: 'Folder created',
+      folder: { id: folder._id, name: folder.name, tripCount: 0, createdAt: folder.createdAt }
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ 
+        error: 'Folder already exists',
+        message: 'You already have a folder with this name'
+      });
+    }
+    console.error('Error creating folder:', error);
+    res.status(500).json({ 
+      error: 'Failed to create folder',
+      message: 'Unable to create folder. Please try again.'
+    });
+  }
+});
+
+/**
+ * Rename Folder Endpoint
+ * 
+ * PUT /api/trip/folders/:folderId
+ * 
+ * Renames one of the user's trip folders.
+ * 
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (required)
+ * 
+ * Parameters:
+ * - folderId: Id of the folder to rename (required)
+ * 
+ * Request Body:
+ * - name: New folder name, up to 50 characters (required)
+ * 
+ * Response:
+ * - 200: Folder renamed successfully
+ * - 400: Missing or invalid folder name
+ * - 401/403: Authentication error
+ * - 404: Folder not found
+ * - 409: A folder with this name already exists
+ * - 500: Server error during update
+ */
+router.put('/folders/:folderId', authenticateToken, async (req, res) => {
+  try {
+    const { folderId } = req.params;
+    const { email } = req.user;
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+
+    if (!name || name.length > 50) {
+      return res.status(400).json({ 
+        error: 'Invalid folder name',
+        message: 'Folder names must contain between 1 and 50 characters'
+      });
+    }
+
+    const folder = mongoose.isValidObjectId(folderId)
+      ? await TripFolder.findOne({ _id: folderId, userEmail: email })
+      : null;
+
+    if (!folder) {
+      return res.status(404).json({ 
+        error: 'Folder not found',
+        message: 'The requested folder could not be found'
+      });
+    }
+
+    folder.name = name;
+    await folder.save();
+
+    res.json({
+      success: true,
+      message: 'Folder renamed',
+      folder: { id: folder._id, name: folder.name, createdAt: folder.createdAt }
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ 
+        error: 'Folder already exists',
+        message: 'You already have a folder with this name'
+      });
+    }
+    console.error('Error renaming folder:', error);
+    res.status(500).json({ 
+      error: 'Failed to rename folder',
+      message: 'Unable to rename folder. Please try again.'
+    });
+  }
+});
+
+/**
+ * Delete Folder Endpoint
+ * 
+ * DELETE /api/trip/folders/:folderId
+ * 
+ * Deletes one of the user's trip folders. The trips filed in it are not
+ * deleted; they become unfiled.
+ * 
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (required)
+ * 
+ * Parameters:
+ * - folderId: Id of the folder to delete (required)
+ * 
+ * Response:
+ * - 200: Folder deleted successfully
+ * - 401/403: Authentication error
+ * - 404: Folder not found
+ * - 500: Server error during deletion
+ */
+router.delete('/folders/:folderId', authenticateToken, async (req, res) => {
+  try {
+    const { folderId } = req.params;
+    const { email } = req.user;
+
+    const folder = mongoose.isValidObjectId(folderId)
+      ? await TripFolder.findOneAndDelete({ _id: folderId, userEmail: email })
+      : null;
+
+    if (!folder) {
+      return res.status(404).json({ 
+        error: 'Folder not found',
+        message: 'The requested folder could not be found'
+      });
+    }
+
+    // Trashed trips are unfiled as well, so they are not restored into a missing folder
+    await Trip.updateMany({ userEmail: email, folderId: folder._id }, { $set: { folderId: null } });
+
+    res.json({
+      success: true,
+      message: 'Folder deleted',
+      folderId
+    });
+
+  } catch (error) {
+    console.error('Error deleting folder:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete folder',
+      message: 'Unable to delete folder. Please try again.'
+    });
+  }
+});
+
+/**
+ * Delete Trip Endpoint (Soft Delete)
+ * 
+ * DELETE /api/trip/trip/:tripId
+ * 
+ * Moves a trip to the trash by setting its deletedAt timestamp.
+ * Trashed trips can be restored until the retention period expires,
+ * after which MongoDB purges them automatically.
+ * 
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (required)
+ * 
+ * Parameters:
+ * - tripId: Unique identifier of the trip to delete (required)
+ * 
+ * Response:
+ * - 200: Trip moved to the trash
+ * - 401/403: Authentication error or insufficient role
+ * - 404: Trip not found or access denied
+ * - 500: Server error during deletion
+ */
+router.delete('/trip/:tripId', authenticateToken, authorizeTripAccess('owner'), async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { email } = req.user;
+
+    const trip = await Trip.findOneAndUpdate(
+      { tripId, userEmail: email, deletedAt: null },
+      { deletedAt: new Date() },
+      { new: true }
+    );
+
+    if (!trip) {
+      return res.status(404).json({ 
+        error: 'Trip not found',
+        message: 'The requested trip could not be found or you do not have access to it'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Trip moved to trash',
+      tripId,
+      deletedAt: trip.deletedAt,
+      retentionDays: Trip.TRASH_RETENTION_DAYS
+    });
+
+  } catch (error) {
+    console.error('Error deleting trip:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete trip',
+      message: 'Unable to delete trip. Please try again.'
+    });
+  }
+});
+
+/**
+ * Get Trash Endpoint
+ * 
+ * GET /api/trip/trash
+ * 
+ * Retrieves all trashed trips for the authenticated user, most recently deleted first.
+ * Each trip includes the date on which it will be permanently purged.
+ * 
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (required)
+ * 
+ * Response:
+ * - 200: Trashed trips retrieved successfully
+ * - 401/403: Authentication error
+ * - 500: Server error during retrieval
+ */
+router.get('/trash', authenticateToken, async (req, res) => {
+  try {
+    const { email } = req.user;
+    const retentionMs = Trip.TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+    const trips = await Trip.find({ userEmail: email, deletedAt: { $ne: null } })
+      .sort({ deletedAt: -1 }) // Most recently deleted first
+      .select('tripId country city destinationCity tripType tripDate countryFlag difficulty createdAt deletedAt');
+
+    res.json({
+      success: true,
+      retentionDays: Trip.TRASH_RETENTION_DAYS,
+      trips: trips.map(trip => ({
+        ...trip.toObject(),
+        purgeAt: new Date(trip.deletedAt.getTime() + retentionMs)
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch trash',
+      message: 'Unable to retrieve deleted trips. Please try again.'
+    });
+  }
+});
+
+/**
+ * Restore Trip Endpoint
+ * 
+ * POST /api/trip/trip/:tripId/restore
+ * 
+ * Restores a trashed trip by clearing its deletedAt timestamp.
+ * 
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (required)
+ * 
+ * Parameters:
+ * - tripId: Unique identifier of the trashed trip (required)
+ * 
+ * Response:
+ * - 200: Trip restored successfully
+ * - 401/403: Authentication error
+ * - 404: Trip not found in the trash
+ * - 500: Server error during restore
+ */
+router.post('/trip/:tripId/restore', authenticateToken, async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { email } = req.user;
+
+    const trip = await Trip.findOneAndUpdate(
+      { tripId, userEmail: email, deletedAt: { $ne: null } },
+      { deletedAt: null },
+      { new: true }
+    );
+
+    if (!trip) {
+      return res.status(404).json({ 
+        error: 'Trip not found',
+        message: 'The requested trip could not be found in the trash'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Trip restored successfully',
+      tripId
+    });
+
+  } catch (error) {
+    console.error('Error restoring trip:', error);
+    res.status(500).json({ 
+      error: 'Failed to restore trip',
+      message: 'Unable to restore trip. Please try again.'
+    });
+  }
+});
+
+/**
+ * Permanently Delete Trip Endpoint
+ * 
+ * DELETE /api/trip/trash/:tripId
+ * 
+ * Permanently removes a trip that is already in the trash, together with
+ * its revision history. Active trips must be moved to the trash first.
+ * 
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (required)
+ * 
+ * Parameters:
+ * - tripId: Unique identifier of the trashed trip (required)
+ * 
+ * Response:
+ * - 200: Trip permanently deleted
+ * - 401/403: Authentication error
+ * - 404: Trip not found in the trash
+ * - 500: Server error during deletion
+ */
+router.delete('/trash/:tripId', authenticateToken, async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { email } = req.user;
+
+    const result = await Trip.deleteOne({ tripId, userEmail: email, deletedAt: { $ne: null } });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ 
+        error: 'Trip not found',
+        message: 'The requested trip could not be found in the trash'
+      });
+    }
+
+    // The revision history and comments are of no use once the trip itself is gone
+    await TripRevision.deleteMany({ tripId });
+    await TripComment.deleteMany({ tripId });
+
+    res.json({
+      success: true,
+      message: 'Trip permanently deleted',
+      tripId
+    });
+
+  } catch (error) {
+    console.error('Error permanently deleting trip:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete trip',
+      message: 'Unable to permanently delete trip. Please try again.'
+    });
+  }
+});
+
+/**
+ * Trip Length Limits
+ *
+ * A planned trip can last from MIN_TRIP_DAYS to MAX_TRIP_DAYS days. When the
+ * client does not ask for a length, the trip type's defaultDays is used
+ * (e.g. a 2-day bike trip or a 1-day trek).
+ */
+const MIN_TRIP_DAYS = 1;
+const MAX_TRIP_DAYS = 14;
+
+/**
+ * Resolve Fitness Limits Helper Function
+ *
+ * Combines the default daily distance of a trip type (from the trip type
+ * registry) with the user's fitness profile and an optional per-request
+ * override. Later sources win field by field. Every day of a multi-day trip
+ * is checked against the limits independently; climbing and speed are only
+ * enforced when the user sets them.
+ *
+ * @param {string} tripType - Trip type identifier from the registry
+ * @param {Object} [profileLimits] - Limits from the user's fitness profile for this trip type
+ * @param {Object} [overrideLimits] - Limits sent with a single plan request
+ * @returns {Object} { minDailyKm, maxDailyKm, maxClimbingM, averageSpeedKmh }
+ */
+function resolveFitnessLimits(tripType, profileLimits, overrideLimits) {
+  const { dailyDistanceKm } = TRIP_TYPES[tripType];
+  const limits = {
+    minDailyKm: dailyDistanceKm.min,
+    maxDailyKm: dailyDistanceKm.max,
+    maxClimbingM: null,
+    averageSpeedKmh: null
+  };
+  [profileLimits, overrideLimits].forEach(source => {
+    Object.keys(limits).forEach(field => {
+      if (source && typeof source[field] === 'number') {
+        limits[field] = source[field];
+      }
+    });
+  });
+  return limits;
+}
+
+/**
+ * Requesting User Helper Function
+ *
+ * Looks up the user behind an optional Authorization header. Used by routes
+ * that work for anonymous visitors but personalize results for logged-in users.
+ *
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} The User document, or null when there is no valid token
+ */
+async function findRequestingUser(req) {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  if (!token) {
+    return null;
+  }
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
+    const userId = decoded.userId || decoded.id;
+    return userId ? await User.findById(userId).select('email fitnessProfile') : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Fitness Profile Lookup Helper Function
+ *
+ * @param {Object|null} user - User document with its fitnessProfile loaded
+ * @param {string} tripType - Trip type identifier from the registry (e.g. 'bike', 'trek')
+ * @returns {Object|undefined} The user's limits for the trip type, if any
+ */
+function getProfileLimits(user, tripType) {
+  const limits = user && user.fitnessProfile && user.fitnessProfile.get(tripType);
+  return limits ? limits.toObject() : undefined;
+}
+
+/**
+ * ORS surface types counted as unpaved: unpaved, compacted gravel, fine
+ * gravel, gravel, dirt, ground, ice, sand, woodchips and grass.
+ */
+const UNPAVED_SURFACE_TYPES = [2, 8, 9, 10, 11, 12, 13, 15, 16, 17];
+
+/**
+ * Elevation profile settings: how many points of each day's profile are
+ * stored, and over what distance (in meters) gradients are measured, so that
+ * single noisy elevation samples do not produce unrealistic gradients.
+ */
+const ELEVATION_PROFILE_SAMPLES = 100;
+const GRADIENT_WINDOW_M = 200;
+
+/**
+ * ORS request settings: how many days of a plan are routed at the same time
+ * (each day is a single directions request through all of its points), and
+ * the most points ORS accepts in one directions request.
+ */
+const ORS_DAY_CONCURRENCY = 3;
+const ORS_MAX_WAYPOINTS = 50;
+
+/**
+ * ORS Polyline Decoder Helper Function
+ *
+ * Decodes an encoded ORS route geometry. With elevation requested, ORS adds
+ * the elevation (in centimeters) as a third value to every encoded point.
+ *
+ * @param {string} encoded - Encoded polyline from an ORS route
+ * @param {boolean} includeElevation - Whether the polyline carries elevation
+ * @returns {Array} Points as [latitude, longitude] or [latitude, longitude, elevation]
+ */
+function decodeORSPolyline(encoded, includeElevation) {
+  const points = [];
+  const values = includeElevation ? [0, 0, 0] : [0, 0];
+  let index = 0;
+  while (index < encoded.length) {
+    for (let v = 0; v < values.length; v++) {
+      let result = 0;
+      let shift = 0;
+      let byte;
+      do {
+        byte = encoded.charCodeAt(index++) - 63;
+        result |= (byte & 0x1f) << shift;
+        shift += 5;
+      } while (byte >= 0x20 && index < encoded.length);
+      values[v] += (result & 1) ? ~(result >> 1) : (result >> 1);
+    }
+    const point = [values[0] / 1e5, values[1] / 1e5];
+    if (includeElevation) {
+      point.push(values[2] / 100);
+    }
+    points.push(point);
+  }
+  return points;
+}
+
+/**
+ * Elevation Summary Helper Function
+ *
+ * Builds a day's elevation data from the points of its route:
+ * - ascentM / descentM: Total climbing and descending (from ORS when available)
+ * - maxGradientPercent: Steepest climb, measured over GRADIENT_WINDOW_M stretches
+ * - profile: Up to ELEVATION_PROFILE_SAMPLES points spread evenly along the
+ *   route, each { distanceKm, elevationM, coordinates: [lat, lng] }
+ *
+ * @param {Array} points - [latitude, longitude, elevation] points of the day's route, in order
+ * @param {number} [ascent] - Total ascent reported by ORS, in meters
+ * @param {number} [descent] - Total descent reported by ORS, in meters
+ * @returns {Object|null} The day's elevation data, or null without elevation points
+ */
+function buildElevationSummary(points, ascent, descent) {
+  const withElevation = points.filter(point => typeof point[2] === 'number');
+  if (withElevation.length < 2) {
+    return null;
+  }
+
+  // Distance of every point from the start of the day, in meters
+  const distances = [0];
+  for (let i = 1; i < withElevation.length; i++) {
+    distances.push(distances[i - 1] + haversineKm(withElevation[i - 1], withElevation[i]) * 1000);
+  }
+  const totalDistance = distances[distances.length - 1];
+
+  // Steepest climb over any stretch of at least GRADIENT_WINDOW_M
+  let maxGradient = 0;
+  let end = 0;
+  for (let start = 0; start < withElevation.length; start++) {
+    while (end < withElevation.length && distances[end] - distances[start] < GRADIENT_WINDOW_M) {
+      end++;
+    }
+    if (end >= withElevation.length) {
+      break;
+    }
+    const gradient = (withElevation[end][2] - withElevation[start][2]) / (distances[end] - distances[start]) * 100;
+    maxGradient = Math.max(maxGradient, gradient);
+  }
+
+  // Fall back to summing the elevation changes when ORS did not report totals
+  let summedAscent = 0;
+  let summedDescent = 0;
+  for (let i = 1; i < withElevation.length; i++) {
+    const change = withElevation[i][2] - withElevation[i - 1][2];
+    if (change > 0) {
+      summedAscent += change;
+    } else {
+      summedDescent -= change;
+    }
+  }
+
+  // Sample the profile at evenly spaced distances along the route
+  const sampleCount = Math.min(ELEVATION_PROFILE_SAMPLES, withElevation.length);
+  const profile = [];
+  let pointIndex = 0;
+  for (let k = 0; k < sampleCount; k++) {
+    const target = sampleCount === 1 ? 0 : totalDistance * k / (sampleCount - 1);
+    while (pointIndex < withElevation.length - 1 && distances[pointIndex + 1] <= target) {
+      pointIndex++;
+    }
+    const [lat, lng, elevation] = withElevation[pointIndex];
+    profile.push({
+      distanceKm: Number((distances[pointIndex] / 1000).toFixed(2)),
+      elevationM: Math.round(elevation),
+      coordinates: [lat, lng]
+    });
+  }
+
+  return {
+    ascentM: Math.round(typeof ascent === 'number' ? ascent : summedAscent),
+    descentM: Math.round(typeof descent === 'number' ? descent : summedDescent),
+    maxGradientPercent: Number(maxGradient.toFixed(1)),
+    profile
+  };
+}
+
+/**
+ * Names the waypoint of a day that an ORS error refers to. ORS reports
+ * unroutable points by their index in the request ("... of specified
+ * coordinate 2: ...").
+ *
+ * @param {string} detail - The ORS error message
+ * @param {Object} day - The day whose points were routed
+ * @returns {string} ' near "<name>"', or an empty string when no point is named
+ */
+function describeORSErrorPoint(detail, day) {
+  const match = typeof detail === 'string' && detail.match(/coordinate (\d+)/);
+  const city = match && day.cities[Number(match[1])];
+  return city ? ` near "${city.name}"` : '';
+}
+
+/**
+ * Route Validation Helper Function
+ * 
+ * Validates a trip plan by checking route feasibility and distance constraints
+ * using the OpenRouteService (ORS) API. This ensures that generated trips are
+ * actually routable and meet realistic distance requirements.
+ * 
+ * @param {Object} tripData - The trip plan data containing daily itineraries
+ * @param {string} tripType - Trip type identifier from the registry (e.g. 'bike', 'trek')
+ * @param {number} [expectedDays] - Number of days the plan must have (not checked when omitted)
+ * @param {Object} [limits] - Daily limits from resolveFitnessLimits (defaults for the trip type when omitted)
+ * @param {Object} [routeOptions] - Avoided features and areas from normalizeRouteOptions
+ * @param {Function} [onProgress] - Called with (event, data) for each segment and day once
+ *   the day is routed ('segment', 'day-validated' and 'day-out-of-range'; see generateTripPlan)
+ * @param {AbortSignal} [signal] - Cancels the ORS requests when aborted
+ * @returns {Object} { valid: true, allORSData } or { valid: false, reason } where reason says
+ *   what failed (e.g. a segment that cannot be routed or a day that is too long); allORSData
+ *   has one entry per day: { dayDistance, dayDuration, orsSegments, routePoints, elevation, unpavedPercent }
+ * 
+ * Validation Process:
+ * 1. Checks that the plan has the expected number of days, each with at least two waypoints
+ * 2. Determines appropriate routing profile based on trip type
+ * 3. Routes each day through all of its waypoints with a single ORS request,
+ *    ORS_DAY_CONCURRENCY days at a time
+ * 4. Takes each segment's distance and duration from the route's segments, and calculates
+ *    total daily distances, durations, climbing, the elevation profile and the unpaved share
+ * 5. Ensures distances (and climbing, when limited) fall within the daily limits
+ * 6. Returns detailed route information for accurate trip planning
+ *
+ * @throws {Error} The signal's abort reason when it is aborted
+ */
+async function validateORSRoutesAndDistances(tripData, tripType, expectedDays, limits = resolveFitnessLimits(tripType), routeOptions = null, onProgress = () => {}, signal = null) {
+  // Reject plans that do not have the requested number of days or have days without a route
+  if (!tripData || !Array.isArray(tripData.days) ||
+      (expectedDays !== undefined && tripData.days.length !== expectedDays) ||
+      !tripData.days.every(day => day && Array.isArray(day.cities) && day.cities.length >= 2)) {
+    return {
+      valid: false,
+      reason: `The plan must have ${expectedDays !== undefined ? `${expectedDays} days` : 'days'}, each with at least two points`
+    };
+  }
+
+  // Select appropriate routing profile based on trip type
+  const profile = TRIP_TYPES[tripType].orsProfile;
+  const orsOptions = buildORSRouteOptions(profile, routeOptions);
+  
+  // Daily distance limits in meters
+  const dayDistanceLimits = { min: limits.minDailyKm * 1000, max: limits.maxDailyKm * 1000 };
+  const checkClimbing = typeof limits.maxClimbingM === 'number';
+  
+  const url = `https://api.openrouteservice.org/v2/directions/${profile}`;
+
+  /**
+   * Routes one day through all of its points with a single ORS request and
+   * checks it against the daily limits. The route's segments give the
+   * distance and duration between each pair of consecutive points.
+   */
+  const validateDay = async (day, dayIndex) => {
+    const dayNumber = dayIndex + 1;
+    if (day.cities.length > ORS_MAX_WAYPOINTS) {
+      return {
+        valid: false,
+        reason: `Day ${dayNumber} has ${day.cities.length} points; at most ${ORS_MAX_WAYPOINTS} can be routed`
+      };
+    }
+
+    let route;
+    try {
+      // Request the day's route from OpenRouteService
+      const response = await axios.post(
+        url,
+        {
+          // ORS expects [longitude, latitude]
+          coordinates: day.cities.map(city => [city.coordinates[1], city.coordinates[0]]),
+          // Elevation is used for the climbing limit and the elevation profile
+          elevation: true,
+          // Surface types tell how much of the route is unpaved
+          extra_info: ['surface'],
+          // Route around the avoided features and areas
+          ...(orsOptions ? { options: orsOptions } : {})
+        },
+        {
+          headers: {
+            'Authorization': ORS_API_KEY,
+            'Content-Type': 'application/json'
+          },
+          signal
+        }
+      );
+      route = response.data && response.data.routes && response.data.routes[0];
+    } catch (err) {
+      // A cancelled request stops the validation rather than failing the day
+      if (signal) {
+        signal.throwIfAborted();
+      }
+      // If the route cannot be calculated, the day is invalid
+      const orsError = err.response && err.response.data && err.response.data.error;
+      const detail = (orsError && (orsError.message || orsError)) || err.message;
+      return { valid: false, reason: `Day ${dayNumber} could not be routed${describeORSErrorPoint(detail, day)} (${detail})` };
+    }
+
+    // Validate response structure
+    if (!route || !route.geometry) {
+      return { valid: false, reason: `Day ${dayNumber} returned no route` };
+    }
+
+    // Take each segment's distance and duration from the route's segments
+    const routeSegments = Array.isArray(route.segments) ? route.segments : [];
+    const orsSegments = day.cities.slice(1).map((city, i) => {
+      const segment = routeSegments[i];
+      return segment && typeof segment.distance === 'number' && typeof segment.duration === 'number'
+        ? { distance: segment.distance, duration: segment.duration }
+        : { distance: null, duration: null };
+    });
+    orsSegments.forEach((segment, i) => {
+      onProgress('segment', {
+        day: dayNumber,
+        segment: i + 1,
+        segments: orsSegments.length,
+        from: day.cities[i].name,
+        to: day.cities[i + 1].name,
+        distanceKm: segment.distance !== null ? Number((segment.distance / 1000).toFixed(1)) : null
+      });
+    });
+
+    // The day's totals come from the route's summary, or from its segments when missing
+    const summary = route.summary || {};
+    const sumSegments = (field) => orsSegments.reduce((total, segment) => total + (segment[field] || 0), 0);
+    const dayDistance = typeof summary.distance === 'number' ? summary.distance : sumSegments('distance');
+    const dayDuration = typeof summary.duration === 'number' ? summary.duration : sumSegments('duration');
+    const dayAscent = typeof summary.ascent === 'number' ? summary.ascent : 0;
+    const dayDescent = typeof summary.descent === 'number' ? summary.descent : 0;
+    let dayUnpaved = 0;
+    const surface = route.extras && route.extras.surface;
+    (surface && Array.isArray(surface.summary) ? surface.summary : []).forEach(entry => {
+      if (UNPAVED_SURFACE_TYPES.includes(entry.value) && typeof entry.distance === 'number') {
+        dayUnpaved += entry.distance;
+      }
+    });
+
+    // Verify that the total daily distance is within acceptable limits
+    if (dayDistance < dayDistanceLimits.min || dayDistance > dayDistanceLimits.max) {
+      onProgress('day-out-of-range', {
+        day: dayNumber,
+        distanceKm: Number((dayDistance / 1000).toFixed(1)),
+        minKm: limits.minDailyKm,
+        maxKm: limits.maxDailyKm
+      });
+      return {
+        valid: false,
+        reason: `Day ${dayNumber} is ${(dayDistance / 1000).toFixed(1)} km long; ` +
+          `it must be between ${limits.minDailyKm} and ${limits.maxDailyKm} km ` +
+          `(${dayDistance < dayDistanceLimits.min ? 'too short' : 'too long'})`
+      };
+    }
+    // Verify that the day does not climb more than the user can handle
+    if (checkClimbing && dayAscent > limits.maxClimbingM) {
+      return {
+        valid: false,
+        reason: `Day ${dayNumber} climbs ${Math.round(dayAscent)} m; the limit is ${limits.maxClimbingM} m`
+      };
+    }
+    onProgress('day-validated', { day: dayNumber, distanceKm: Number((dayDistance / 1000).toFixed(1)) });
+
+    const routePoints = decodeORSPolyline(route.geometry, true);
+    return {
+      valid: true,
+      orsData: {
+        dayDistance,
+        dayDuration,
+        orsSegments,
+        routePoints,
+        elevation: buildElevationSummary(routePoints, dayAscent, dayDescent),
+        unpavedPercent: dayDistance > 0 ? Math.round(Math.min(dayUnpaved / dayDistance, 1) * 100) : null
+      }
+    };
+  };
+
+  // Validate the days a few at a time, starting no more days once one has failed
+  let failed = false;
+  const dayResults = await mapWithConcurrency(tripData.days, ORS_DAY_CONCURRENCY, async (day, dayIndex) => {
+    const result = await validateDay(day, dayIndex);
+    if (!result.valid) {
+      failed = true;
+    }
+    return result;
+  }, () => failed || Boolean(signal && signal.aborted));
+
+  // Report the earliest day that failed
+  const failure = dayResults.find(result => result && !result.valid);
+  if (failure) {
+    return { valid: false, reason: failure.reason };
+  }
+  return { valid: true, allORSData: dayResults.map(result => result.orsData) };
+}
+
+/**
+ * Apply ORS Data Helper Function
+ * 
+ * Replaces LLM or user-supplied estimates in a trip plan with the accurate
+ * figures returned by validateORSRoutesAndDistances:
+ * - Converts distances from meters to kilometers
+ * - Converts durations from seconds to hours/minutes
+ * - Stores each day's elevation data (ascent, descent, steepest gradient and profile)
+ *   and its share of unpaved ground
+ * - Ensures all numerical data is properly formatted
+ * 
+ * When the user's average speed is known, durations are derived from it
+ * instead of the ORS estimates, which assume a generic rider or walker.
+ * 
+ * @param {Object} tripData - The trip plan data containing daily itineraries (modified in place)
+ * @param {Array} orsData - Per-day route data returned by validateORSRoutesAndDistances
+ * @param {number|null} [averageSpeedKmh] - The user's average speed
+ * @returns {Object} The same tripData object, for convenience
+ */
+function applyORSDataToTripData(tripData, orsData, averageSpeedKmh = null) {
+  if (typeof averageSpeedKmh === 'number') {
+    // Seconds needed to cover the given meters at the user's speed
+    const durationAtSpeed = (meters) => (meters / 1000) / averageSpeedKmh * 3600;
+    orsData = orsData.map(data => ({
+      ...data,
+      dayDuration: durationAtSpeed(data.dayDistance),
+      orsSegments: data.orsSegments.map(seg => ({
+        distance: seg.distance,
+        duration: typeof seg.distance === 'number' ? durationAtSpeed(seg.distance) : null
+      }))
+    }));
+  }
+  tripData.days.forEach((day, idx) => {
+    day.totalDistance = (typeof orsData[idx].dayDistance === 'number' 
+      ? (orsData[idx].dayDistance / 1000).toFixed(2) + ' km' 
+      : 'N/A');
+    day.estimatedTime = (typeof orsData[idx].dayDuration === 'number' 
+      ? (orsData[idx].dayDuration / 3600).toFixed(2) + ' hours' 
+      : 'N/A');
+    day.distances = orsData[idx].orsSegments.map(seg => 
+      (typeof seg.distance === 'number' 
+        ? (seg.distance / 1000).toFixed(2) + ' km' 
+        : 'N/A'));
+    day.durations = orsData[idx].orsSegments.map(seg => 
+      (typeof seg.duration === 'number' 
+        ? (seg.duration / 60).toFixed(1) + ' min' 
+        : 'N/A'));
+    day.elevation = orsData[idx].elevation || null;
+    day.unpavedPercent = typeof orsData[idx].unpavedPercent === 'number' ? orsData[idx].unpavedPercent : null;
+  });
+  return tripData;
+}
+
+/**
+ * Get Trip Types Endpoint
+ * 
+ * GET /api/trip/types
+ * 
+ * Lists the supported trip types from the trip type registry so the client
+ * can build its trip type selects, filters and map colours without
+ * hard-coding them. This endpoint is public.
+ * 
+ * Response:
+ * - 200: { success, tripTypes: [{ id, label, orsProfile, defaultDays, dailyDistanceKm, color }], tripDays: { min, max },
+ *   avoidFeatures: [{ id, label }], difficultyGrades: [String] }
+ */
+router.get('/types', (req, res) => {
+  res.json({
+    success: true,
+    tripTypes: TRIP_TYPE_IDS.map(id => {
+      const { label, orsProfile, defaultDays, dailyDistanceKm, color } = TRIP_TYPES[id];
+      return { id, label, orsProfile, defaultDays, dailyDistanceKm, color };
+    }),
+    tripDays: { min: MIN_TRIP_DAYS, max: MAX_TRIP_DAYS },
+    avoidFeatures: AVOID_FEATURE_IDS.map(id => ({ id, label: AVOID_FEATURES[id].label })),
+    difficultyGrades: DIFFICULTY_GRADES
+  });
+});
+
+/**
+ * Place Geocoding Helper Function
+ *
+ * Looks up the coordinates of a place with the Nominatim geocoding service.
+ *
+ * @param {string} place - Name of the place (city, landmark, address...)
+ * @param {string} country - Country the place must be in
+ * @param {AbortSignal} [signal] - Cancels the request when aborted
+ * @returns {Promise<Array|null>} [latitude, longitude], or null when the place is not found
+ */
+async function geocodePlace(place, country, signal = null) {
+  const response = await axios.get('https://nominatim.openstreetmap.org/search', {
+    params: { format: 'json', q: `${place}, ${country}`, limit: 1 },
+    headers: { 'User-Agent': 'TripPlanner/1.0' },
+    signal
+  });
+  const location = response.data && response.data[0];
+  return location ? [parseFloat(location.lat), parseFloat(location.lon)] : null;
+}
+
+/**
+ * How close (in kilometers) the last waypoint of a point-to-point trip must be
+ * to the geocoded destination city to count as arriving there.
+ */
+const DESTINATION_MATCH_RADIUS_KM = 10;
+
+/**
+ * Destination Check Helper Function
+ *
+ * Checks that a point-to-point trip ends at its destination: the last
+ * waypoint of the last day must lie within DESTINATION_MATCH_RADIUS_KM of it.
+ *
+ * @param {Object} tripData - The trip plan data containing daily itineraries
+ * @param {Array} destinationCoordinates - [latitude, longitude] of the destination
+ * @returns {boolean} True when the trip ends at the destination
+ */
+function endsAtDestination(tripData, destinationCoordinates) {
+  const lastDay = tripData && Array.isArray(tripData.days) ? tripData.days[tripData.days.length - 1] : null;
+  const lastCity = lastDay && Array.isArray(lastDay.cities) ? lastDay.cities[lastDay.cities.length - 1] : null;
+  return Boolean(lastCity && Array.isArray(lastCity.coordinates) &&
+    haversineKm(lastCity.coordinates, destinationCoordinates) <= DESTINATION_MATCH_RADIUS_KM);
+}
+
+/**
+ * Must-visit place limits: how many places a plan request may require, and
+ * how close (in kilometers) the routed line must pass to a place to cover it.
+ */
+const MAX_MUST_VISIT_PLACES = 5;
+const MUST_VISIT_MATCH_RADIUS_KM = 2;
+
+/**
+ * Must-Visit Normalization Helper Function
+ *
+ * Validates the must-visit places of a plan request: a list of place names,
+ * trimmed, without blanks or duplicates (case-insensitive).
+ *
+ * @param {*} mustVisit - Raw value from the request body
+ * @returns {Object} { places } on success or { error } with a message
+ */
+function normalizeMustVisit(mustVisit) {
+  if (mustVisit === undefined || mustVisit === null) {
+    return { places: [] };
+  }
+  if (!Array.isArray(mustVisit) || mustVisit.some(place => typeof place !== 'string')) {
+    return { error: 'Must-visit places must be a list of place names' };
+  }
+  const places = [];
+  const seen = new Set();
+  mustVisit.forEach(place => {
+    const name = place.trim();
+    if (name && !seen.has(name.toLowerCase())) {
+      seen.add(name.toLowerCase());
+      places.push(name);
+    }
+  });
+  if (places.length > MAX_MUST_VISIT_PLACES) {
+    return { error: `You can require at most ${MAX_MUST_VISIT_PLACES} must-visit places` };
+  }
+  if (places.some(name => name.length > 100)) {
+    return { error: 'Must-visit place names can be at most 100 characters long' };
+  }
+  return { places };
+}
+
+/**
+ * Must-Visit Coverage Helper Function
+ *
+ * Finds where the plan's route passes closest to each must-visit place. A
+ * place is covered when the routed line of some day passes within
+ * MUST_VISIT_MATCH_RADIUS_KM of it, whether or not a waypoint lies there.
+ * The closest waypoint of that day is reported as well, to name the spot.
+ *
+ * @param {Object} tripData - The trip plan data containing daily itineraries
+ * @param {Array} mustVisitPlaces - [{ name, coordinates: [lat, lng] }]
+ * @param {Array} dayRoutes - The routed points of each day ([[lat, lng, ...], ...] per day,
+ *   e.g. routePoints from validateORSRoutesAndDistances)
+ * @returns {Array} One entry per place: { place, coordinates, covered, day, waypoint,
+ *   waypointIndex, distanceKm, routeDistanceKm } where distanceKm is the distance to the
+ *   waypoint and routeDistanceKm the distance to the route (day and waypoint are null when
+ *   the plan has no usable route)
+ */
+function findMustVisitCoverage(tripData, mustVisitPlaces, dayRoutes) {
+  const days = tripData && Array.isArray(tripData.days) ? tripData.days : [];
+  return mustVisitPlaces.map(({ name, coordinates }) => {
+    // The day whose route passes closest to the place
+    let closestDay = null;
+    days.forEach((day, dayIndex) => {
+      const routeDistanceKm = distanceToRouteKm(coordinates, dayRoutes[dayIndex]);
+      if (routeDistanceKm !== null && (!closestDay || routeDistanceKm < closestDay.routeDistanceKm)) {
+        closestDay = { dayIndex, routeDistanceKm };
+      }
+    });
+
+    // The waypoint of that day closest to the place
+    let closest = null;
+    const cities = closestDay && Array.isArray(days[closestDay.dayIndex].cities) ? days[closestDay.dayIndex].cities : [];
+    cities.forEach((city, cityIndex) => {
+      if (!city || !Array.isArray(city.coordinates)) {
+        return;
+      }
+      const distanceKm = haversineKm(city.coordinates, coordinates);
+      if (!closest || distanceKm < closest.distanceKm) {
+        closest = { waypoint: city.name, waypointIndex: cityIndex, distanceKm };
+      }
+    });
+
+    return {
+      place: name,
+      coordinates,
+      covered: Boolean(closestDay && closestDay.routeDistanceKm <= MUST_VISIT_MATCH_RADIUS_KM),
+      day: closestDay ? closestDay.dayIndex + 1 : null,
+      waypoint: closest ? closest.waypoint : null,
+      waypointIndex: closest ? closest.waypointIndex : null,
+      distanceKm: closest ? Number(closest.distanceKm.toFixed(2)) : null,
+      routeDistanceKm: closestDay ? Number(closestDay.routeDistanceKm.toFixed(2)) : null
+    };
+  });
+}
+
+/**
+ * Trip Plan Prompt Builder
+ *
+ * Builds the LLM prompt for a trip of the given type and length. Every day
+ * gets the same distance limit and the days are chained (each day starts where
+ * the previous one ended). Round trips return to the starting city on the last
+ * day; point-to-point trips end in the destination city instead. The JSON
+ * example in the prompt contains exactly one entry per requested day.
+ * Must-visit places are listed with their coordinates so the LLM can route
+ * through them, and avoided features and areas are described so it can
+ * route around them.
+ *
+ * @param {Object} options - Prompt options
+ * @param {string} options.city - City where the trip starts
+ * @param {string} options.country - Country where the trip takes place
+ * @param {string} options.tripType - Trip type identifier from the registry (e.g. 'bike', 'trek')
+ * @param {number} options.days - Number of days (MIN_TRIP_DAYS to MAX_TRIP_DAYS)
+ * @param {Object} options.limits - Daily limits from resolveFitnessLimits
+ * @param {string} [options.destinationCity] - City where a point-to-point trip ends
+ * @param {Array} [options.mustVisit] - Places the route must pass through: [{ name, coordinates }]
+ * @param {Object} [options.routeOptions] - Avoided features and areas from normalizeRouteOptions
+ * @returns {string} The prompt to send to the LLM
+ */
+function buildTripPlanPrompt({ city, country, tripType, days, limits, destinationCity, mustVisit = [], routeOptions = null }) {
+  const minKm = limits.minDailyKm;
+  const maxKm = limits.maxDailyKm;
+  const { tripName, routeName, pointKinds } = TRIP_TYPES[tripType].prompt;
+  const isOneWay = Boolean(destinationCity);
+
+  // One requirement line per day describing where the day starts and ends
+  const dayRequirements = Array.from({ length: days }, (_, index) => {
+    const dayNumber = index + 1;
+    if (days === 1 && !isOneWay) {
+      return `- Day 1: ${minKm}-${maxKm}km circular route, must pass through 3-8 different points (cities, towns, streets, landmarks, or notable locations)`;
+    }
+    if (days === 1) {
+      return `- Day 1: ${minKm}-${maxKm}km one-way route from ${city} to ${destinationCity}, must pass through 3-8 different points (cities, towns, streets, landmarks, or notable locations)`;
+    }
+    const from = dayNumber === 1 ? `starting in ${city}` : `starting where day ${dayNumber - 1} ended`;
+    let to = 'ending at an overnight stop';
+    if (dayNumber === days) {
+      to = isOneWay ? `ending in ${destinationCity}` : `ending back in ${city}`;
+    }
+    return `- Day ${dayNumber}: ${minKm}-${maxKm}km route ${from} and ${to}, must pass through 3-8 different points`;
+  }).join('\n');
+
+  const exampleDays = Array.from({ length: days }, (_, index) => `    {
+      "day": ${index + 1},
+      "cities": [
+        {"name": "City Name", "coordinates": [lat, lng]},
+        {"name": "City Name", "coordinates": [lat, lng]},
+        {"name": "City Name", "coordinates": [lat, lng]},
+        {"name": "City Name", "coordinates": [lat, lng]}
+      ],
+      "distances": ["0 km", "X km", "X km", "X km"],
+      "totalDistance": "XX km",
+      "estimatedTime": "X hours"
+    }`).join(',\n');
+
+  const lengthRule = days === 1
+    ? `STRICT DISTANCE LIMIT: Total route must be between ${minKm}-${maxKm}km`
+    : `DISTANCE LIMITS: EACH DAY CAN BE UP TO ${maxKm}KM INDEPENDENTLY (total possible: up to ${maxKm * days}km over ${days} days)`;
+  // Optional requirements from the user's fitness profile
+  let fitnessRules = '';
+  if (typeof limits.maxClimbingM === 'number') {
+    fitnessRules += `\n- CLIMBING LIMIT: Each day must have no more than ${limits.maxClimbingM}m of total ascent; prefer flat routes`;
+  }
+  if (typeof limits.averageSpeedKmh === 'number') {
+    fitnessRules += `\n- Estimate trip times using an average speed of ${limits.averageSpeedKmh} km/h`;
+  }
+
+  // Places the user wants to pass through, each of which must appear as a point
+  let mustVisitRules = '';
+  if (mustVisit.length > 0) {
+    const placeList = mustVisit
+      .map(place => `  * ${place.name} [${place.coordinates[0].toFixed(5)}, ${place.coordinates[1].toFixed(5)}]`)
+      .join('\n');
+    mustVisitRules = `\n- MUST VISIT: The route must include each of these places as one of its points, using these coordinates (any day is fine):\n${placeList}`;
+  }
+
+  // Features and areas the user wants the route to stay away from
+  let avoidRules = '';
+  if (routeOptions && routeOptions.avoidFeatures.length > 0) {
+    avoidRules += `\n- AVOID: The route must not use ${routeOptions.avoidFeatures.map(id => AVOID_FEATURES[id].promptHint).join(', ')}`;
+  }
+  if (routeOptions && routeOptions.avoidPolygons.length > 0) {
+    const areaList = routeOptions.avoidPolygons
+      .map((polygon, index) => `  * Area ${index + 1}: ${polygon.map(([lat, lng]) => `[${lat.toFixed(5)}, ${lng.toFixed(5)}]`).join(', ')}`)
+      .join('\n');
+    avoidRules += `\n- AVOIDED AREAS: No point may lie inside these areas (polygons given by their [lat, lng] corners), and the route must go around them:\n${areaList}`;
+  }
+
+  const closingRule = days === 1
+    ? `IMPORTANT: Respect the distance limit - Total route must be ${minKm}-${maxKm}km.`
+    : `CRITICAL: EACH DAY IS INDEPENDENT! Every one of the ${days} days must be ${minKm}-${maxKm}km. The "days" array must contain exactly ${days} entries numbered 1 to ${days}.`;
+
+  const heading = isOneWay
+    ? `Plan a ${days}-day one-way ${tripName} from ${city} to ${destinationCity}, ${country}.`
+    : `Plan a ${days}-day ${tripName} starting and ending in ${city}, ${country}.`;
+  const endpointRule = isOneWay
+    ? `The trip must start in ${city} and end in ${destinationCity} (the last point of the last day must be in ${destinationCity})`
+    : `The trip must start and end in ${city} (same coordinates)`;
+  const endpointClosing = isOneWay
+    ? `The trip must start in ${city} and its last point must be in ${destinationCity}; do not return to ${city}.`
+    : `The trip must end back in ${city} with the same coordinates as the starting point.`;
+
+  return `${heading}
+Requirements:
+${dayRequirements}
+- ***CRITICAL: UNDER NO CIRCUMSTANCES CAN ANY POINT BE IN WATER (SEA, LAKE, RIVER, ETC.). ALL POINTS MUST BE ON LAND. THIS IS A HARD REQUIREMENT.***
+- ${lengthRule}
+- ${endpointRule}${fitnessRules}${mustVisitRules}${avoidRules}
+- Include estimated trip time for each day
+- Include distance from each point to the next point
+- You can include ${pointKinds}
+
+Return the response as a JSON object with this exact structure:
+{
+  "days": [
+${exampleDays}
+  ]
+}
+${closingRule} Create a realistic ${routeName} that passes through multiple interesting points each day. ${endpointClosing} Include realistic distances between each consecutive point.`;
+}
+
+/**
+ * Fallback Planner Settings
+ *
+ * The fallback planner (see planFallbackTrip) lays out candidate routes with
+ * buildFallbackCandidates, then moves their points onto roads:
+ * - FALLBACK_SNAP_RADIUS_M: how far a point may be moved to reach a road or path
+ * - FALLBACK_MAX_CANDIDATES: how many candidates are checked per request. Each
+ *   check snaps the candidate's points and then routes each of its days with
+ *   one directions request (ORS_DAY_CONCURRENCY at a time), so a request that
+ *   keeps failing costs a bounded number of ORS calls
+ */
+const FALLBACK_SNAP_RADIUS_M = 2000;
+const FALLBACK_MAX_CANDIDATES = 5;
+
+// Compass directions used to name fallback waypoints, clockwise from north
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+/**
+ * Road Snapping Helper Function
+ *
+ * Moves points onto the nearest road or path the trip type can use, with the
+ * OpenRouteService snapping API. Points with nothing within
+ * FALLBACK_SNAP_RADIUS_M, and all points when the request fails, are left
+ * where they are; the route validation rejects them if they cannot be reached.
+ *
+ * @param {Array} points - [latitude, longitude] points
+ * @param {string} profile - ORS routing profile
+ * @param {AbortSignal} [signal] - Cancels the request when aborted
+ * @returns {Promise<Array>} [{ coordinates, roadName }] for each point; roadName is null when unknown
+ * @throws {Error} The signal's abort reason when it is aborted
+ */
+async function snapToRoads(points, profile, signal = null) {
+  const unsnapped = points.map(coordinates => ({ coordinates, roadName: null }));
+  try {
+    const response = await axios.post(
+      `https://api.openrouteservice.org/v2/snap/${profile}`,
+      {
+        locations: points.map(([lat, lng]) => [lng, lat]),
+        radius: FALLBACK_SNAP_RADIUS_M
+      },
+      {
+        headers: {
+          'Authorization': ORS_API_KEY,
+          'Content-Type': 'application/json'
+        },
+        signal
+      }
+    );
+    const locations = response.data && Array.isArray(response.data.locations) ? response.data.locations : [];
+    return unsnapped.map((point, index) => {
+      const snapped = locations[index];
+      if (!snapped || !Array.isArray(snapped.location)) {
+        return point;
+      }
+      return {
+        coordinates: [snapped.location[1], snapped.location[0]],
+        roadName: snapped.name || null
+      };
     });
+  } catch (err) {
+    if (signal) {
+      signal.throwIfAborted();
+    }
+    console.error('Error snapping fallback waypoints to roads:', err.message);
+    return unsnapped;
+  }
+}
+
+/**
+ * Fallback Trip Data Builder
+ *
+ * Turns a candidate from buildFallbackCandidates into trip data in the same
+ * shape the LLM returns. Each must-visit place takes the place of the closest
+ * waypoint inside a day (or is added to the closest day when none is free).
+ * The other waypoints are snapped to roads and named after their road and
+ * where they lie from the starting city (e.g. "Route 90, 12 km NE of Eilat").
+ *
+ * @param {Array} candidate - Days of [latitude, longitude] points
+ * @param {Object} options - Trip parameters
+ * @param {string} options.city - Starting city
+ * @param {string|null} options.destinationCity - Destination of a one-way trip
+ * @param {Array} options.mustVisitPlaces - Places to pass through: [{ name, coordinates }]
+ * @param {string} options.profile - ORS routing profile
+ * @param {AbortSignal} [options.signal] - Cancels the road snapping when aborted
+ * @returns {Promise<Object>} Trip data ({ days: [{ day, cities, distances, totalDistance, estimatedTime }] })
+ */
+async function buildFallbackTripData(candidate, { city, destinationCity, mustVisitPlaces, profile, signal = null }) {
+  const start = candidate[0][0];
+  const lastDay = candidate[candidate.length - 1];
+  const end = lastDay[lastDay.length - 1];
+  const days = candidate.map(points => points.map(coordinates => ({ coordinates, name: null })));
+
+  // Replace the closest free waypoint inside a day with each must-visit place
+  mustVisitPlaces.forEach(place => {
+    let closest = null;
+    days.forEach((waypoints, dayIndex) => {
+      waypoints.forEach((waypoint, index) => {
+        const inside = index > 0 && index < waypoints.length - 1;
+        const distance = haversineKm(waypoint.coordinates, place.coordinates);
+        if (inside && !waypoint.name && (!closest || distance < closest.distance)) {
+          closest = { dayIndex, index, distance };
+        }
+      });
+    });
+    if (closest) {
+      days[closest.dayIndex][closest.index] = { coordinates: place.coordinates, name: place.name };
+      return;
+    }
+    const dayDistances = days.map(waypoints =>
+      Math.min(...waypoints.map(waypoint => haversineKm(waypoint.coordinates, place.coordinates))));
+    const closestDay = dayDistances.indexOf(Math.min(...dayDistances));
+    days[closestDay].splice(days[closestDay].length - 1, 0, { coordinates: place.coordinates, name: place.name });
+  });
+
+  // Snap the generated waypoints (not the cities or must-visit places) to roads
+  const generated = [];
+  days.forEach((waypoints, dayIndex) => {
+    waypoints.forEach((waypoint, index) => {
+      const isStart = dayIndex === 0 && index === 0;
+      const isEnd = dayIndex === days.length - 1 && index === waypoints.length - 1;
+      // The last point of a day is the same as the first point of the next day
+      const isRepeated = dayIndex > 0 && index === 0;
+      if (!waypoint.name && !isStart && !isEnd && !isRepeated) {
+        generated.push(waypoint);
+      }
+    });
+  });
+  const snapped = await snapToRoads(generated.map(waypoint => waypoint.coordinates), profile, signal);
+  generated.forEach((waypoint, index) => {
+    const { coordinates, roadName } = snapped[index];
+    const distanceKm = Math.round(haversineKm(start, coordinates));
+    const direction = COMPASS_POINTS[Math.round(bearingDegrees(start, coordinates) / 45) % 8];
+    waypoint.coordinates = coordinates;
+    waypoint.name = `${roadName ? `${roadName}, ` : ''}${distanceKm} km ${direction} of ${city}`;
+  });
+
+  return {
+    days: days.map((waypoints, dayIndex) => {
+      const cities = waypoints.map((waypoint, index) => {
+        if (dayIndex === 0 && index === 0) {
+          return { name: city, coordinates: start };
+        }
+        if (dayIndex === days.length - 1 && index === waypoints.length - 1) {
+          return { name: destinationCity || city, coordinates: end };
+        }
+        // Start each day where the previous one ended
+        const source = index === 0 ? days[dayIndex - 1][days[dayIndex - 1].length - 1] : waypoint;
+        return { name: source.name, coordinates: source.coordinates };
+      });
+      return {
+        day: dayIndex + 1,
+        cities,
+        distances: cities.map(() => '0 km'),
+        totalDistance: '0 km',
+        estimatedTime: '0 hours'
+      };
+    })
+  };
+}
+
+/**
+ * Fallback Planner
+ *
+ * Plans a trip without the LLM. The starting city is geocoded, candidate
+ * routes are laid out around it (see buildFallbackCandidates) and the first
+ * FALLBACK_MAX_CANDIDATES of them are passed in turn to checkPlan, the same
+ * checks /plan applies to LLM plans, until one passes.
+ *
+ * @param {Object} options - Trip parameters
+ * @param {string} options.city - Starting city
+ * @param {string} options.country - Country of the trip
+ * @param {string} options.tripType - Trip type identifier from the registry
+ * @param {number} options.days - Number of days
+ * @param {Object} options.limits - Daily limits from resolveFitnessLimits
+ * @param {string|null} options.destinationCity - Destination of a one-way trip
+ * @param {Array|null} options.destinationCoordinates - [latitude, longitude] of the destination
+ * @param {Array} options.mustVisitPlaces - Places to pass through: [{ name, coordinates }]
+ * @param {AbortSignal} [options.signal] - Cancels the geocoding and road snapping requests when aborted
+ * @param {Function} checkPlan - Async function taking (tripData, attempt, maxAttempts) and returning { valid, ... }
+ * @returns {Promise<Object|null>} { tripData, check } for the first plan that passes, or null
+ * @throws {Error} The signal's abort reason when it is aborted
+ */
+async function planFallbackTrip({ city, country, tripType, days, limits, destinationCity, destinationCoordinates, mustVisitPlaces, signal = null }, checkPlan) {
+  let start = null;
+  try {
+    start = await geocodePlace(city, country, signal);
+  } catch (geocodeError) {
+    if (signal) {
+      signal.throwIfAborted();
+    }
+    console.error('Error geocoding starting city:', geocodeError.message);
+  }
+  if (!start) {
+    return null;
+  }
+
+  const profile = TRIP_TYPES[tripType].orsProfile;
+  const candidates = buildFallbackCandidates({ start, destination: destinationCoordinates, days, limits })
+    .slice(0, FALLBACK_MAX_CANDIDATES);
+  for (const [index, candidate] of candidates.entries()) {
+    const tripData = await buildFallbackTripData(candidate, { city, destinationCity, mustVisitPlaces, profile, signal });
+    const check = await checkPlan(tripData, index + 1, candidates.length);
+    if (check.valid) {
+      return { tripData, check };
+    }
+  }
+  return null;
+}
+
+/**
+ * Trip Plan Generation
+ *
+ * Does the work of the plan endpoints (POST /plan and POST /plan/stream) and
+ * of the plan jobs (POST /plan/jobs): validates the request, asks the LLM for
+ * a plan (falling back to the geometric planner) and validates it. See the
+ * /plan endpoint below for the request fields and the response.
+ *
+ * Progress is reported through onProgress(event, data) as planning goes on:
+ * - attempt: An LLM attempt started ({ attempt, maxAttempts, provider, model })
+ * - llm-response: The LLM replied ({ attempt, characters })
+ * - candidate: A plan is being checked ({ attempt, maxAttempts, source: 'llm' or 'fallback', days: [{ day, cities }] })
+ * - segment: A route segment was validated ({ day, segment, segments, from, to, distanceKm })
+ * - day-validated: A day's route is within the limits ({ day, distanceKm })
+ * - day-out-of-range: A day is too short or too long ({ day, distanceKm, minKm, maxKm })
+ * - rejected: A plan was rejected ({ attempt, source, reasons })
+ * - fallback: The fallback planner took over ({ reason })
+ *
+ * @param {Object} body - The plan request (see the /plan endpoint)
+ * @param {Object|null} user - The requesting user from findRequestingUser, whose fitness profile applies
+ * @param {Object} [options] - Options
+ * @param {Function} [options.onProgress] - Called with (event, data) for each progress event
+ * @param {AbortSignal} [options.signal] - Cancels planning when aborted
+ * @returns {Promise<Object>} { status, body }: the HTTP status and JSON body of the response
+ * @throws {Error} The signal's abort reason when planning is cancelled
+ */
+async function generateTripPlan(body, user, { onProgress = () => {}, signal = null } = {}) {
+  // Stops planning between steps once it has been cancelled
+  const throwIfCancelled = () => {
+    if (signal) {
+      signal.throwIfAborted();
+    }
+  };
+
+  const { country, city, tripType, tripDate } = body;
+  const destinationCity = typeof body.destinationCity === 'string' && body.destinationCity.trim()
+    ? body.destinationCity.trim()
+    : null;
+
+  // Validate required input parameters
+  if (!country || !city || !tripType || !tripDate) {
+    return { status: 400, body: {
+      error: 'All fields are required',
+      message: 'Please provide country, city, trip type, and trip date'
+    } };
+  }
+
+  // Validate trip type
+  if (!isValidTripType(tripType)) {
+    return { status: 400, body: {
+      error: 'Invalid trip type',
+      message: TRIP_TYPE_ERROR_MESSAGE
+    } };
+  }
+
+  // Validate the requested trip length
+  const days = body.days === undefined || body.days === null || body.days === ''
+    ? TRIP_TYPES[tripType].defaultDays
+    : Number(body.days);
+  if (!Number.isInteger(days) || days < MIN_TRIP_DAYS || days > MAX_TRIP_DAYS) {
+    return { status: 400, body: {
+      error: 'Invalid number of days',
+      message: `Days must be a whole number between ${MIN_TRIP_DAYS} and ${MAX_TRIP_DAYS}`
+    } };
+  }
+
+  // Validate the per-request fitness override
+  let overrideLimits;
+  if (body.fitness !== undefined && body.fitness !== null) {
+    const { limits: parsedLimits, error: fitnessError } = User.normalizeFitnessLimits(body.fitness);
+    if (fitnessError) {
+      return { status: 400, body: {
+        error: 'Invalid fitness limits',
+        message: fitnessError
+      } };
+    }
+    overrideLimits = parsedLimits;
+  }
+
+  // Personalize the daily limits for logged-in users
+  const fitnessLimits = resolveFitnessLimits(tripType, getProfileLimits(user, tripType), overrideLimits);
+  if (fitnessLimits.minDailyKm > fitnessLimits.maxDailyKm) {
+    return { status: 400, body: {
+      error: 'Invalid fitness limits',
+      message: `The minimum daily distance (${fitnessLimits.minDailyKm} km) is greater than the maximum (${fitnessLimits.maxDailyKm} km)`
+    } };
+  }
+
+  // Validate the must-visit places
+  const { places: mustVisitNames, error: mustVisitError } = normalizeMustVisit(body.mustVisit);
+  if (mustVisitError) {
+    return { status: 400, body: {
+      error: 'Invalid must-visit places',
+      message: mustVisitError
+    } };
+  }
+
+  // Validate the avoided features and areas
+  const { routeOptions, error: routeOptionsError } = normalizeRouteOptions(body.routeOptions);
+  if (routeOptionsError) {
+    return { status: 400, body: {
+      error: 'Invalid route options',
+      message: routeOptionsError
+    } };
+  }
+
+  // Locate the destination of a point-to-point trip so the plan's end can be checked
+  let destinationCoordinates = null;
+  if (destinationCity) {
+    try {
+      destinationCoordinates = await geocodePlace(destinationCity, country, signal);
+    } catch (geocodeError) {
+      throwIfCancelled();
+      console.error('Error geocoding destination:', geocodeError.message);
+    }
+    if (!destinationCoordinates) {
+      return { status: 400, body: {
+        error: 'Destination not found',
+        message: `Could not find "${destinationCity}" in ${country}. Please check the destination and try again.`
+      } };
+    }
+  }
+
+  // Locate the must-visit places one at a time (Nominatim allows one request per second)
+  const mustVisitPlaces = [];
+  for (const name of mustVisitNames) {
+    let coordinates = null;
+    try {
+      coordinates = await geocodePlace(name, country, signal);
+    } catch (geocodeError) {
+      throwIfCancelled();
+      console.error('Error geocoding must-visit place:', geocodeError.message);
+    }
+    if (!coordinates) {
+      return { status: 400, body: {
+        error: 'Must-visit place not found',
+        message: `Could not find "${name}" in ${country}. Please check the place name and try again.`
+      } };
+    }
+    mustVisitPlaces.push({ name, coordinates });
+  }
+
+  /**
+   * Construct AI prompt based on trip type and length
+   * 
+   * The prompt is carefully designed to ensure the LLM generates:
+   * - Realistic routes with appropriate distances for every day
+   * - A round trip, or a one-way trip ending at the destination
+   * - Valid geographical coordinates
+   * - Structured JSON response format
+   * - Land-based waypoints only (no water routes)
+   * - Points at every must-visit place
+   * - Routes around the avoided features and areas
+   */
+  const prompt = buildTripPlanPrompt({
+    city,
+    country,
+    tripType,
+    days,
+    limits: fitnessLimits,
+    destinationCity,
+    mustVisit: mustVisitPlaces,
+    routeOptions
+  });
 
+  let tripData;
+  let lastRawResponse = null;
+  let maxRetries = 5;
+  let foundValid = false;
+  let orsData = null;
+  let mustVisitCoverage = [];
+  let planSource = 'llm';
+  let failureReasons = [];
+  let llmUnavailable = false;
+
+  /**
+   * Checks a candidate plan (from the LLM or the fallback planner): a
+   * point-to-point trip must finish at its destination, the routes must pass
+   * OpenRouteService validation, and the routed line must pass close to every
+   * must-visit place. Rejected plans come with the reasons.
+   * Progress is reported for the plan as a whole and for each route segment.
+   */
+  const checkPlan = async (candidate, attempt, source, maxAttempts) => {
+    onProgress('candidate', {
+      attempt,
+      maxAttempts,
+      source,
+      days: candidate.days.map((day, index) => ({
+        day: index + 1,
+        cities: day.cities.map(({ name, coordinates }) => ({ name, coordinates }))
+      }))
+    });
+    throwIfCancelled();
+    const result = await checkCandidatePlan(candidate);
+    throwIfCancelled();
+    if (!result.valid) {
+      onProgress('rejected', { attempt, source, reasons: result.reasons });
+    }
+    return result;
+  };
+  const checkCandidatePlan = async (candidate) => {
+    if (destinationCoordinates && !endsAtDestination(candidate, destinationCoordinates)) {
+      const lastDay = candidate.days[candidate.days.length - 1];
+      const lastPoint = lastDay.cities[lastDay.cities.length - 1];
+      const distanceKm = haversineKm(lastPoint.coordinates, destinationCoordinates);
+      return {
+        valid: false,
+        reasons: [`The last point ("${lastPoint.name}") is ${distanceKm.toFixed(1)} km from ${destinationCity}; it must be within ${DESTINATION_MATCH_RADIUS_KM} km`]
+      };
+    }
+    const validation = await validateORSRoutesAndDistances(candidate, tripType, days, fitnessLimits, routeOptions, onProgress, signal);
+    if (!validation.valid) {
+      return { valid: false, reasons: [validation.reason] };
+    }
+    const coverage = findMustVisitCoverage(candidate, mustVisitPlaces, validation.allORSData.map(data => data.routePoints));
+    const uncovered = coverage.filter(entry => !entry.covered);
+    if (uncovered.length > 0) {
+      return {
+        valid: false,
+        reasons: uncovered.map(entry => `The route does not pass within ${MUST_VISIT_MATCH_RADIUS_KM} km of the must-visit place "${entry.place}"` +
+          (entry.routeDistanceKm !== null ? ` (it comes within ${entry.routeDistanceKm} km)` : ''))
+      };
+    }
+    return { valid: true, orsData: validation.allORSData, coverage };
+  };
+
+  /**
+   * Trip Generation and Validation Loop
+   * 
+   * The system attempts to generate a valid trip plan up to maxRetries times.
+   * This resilience mechanism handles cases where the LLM produces invalid
+   * or unroutable plans, ensuring users receive feasible trip suggestions.
+   * The loop is skipped when no LLM is configured and stops early when the
+   * LLM cannot be reached.
+   * 
+   * After a rejected attempt the LLM sees its previous reply and the reasons
+   * it was rejected (parse errors, schema problems, unroutable segments,
+   * days that are too long...), so it can correct the plan.
+   */
+  for (let attempt = 0; llm && attempt < maxRetries; attempt++) {
+    throwIfCancelled();
+    const messages = [
+      {
+        role: "user",
+        content: prompt,
+      },
+    ];
+    if (failureReasons.length > 0) {
+      messages.push(
+        { role: "assistant", content: lastRawResponse },
+        { role: "user", content: buildPlanFeedbackPrompt(failureReasons) }
+      );
+    }
+
+    // Generate trip plan using the configured LLM provider
+    onProgress('attempt', { attempt: attempt + 1, maxAttempts: maxRetries, provider: llm.id, model: llm.model });
+    let response;
+    try {
+      response = await llm.complete(messages, { signal });
+    } catch (llmError) {
+      throwIfCancelled();
+      console.error(`LLM provider ${llm.id} unavailable, using the fallback planner:`, llmError.message);
+      llmUnavailable = true;
+      break;
+    }
+    lastRawResponse = response;
+    onProgress('llm-response', { attempt: attempt + 1, characters: response.length });
+    
+    // Parse the JSON itinerary from the LLM's reply
+    const parsed = parseLLMItinerary(response);
+    if (parsed.error) {
+      console.error('Error parsing LLM response:', parsed.error);
+      failureReasons = [parsed.error];
+      onProgress('rejected', { attempt: attempt + 1, source: 'llm', reasons: failureReasons });
+      continue;
+    }
+    tripData = parsed.data;
+
+    // Check the itinerary's structure before requesting any routes
+    const schemaErrors = validateItinerarySchema(tripData, { days, isRoundTrip: !destinationCoordinates });
+    if (schemaErrors.length > 0) {
+      failureReasons = schemaErrors;
+      onProgress('rejected', { attempt: attempt + 1, source: 'llm', reasons: failureReasons });
+      continue;
+    }
+
+    // Check the destination, the routes and the must-visit places
+    const check = await checkPlan(tripData, attempt + 1, 'llm', maxRetries);
+    if (check.valid) {
+      foundValid = true;
+      orsData = check.orsData;
+      mustVisitCoverage = check.coverage;
+      break;
+    }
+    failureReasons = check.reasons;
+  }
+
+  // Build the plan without the LLM when it gave no usable plan
+  if (!foundValid) {
+    throwIfCancelled();
+    let reason = 'None of the AI plans passed validation';
+    if (!llm) {
+      reason = 'No AI planner is configured';
+    } else if (llmUnavailable) {
+      reason = 'The AI planner could not be reached';
+    }
+    onProgress('fallback', { reason });
+    const fallback = await planFallbackTrip({
+      city,
+      country,
+      tripType,
+      days,
+      limits: fitnessLimits,
+      destinationCity,
+      destinationCoordinates,
+      mustVisitPlaces,
+      signal
+    }, (candidate, attempt, maxAttempts) => checkPlan(candidate, attempt, 'fallback', maxAttempts));
+    if (fallback) {
+      foundValid = true;
+      planSource = 'fallback';
+      tripData = fallback.tripData;
+      orsData = fallback.check.orsData;
+      mustVisitCoverage = fallback.check.coverage;
+    }
+  }
+
+  // If no valid plan could be generated after all retries
+  if (!foundValid) {
+    return { status: 500, body: {
+      error: 'Failed to generate valid trip plan',
+      message: 'Unable to create a feasible trip plan after multiple attempts. Please try again.',
+      reasons: failureReasons,
+      rawResponse: lastRawResponse 
+    } };
+  }
+
+  // Replace LLM estimates with accurate data from OpenRouteService
+  applyORSDataToTripData(tripData, orsData, fitnessLimits.averageSpeedKmh);
+  // Number the days consistently, whatever numbering the LLM used
+  tripData.days.forEach((day, index) => { day.day = index + 1; });
+  // Grade each day and the trip as a whole
+  const difficulty = applyDifficultyToTripData(tripType, tripData);
+  
+  return { status: 200, body: {
+    success: true,
+    tripData,
+    fitnessLimits,
+    mustVisitCoverage: mustVisitCoverage.map(({ covered, ...entry }) => entry),
+    routeOptions,
+    difficulty,
+    planSource,
+    planner: planSource === 'llm'
+      ? { source: 'llm', provider: llm.id, model: llm.model }
+      : { source: 'fallback', provider: null, model: null },
+    originalRequest: { country, city, tripType, tripDate, days, destinationCity, mustVisit: mustVisitNames }
+  } };
+
+}
+
+/**
+ * Generate Trip Plan Endpoint
+ * 
+ * POST /api/trip/plan
+ * 
+ * Creates a detailed trip itinerary using AI-powered route planning.
+ * This endpoint combines LLM-generated trip suggestions with real-world
+ * route validation to ensure feasible and enjoyable trip plans.
+ * 
+ * Request Body:
+ * - country: Country where the trip takes place (required)
+ * - city: City where the trip starts/ends (required)
+ * - tripType: Trip type identifier from the registry (e.g. 'bike', 'road-bike', 'trek') (required)
+ * - tripDate: Planned date for the trip (required)
+ * - days: Number of days, 1-14 (optional, defaults to the trip type's defaultDays)
+ * - destinationCity: City in the same country where the trip ends (optional;
+ *   without it the trip is a round trip back to the starting city)
+ * - fitness: Limits for this request only (optional): minDailyKm, maxDailyKm,
+ *   maxClimbingM and averageSpeedKmh. They take precedence over the user's profile.
+ * - mustVisit: Names of up to 5 places in the country the route must pass through (optional)
+ * - routeOptions: { avoidFeatures, avoidPolygons } (optional): features to avoid (highways,
+ *   ferries, unpaved, steps) and up to 10 areas drawn on the map, each a list of [lat, lng] corners
+ * 
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (optional; when present, the user's
+ *   fitness profile replaces the default daily limits)
+ * 
+ * Response:
+ * - 200: Trip plan generated successfully with validated route data, the fitness limits used
+ *   and mustVisitCoverage: [{ place, coordinates, day, waypoint, waypointIndex, distanceKm, routeDistanceKm }]
+ *   telling where the route passes each must-visit place (and its closest waypoint), the normalized routeOptions and the
+ *   trip's difficulty grade (each day also carries its own grade), planSource: 'llm' when
+ *   the plan came from the LLM or 'fallback' when the fallback planner built it, and
+ *   planner: { source, provider, model } naming the LLM provider and model (to send to /save)
+ * - 400: Missing required fields, invalid trip type, invalid number of days, invalid fitness limits,
+ *   invalid must-visit places or route options, or a destination or must-visit place that cannot be found
+ * - 500: Failed to generate valid trip plan after multiple attempts (with the reasons the last LLM plan was rejected)
+ * 
+ * Process:
+ * 1. Validates input parameters
+ * 2. Resolves the daily limits from the defaults, the user's fitness profile and the override
+ * 3. Constructs detailed prompt for LLM based on trip type, length and limits
+ * 4. Generates trip plan using the configured LLM provider (Groq, OpenAI-compatible, Ollama or mock)
+ * 5. Parses the reply and checks it against the itinerary schema (day numbering, coordinates,
+ *    points per day, days joining up), checks that point-to-point trips end at the destination,
+ *    validates routes using OpenRouteService and checks that the routed line passes within 2 km
+ *    of every must-visit place
+ * 6. Retries up to 5 times if validation fails, telling the LLM why its previous plan was rejected
+ * 7. Falls back to the geometric planner (planFallbackTrip) when the LLM is not configured,
+ *    cannot be reached or none of its plans pass, and runs its plans through the same checks
+ * 8. Returns validated trip data with accurate distances and times
+ */
+router.post('/plan', async (req, res) => {
+  try {
+    const user = await findRequestingUser(req);
+    const result = await generateTripPlan(req.body, user);
+    res.status(result.status).json(result.body);
   } catch (error) {
     console.error('Error planning trip:', error);
     res.status(500).json({ 
@@ -692,6 +4080,332 @@ IMPORTANT: Respect the distance limit - Total route must be 5-15km. Create a rea
   }
 });
 
+/**
+ * Stream Trip Plan Endpoint
+ * 
+ * POST /api/trip/plan/stream
+ * 
+ * Same as POST /api/trip/plan, but streams the planning progress as
+ * Server-Sent Events so the client can show what is happening while the plan
+ * is generated (which can take a minute). Each event has a name and a JSON
+ * payload:
+ * - attempt, llm-response, candidate, segment, day-validated, day-out-of-range,
+ *   rejected and fallback: progress events (see generateTripPlan)
+ * - plan: The final plan, with the same body as a 200 response from /plan
+ * - error: Planning failed ({ status, error, message, ... } with the status and
+ *   body /plan would have responded with)
+ * 
+ * The stream ends after the plan or error event. Since the request has a
+ * body, clients read the stream with fetch rather than EventSource.
+ * 
+ * Request Body: same as POST /api/trip/plan
+ * 
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (optional, as for /plan)
+ * 
+ * Response:
+ * - 200: A text/event-stream of progress events ending with a plan or error event
+ */
+router.post('/plan/stream', async (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  // Stop planning and writing once the client has gone away
+  let closed = false;
+  const controller = new AbortController();
+  res.on('close', () => {
+    closed = true;
+    controller.abort();
+  });
+  const send = (event, data) => {
+    if (!closed) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  try {
+    const user = await findRequestingUser(req);
+    const result = await generateTripPlan(req.body, user, { onProgress: send, signal: controller.signal });
+    if (result.status === 200) {
+      send('plan', result.body);
+    } else {
+      send('error', { status: result.status, ...result.body });
+    }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      return;
+    }
+    console.error('Error planning trip:', error);
+    send('error', {
+      status: 500,
+      error: 'Failed to plan trip',
+      message: 'An error occurred while generating your trip plan. Please try again.'
+    });
+  }
+  res.end();
+});
+
+// Abort controllers of the plan jobs running in this process, by job ID
+const runningPlanJobs = new Map();
+
+/**
+ * Plan Job Runner
+ *
+ * Plans the trip of a job in the background and stores the outcome on the
+ * job. Progress events are appended to the job in the order they happen.
+ * The job only moves to succeeded or failed while it is still running, so a
+ * job cancelled meanwhile stays cancelled.
+ *
+ * @param {Object} job - The PlanJob document
+ * @param {Object|null} user - The requesting user from findRequestingUser
+ * @returns {Promise<void>} Resolves when the job has finished (never rejects)
+ */
+async function runPlanJob(job, user) {
+  const { jobId } = job;
+  const controller = new AbortController();
+  runningPlanJobs.set(jobId, controller);
+
+  // Progress writes are chained so the events are stored in order; a
+  // cancelled job records no more progress
+  let progressWrites = Promise.resolve();
+  const onProgress = (event, data) => {
+    if (controller.signal.aborted) {
+      return;
+    }
+    progressWrites = progressWrites
+      .then(() => PlanJob.updateOne(
+        { jobId },
+        { $push: { progress: { $each: [{ event, data, at: new Date() }], $slice: -PlanJob.MAX_PROGRESS_EVENTS } } }
+      ))
+      .catch(err => console.error('Error recording plan job progress:', err.message));
+  };
+
+  try {
+    const started = await PlanJob.updateOne(
+      { jobId, status: 'pending' },
+      { $set: { status: 'running', startedAt: new Date() } }
+    );
+    if (started.modifiedCount === 0) {
+      return; // Cancelled before it started
+    }
+
+    const result = await generateTripPlan(job.request, user, { onProgress, signal: controller.signal });
+    await progressWrites;
+    await PlanJob.updateOne(
+      { jobId, status: 'running' },
+      {
+        $set: result.status === 200
+          ? { status: 'succeeded', result: result.body, finishedAt: new Date() }
+          : { status: 'failed', error: { status: result.status, ...result.body }, finishedAt: new Date() }
+      }
+    );
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      console.error('Error running plan job:', error);
+      await PlanJob.updateOne(
+        { jobId, status: 'running' },
+        {
+          $set: {
+            status: 'failed',
+            finishedAt: new Date(),
+            error: {
+              status: 500,
+              error: 'Failed to plan trip',
+              message: 'An error occurred while generating your trip plan. Please try again.'
+            }
+          }
+        }
+      ).catch(err => console.error('Error recording plan job failure:', err.message));
+    }
+  } finally {
+    runningPlanJobs.delete(jobId);
+  }
+}
+
+/**
+ * Plan Job Lookup Helper Function
+ *
+ * Finds a plan job the requester may see. Jobs created by a logged-in user
+ * are only visible to that user; anonymous jobs are visible to anyone who
+ * knows their ID.
+ *
+ * @param {Object} req - Express request with the job ID in req.params.planJobId
+ * @returns {Promise<Object|null>} The PlanJob document, or null when not found or not visible
+ */
+async function findVisiblePlanJob(req) {
+  const job = await PlanJob.findOne({ jobId: req.params.planJobId });
+  if (!job || !job.userId) {
+    return job;
+  }
+  const requester = await findRequestingUser(req);
+  return requester && requester._id.equals(job.userId) ? job : null;
+}
+
+/**
+ * Formats a plan job for API responses.
+ *
+ * @param {Object} job - The PlanJob document
+ * @returns {Object} { planJobId, status, progress, result, error, createdAt, updatedAt }
+ */
+function formatPlanJob(job) {
+  return {
+    planJobId: job.jobId,
+    status: job.status,
+    progress: job.progress.map(({ event, data }) => ({ event, data })),
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
+
+/**
+ * Create Plan Job Endpoint
+ * 
+ * POST /api/trip/plan/jobs
+ * 
+ * Starts planning a trip in the background and returns at once with the job's
+ * ID. Poll GET /api/trip/plan/jobs/:planJobId for progress and the plan. Use
+ * this instead of POST /api/trip/plan where a request cannot stay open for
+ * the minute a plan can take (e.g. behind proxies with short timeouts).
+ * 
+ * Request Body: same as POST /api/trip/plan (it is validated when the job runs;
+ * invalid requests make the job fail with the 400 response /plan would send)
+ * 
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (optional, as for /plan; the job is
+ *   then visible to this user only)
+ * 
+ * Response:
+ * - 202: Job created ({ success, planJobId, status: 'pending' })
+ * - 500: Server error while creating the job
+ */
+router.post('/plan/jobs', async (req, res) => {
+  try {
+    const user = await findRequestingUser(req);
+    const job = await PlanJob.create({
+      jobId: crypto.randomBytes(16).toString('hex'),
+      userId: user ? user._id : null,
+      request: req.body || {}
+    });
+
+    // Plan in the background; the job records the outcome
+    runPlanJob(job, user);
+
+    res.status(202).json({
+      success: true,
+      planJobId: job.jobId,
+      status: job.status
+    });
+  } catch (error) {
+    console.error('Error creating plan job:', error);
+    res.status(500).json({ 
+      error: 'Failed to create plan job',
+      message: 'Unable to start planning your trip. Please try again.'
+    });
+  }
+});
+
+/**
+ * Get Plan Job Endpoint
+ * 
+ * GET /api/trip/plan/jobs/:planJobId
+ * 
+ * Returns a plan job's status, the progress events so far (see
+ * generateTripPlan) and, once finished, its outcome:
+ * - succeeded: result holds the body of a successful /plan response
+ * - failed: error holds the status and body of the failed /plan response
+ * - cancelled: neither is set
+ * 
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (required for jobs created by a logged-in user)
+ * 
+ * Response:
+ * - 200: { success, planJobId, status, progress: [{ event, data }], result, error, createdAt, updatedAt }
+ * - 404: Job not found, expired or created by another user
+ * - 500: Server error
+ */
+router.get('/plan/jobs/:planJobId', async (req, res) => {
+  try {
+    const job = await findVisiblePlanJob(req);
+    if (!job) {
+      return res.status(404).json({ 
+        error: 'Plan job not found',
+        message: 'The plan job does not exist or has expired'
+      });
+    }
+    res.json({ success: true, ...formatPlanJob(job) });
+  } catch (error) {
+    console.error('Error fetching plan job:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch plan job',
+      message: 'Unable to retrieve the plan job. Please try again.'
+    });
+  }
+});
+
+/**
+ * Cancel Plan Job Endpoint
+ * 
+ * DELETE /api/trip/plan/jobs/:planJobId
+ * 
+ * Cancels a pending or running plan job. Planning stops at the next step
+ * (an LLM request in progress is aborted) and no plan is stored.
+ * 
+ * Headers:
+ * - Authorization: Bearer <JWT_TOKEN> (required for jobs created by a logged-in user)
+ * 
+ * Response:
+ * - 200: Job cancelled ({ success, planJobId, status: 'cancelled' })
+ * - 404: Job not found, expired or created by another user
+ * - 409: Job already finished
+ * - 500: Server error
+ */
+router.delete('/plan/jobs/:planJobId', async (req, res) => {
+  try {
+    const job = await findVisiblePlanJob(req);
+    if (!job) {
+      return res.status(404).json({ 
+        error: 'Plan job not found',
+        message: 'The plan job does not exist or has expired'
+      });
+    }
+
+    const cancelled = await PlanJob.findOneAndUpdate(
+      { jobId: job.jobId, status: { $in: PlanJob.ACTIVE_PLAN_JOB_STATUSES } },
+      { $set: { status: 'cancelled', finishedAt: new Date() } },
+      { new: true }
+    );
+    if (!cancelled) {
+      return res.status(409).json({ 
+        error: 'Plan job already finished',
+        message: `The plan job has already ${job.status === 'cancelled' ? 'been cancelled' : job.status}`
+      });
+    }
+
+    const controller = runningPlanJobs.get(job.jobId);
+    if (controller) {
+      controller.abort();
+    }
+
+    res.json({
+      success: true,
+      planJobId: cancelled.jobId,
+      status: cancelled.status
+    });
+  } catch (error) {
+    console.error('Error cancelling plan job:', error);
+    res.status(500).json({ 
+      error: 'Failed to cancel plan job',
+      message: 'Unable to cancel the plan job. Please try again.'
+    });
+  }
+});
+
 /**
  * Weather Forecast Endpoint
  * 
@@ -847,35 +4561,62 @@ router.post('/weather', async (req, res) => {
  * This endpoint keeps the ORS API key secure by handling requests server-side.
  * 
  * Request Body:
- * - start: Starting coordinates [latitude, longitude] (required)
- * - end: Ending coordinates [latitude, longitude] (required)
- * - profile: Routing profile ('foot-walking', 'cycling-regular', etc.) (required)
+ * - coordinates: Points to route through, [[latitude, longitude], ...] (2 to ORS_MAX_WAYPOINTS),
+ *   e.g. all the waypoints of a day (required unless start and end are given)
+ * - start: Starting coordinates [latitude, longitude] (for a single segment)
+ * - end: Ending coordinates [latitude, longitude] (for a single segment)
+ * - profile: Routing profile of a registered trip type ('foot-walking', 'cycling-regular', etc.) (required)
+ * - routeOptions: Avoided features and areas of the trip, { avoidFeatures, avoidPolygons } (optional)
  * 
  * Response:
  * - 200: Route data retrieved successfully
- * - 400: Missing required parameters
+ * - 400: Missing required parameters, unsupported routing profile or invalid route options
  * - 500: ORS API error or server error
  * 
  * Security: This proxy prevents exposure of the ORS API key to the client
  */
 router.post('/ors-route', async (req, res) => {
-  const { start, end, profile } = req.body;
+  const { profile } = req.body;
+  // A day's waypoints, or the start and end of a single segment
+  const coordinates = Array.isArray(req.body.coordinates) ? req.body.coordinates : [req.body.start, req.body.end];
 
   // Validate required parameters
-  if (!start || !end || !profile) {
+  if (coordinates.some(point => !point) || !profile) {
     return res.status(400).json({ 
       error: 'Missing required parameters',
-      message: 'Please provide start coordinates, end coordinates, and routing profile'
+      message: 'Please provide the coordinates (or start and end coordinates) and routing profile'
     });
   }
 
-  // Validate coordinate format
-  if (!Array.isArray(start) || !Array.isArray(end) || start.length !== 2 || end.length !== 2) {
+  // Validate coordinate format: each point must be two finite numbers within range
+  const isValidPoint = point => Array.isArray(point) && point.length === 2 &&
+    point.every(value => typeof value === 'number' && Number.isFinite(value)) &&
+    Math.abs(point[0]) <= 90 && Math.abs(point[1]) <= 180;
+  if (coordinates.length < 2 || coordinates.length > ORS_MAX_WAYPOINTS || !coordinates.every(isValidPoint)) {
     return res.status(400).json({
       error: 'Invalid coordinate format',
-      message: 'Coordinates must be arrays with [latitude, longitude] format'
+      message: `Coordinates must be 2 to ${ORS_MAX_WAYPOINTS} [latitude, longitude] pairs of numbers ` +
+        '(latitude -90 to 90, longitude -180 to 180)'
+    });
+  }
+
+  // Only the routing profiles used by registered trip types are proxied
+  if (!Object.values(TRIP_TYPES).some(type => type.orsProfile === profile)) {
+    return res.status(400).json({
+      error: 'Invalid routing profile',
+      message: 'The routing profile must belong to a supported trip type'
+    });
+  }
+
+  // Route around the same features and areas as when the trip was planned
+  const { routeOptions, error: routeOptionsError } = normalizeRouteOptions(req.body.routeOptions);
+  if (routeOptionsError) {
+    return res.status(400).json({
+      error: 'Invalid route options',
+      message: routeOptionsError
     });
   }
+  const orsOptions = buildORSRouteOptions(profile, routeOptions);
 
   const url = `https://api.openrouteservice.org/v2/directions/${profile}`;
   
@@ -884,10 +4625,8 @@ router.post('/ors-route', async (req, res) => {
     const response = await axios.post(
       url,
       {
-        coordinates: [
-          [start[1], start[0]], // ORS expects [longitude, latitude]
-          [end[1], end[0]]
-        ]
+        coordinates: coordinates.map(point => [point[1], point[0]]), // ORS expects [longitude, latitude]
+        ...(orsOptions ? { options: orsOptions } : {})
       },
       {
         headers: {
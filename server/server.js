@@ -5,9 +5,14 @@ require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
 const tripRoutes = require('./routes/trip');
+const Trip = require('./models/Trip');
+const PlanJob = require('./models/PlanJob');
 
 const app = express();
 
+// How often the revisions and comments of purged trips are removed
+const ORPHAN_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
 /**
  * Server Configuration and Middleware Setup
  * 
@@ -39,6 +44,28 @@ app.use('/api/trip', tripRoutes);
  */
 mongoose.connect(process.env.MONGO_URI)
   .then(() => {
+    // Bring trips saved by older versions up to date in the background
+    Trip.backfillDerivedFields()
+      .then(count => count > 0 && console.log(`Backfilled derived fields for ${count} trips`))
+      .catch(err => console.error('Error backfilling trip fields:', err));
+
+    // Apply a changed trash retention period to the existing TTL index
+    Trip.syncTrashRetention()
+      .then(updated => updated && console.log(`Trash retention set to ${Trip.TRASH_RETENTION_DAYS} days`))
+      .catch(err => console.error('Error updating trash retention:', err));
+
+    // Trips purged from the trash leave their revisions and comments behind
+    const purgeOrphanedData = () => Trip.purgeOrphanedData()
+      .then(count => count > 0 && console.log(`Removed ${count} revisions and comments of purged trips`))
+      .catch(err => console.error('Error removing data of purged trips:', err));
+    purgeOrphanedData();
+    setInterval(purgeOrphanedData, ORPHAN_PURGE_INTERVAL_MS);
+
+    // Plan jobs interrupted by a restart will never finish
+    PlanJob.failInterruptedJobs()
+      .then(count => count > 0 && console.log(`Marked ${count} interrupted plan jobs as failed`))
+      .catch(err => console.error('Error failing interrupted plan jobs:', err));
+
     // Start the Express server only after a successful database connection.
     // This prevents the server from running without database access.
     app.listen(process.env.PORT || 5000, () => {
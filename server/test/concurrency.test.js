@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { mapWithConcurrency } = require('../utils/concurrency');
+
+// Resolves after the given number of milliseconds
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('mapWithConcurrency returns the results in item order', async () => {
+  // Later items finish first
+  const results = await mapWithConcurrency([30, 20, 10, 0], 4, async (delay, index) => {
+    await wait(delay);
+    return `${index}:${delay}`;
+  });
+  assert.deepEqual(results, ['0:30', '1:20', '2:10', '3:0']);
+});
+
+test('mapWithConcurrency runs at most `limit` calls at a time', async () => {
+  let running = 0;
+  let mostRunning = 0;
+  const results = await mapWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, async item => {
+    running++;
+    mostRunning = Math.max(mostRunning, running);
+    await wait(5);
+    running--;
+    return item * 2;
+  });
+  assert.equal(mostRunning, 3);
+  assert.deepEqual(results, [2, 4, 6, 8, 10, 12, 14]);
+});
+
+test('mapWithConcurrency starts no new calls once shouldStop returns true', async () => {
+  const started = [];
+  let failed = false;
+  const results = await mapWithConcurrency([0, 1, 2, 3, 4, 5], 2, async (item, index) => {
+    started.push(index);
+    await wait(5);
+    if (index === 1) {
+      failed = true;
+    }
+    return index;
+  }, () => failed);
+  // Items 0 and 1 run together; item 2 starts when item 0 finishes, before item 1 fails
+  assert.deepEqual(started, [0, 1, 2]);
+  assert.deepEqual(results, [0, 1, 2, undefined, undefined, undefined]);
+});
+
+test('mapWithConcurrency handles an empty list', async () => {
+  assert.deepEqual(await mapWithConcurrency([], 3, async () => assert.fail('not called')), []);
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DIFFICULTY_GRADES, rateDayDifficulty, applyDifficultyToTripData } = require('../config/difficulty');
+
+// A day as it is stored in a trip itinerary
+const makeDay = ({ distanceKm, hours, ascentM, unpavedPercent } = {}) => ({
+  ...(distanceKm !== undefined && { totalDistance: `${distanceKm} km` }),
+  ...(hours !== undefined && { estimatedTime: `${hours} hours` }),
+  ...(ascentM !== undefined && { elevation: { ascentM, descentM: ascentM } }),
+  ...(unpavedPercent !== undefined && { unpavedPercent })
+});
+
+test('rateDayDifficulty grades each factor against the trip type thresholds', () => {
+  // Bike thresholds: distance 30/60/100 km, duration 2/4/6 h, ascent 300/800/1500 m, unpaved 20/40/60 %
+  assert.equal(rateDayDifficulty('bike', makeDay({ distanceKm: 29.9 })), 'easy');
+  assert.equal(rateDayDifficulty('bike', makeDay({ distanceKm: 30 })), 'moderate');
+  assert.equal(rateDayDifficulty('bike', makeDay({ hours: 4 })), 'hard');
+  assert.equal(rateDayDifficulty('bike', makeDay({ ascentM: 1500 })), 'expert');
+  assert.equal(rateDayDifficulty('bike', makeDay({ unpavedPercent: 45 })), 'hard');
+});
+
+test('rateDayDifficulty grades a day by its hardest factor', () => {
+  const day = makeDay({ distanceKm: 20, hours: 1.5, ascentM: 900, unpavedPercent: 10 });
+  assert.equal(rateDayDifficulty('bike', day), 'hard');
+});
+
+test('rateDayDifficulty uses the thresholds of the trip type', () => {
+  const day = makeDay({ distanceKm: 20 });
+  assert.equal(rateDayDifficulty('road-bike', day), 'easy');
+  assert.equal(rateDayDifficulty('trek', day), 'hard');
+});
+
+test('rateDayDifficulty ignores unpaved ground where it is expected', () => {
+  const day = makeDay({ distanceKm: 10, unpavedPercent: 90 });
+  assert.equal(rateDayDifficulty('mountain-bike', day), 'easy');
+  assert.equal(rateDayDifficulty('bike', day), 'expert');
+});
+
+test('rateDayDifficulty skips factors without data', () => {
+  assert.equal(rateDayDifficulty('bike', makeDay()), 'easy');
+  assert.equal(rateDayDifficulty('bike', { totalDistance: 'unknown', estimatedTime: '', elevation: {} }), 'easy');
+});
+
+test('rateDayDifficulty grades unknown trip types as easy', () => {
+  assert.equal(rateDayDifficulty('unicycle', makeDay({ distanceKm: 500 })), DIFFICULTY_GRADES[0]);
+});
+
+test('applyDifficultyToTripData grades every day and the trip by its hardest day', () => {
+  const tripData = { days: [makeDay({ distanceKm: 10 }), makeDay({ distanceKm: 70 }), makeDay({ distanceKm: 40 })] };
+  assert.equal(applyDifficultyToTripData('bike', tripData), 'hard');
+  assert.deepEqual(tripData.days.map(day => day.difficulty), ['easy', 'hard', 'moderate']);
+});
+
+test('applyDifficultyToTripData returns null for trips without days', () => {
+  assert.equal(applyDifficultyToTripData('bike', { days: [] }), null);
+  assert.equal(applyDifficultyToTripData('bike', {}), null);
+  assert.equal(applyDifficultyToTripData('bike', null), null);
+});
@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { haversineKm } = require('../utils/geo');
+const {
+  FALLBACK_ROAD_FACTOR,
+  FALLBACK_SEGMENTS_PER_DAY,
+  FALLBACK_LOOP_BEARINGS,
+  FALLBACK_LOOP_SCALES,
+  FALLBACK_ROUTE_BULGES,
+  buildFallbackCandidates
+} = require('../utils/fallbackCandidates');
+
+const TEL_AVIV = [32.0853, 34.7818];
+const HAIFA = [32.794, 34.9896];
+const LIMITS = { minDailyKm: 40, maxDailyKm: 80 };
+
+// Straight-line length of a list of points
+const pathKm = points => points.slice(1).reduce((total, point, index) => total + haversineKm(points[index], point), 0);
+
+// All the points of a candidate in order, without repeating the points where days meet
+const candidatePoints = candidate => candidate.flatMap((points, index) => (index === 0 ? points : points.slice(1)));
+
+// Checks the shape every candidate has: the number of days, the points per
+// day, and each day starting where the previous one ended
+const assertChainedDays = (candidate, days) => {
+  assert.equal(candidate.length, days);
+  candidate.forEach((points, index) => {
+    assert.equal(points.length, FALLBACK_SEGMENTS_PER_DAY + 1);
+    if (index > 0) {
+      const previous = candidate[index - 1];
+      assert.deepEqual(points[0], previous[previous.length - 1]);
+    }
+  });
+};
+
+test('round trips are loops of every size and bearing, starting and ending at the start', () => {
+  const candidates = buildFallbackCandidates({ start: TEL_AVIV, destination: null, days: 2, limits: LIMITS });
+  assert.equal(candidates.length, FALLBACK_LOOP_SCALES.length * FALLBACK_LOOP_BEARINGS.length);
+  candidates.forEach(candidate => {
+    assertChainedDays(candidate, 2);
+    assert.deepEqual(candidate[0][0], TEL_AVIV);
+    assert.deepEqual(candidate[1][FALLBACK_SEGMENTS_PER_DAY], TEL_AVIV);
+  });
+});
+
+test('round trip loops are sized from the middle of the daily limits', () => {
+  const candidates = buildFallbackCandidates({ start: TEL_AVIV, destination: null, days: 2, limits: LIMITS });
+  const targetKm = 2 * (LIMITS.minDailyKm + LIMITS.maxDailyKm) / 2 / FALLBACK_ROAD_FACTOR;
+  FALLBACK_LOOP_SCALES.forEach((scale, scaleIndex) => {
+    const candidate = candidates[scaleIndex * FALLBACK_LOOP_BEARINGS.length];
+    // The points lie on a circle of that circumference, so the straight lines between them are a little shorter
+    const lengthKm = pathKm(candidatePoints(candidate));
+    assert.ok(lengthKm <= targetKm * scale, `${lengthKm} km is longer than ${targetKm * scale} km`);
+    assert.ok(lengthKm > targetKm * scale * 0.95, `${lengthKm} km is much shorter than ${targetKm * scale} km`);
+  });
+});
+
+test('one-way trips run from the start to the destination, straight first', () => {
+  const candidates = buildFallbackCandidates({ start: TEL_AVIV, destination: HAIFA, days: 3, limits: LIMITS });
+  assert.equal(candidates.length, FALLBACK_ROUTE_BULGES.length);
+  candidates.forEach(candidate => {
+    assertChainedDays(candidate, 3);
+    assert.deepEqual(candidate[0][0], TEL_AVIV);
+    assert.deepEqual(candidate[2][FALLBACK_SEGMENTS_PER_DAY], HAIFA);
+  });
+
+  // Without a bulge every point is on the line, so the route is as long as the line
+  const straightKm = pathKm(candidatePoints(candidates[0]));
+  assert.ok(Math.abs(straightKm - haversineKm(TEL_AVIV, HAIFA)) < 0.1);
+  // With a bulge the route curves away from the line
+  const curvedKm = pathKm(candidatePoints(candidates[1]));
+  assert.ok(curvedKm > straightKm + 1);
+});
+
+test('candidates are the same for the same request', () => {
+  const options = { start: TEL_AVIV, destination: null, days: 3, limits: LIMITS };
+  assert.deepEqual(buildFallbackCandidates(options), buildFallbackCandidates(options));
+});
@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_FEEDBACK_REASONS,
+  parseLLMItinerary,
+  validateItinerarySchema,
+  buildPlanFeedbackPrompt
+} = require('../utils/itinerary');
+
+// A valid two-day round trip from Tel Aviv
+const roundTrip = () => ({
+  days: [
+    {
+      day: 1,
+      cities: [
+        { name: 'Tel Aviv', coordinates: [32.0853, 34.7818] },
+        { name: 'Herzliya', coordinates: [32.1624, 34.8447] }
+      ]
+    },
+    {
+      day: 2,
+      cities: [
+        { name: 'Herzliya', coordinates: [32.1624, 34.8447] },
+        { name: 'Tel Aviv', coordinates: [32.0853, 34.7818] }
+      ]
+    }
+  ]
+});
+
+test('parseLLMItinerary reads JSON wrapped in text and a code block', () => {
+  const reply = 'Here is your plan:\n```json\n{"days": [{"day": 1, "note": "a } in a string"}]}\n```\nEnjoy {your trip}!';
+  assert.deepEqual(parseLLMItinerary(reply), { data: { days: [{ day: 1, note: 'a } in a string' }] } });
+});
+
+test('parseLLMItinerary explains replies it cannot parse', () => {
+  assert.match(parseLLMItinerary('No plan today').error, /did not contain a JSON object/);
+  assert.match(parseLLMItinerary('{"days": [').error, /cut off/);
+  assert.match(parseLLMItinerary('{"days": [,]}').error, /could not be parsed/);
+  assert.match(parseLLMItinerary(null).error, /did not contain a JSON object/);
+});
+
+test('validateItinerarySchema accepts a well-formed round trip', () => {
+  assert.deepEqual(validateItinerarySchema(roundTrip(), { days: 2, isRoundTrip: true }), []);
+});
+
+test('validateItinerarySchema rejects replies without a days array', () => {
+  assert.deepEqual(validateItinerarySchema([], { days: 1, isRoundTrip: true }),
+    ['The reply must be a JSON object with a "days" array']);
+  assert.deepEqual(validateItinerarySchema({ plan: [] }, { days: 1, isRoundTrip: true }),
+    ['The reply must be a JSON object with a "days" array']);
+});
+
+test('validateItinerarySchema reports the day count, numbering and points', () => {
+  const tripData = roundTrip();
+  tripData.days[1].day = 3;
+  tripData.days[0].cities[1] = { name: ' ', coordinates: [95, 34.8] };
+  tripData.days[1].cities = [tripData.days[1].cities[0]];
+
+  assert.deepEqual(validateItinerarySchema(tripData, { days: 3, isRoundTrip: true }), [
+    'The plan has 2 days; it must have exactly 3',
+    'Day 1, point 2 needs a non-empty "name"',
+    'Day 1, point 2 has coordinates out of range (latitude -90 to 90, longitude -180 to 180)',
+    'Day 2 is numbered 3; days must be numbered 1 to 3 in order',
+    'Day 2 must have a "cities" array with at least two points'
+  ]);
+});
+
+test('validateItinerarySchema requires coordinates as two numbers', () => {
+  const tripData = roundTrip();
+  tripData.days[0].cities[0].coordinates = ['32.08', 34.78];
+  assert.deepEqual(validateItinerarySchema(tripData, { days: 2, isRoundTrip: true }),
+    ['Day 1, point 1 needs "coordinates" as two numbers: [latitude, longitude]']);
+});
+
+test('validateItinerarySchema checks that the days join up', () => {
+  const tripData = roundTrip();
+  // Start day 2 in Netanya, about 18 km north of where day 1 ended
+  tripData.days[1].cities[0] = { name: 'Netanya', coordinates: [32.3215, 34.8532] };
+  const errors = validateItinerarySchema(tripData, { days: 2, isRoundTrip: true });
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^Day 2 starts 17\.7 km from where day 1 ended/);
+});
+
+test('validateItinerarySchema only requires round trips to return to the start', () => {
+  const tripData = roundTrip();
+  tripData.days[1].cities[1] = { name: 'Netanya', coordinates: [32.3215, 34.8532] };
+  const errors = validateItinerarySchema(tripData, { days: 2, isRoundTrip: true });
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^The trip ends 27\.1 km from its starting point/);
+  assert.deepEqual(validateItinerarySchema(tripData, { days: 2, isRoundTrip: false }), []);
+});
+
+test('buildPlanFeedbackPrompt lists at most MAX_FEEDBACK_REASONS reasons', () => {
+  const reasons = Array.from({ length: MAX_FEEDBACK_REASONS + 2 }, (_, index) => `Reason ${index + 1}`);
+  const prompt = buildPlanFeedbackPrompt(reasons);
+  assert.match(prompt, /^Your previous plan was rejected for these reasons:\n- Reason 1\n- Reason 2\n/);
+  assert.ok(prompt.includes(`- Reason ${MAX_FEEDBACK_REASONS}\n`));
+  assert.ok(!prompt.includes(`- Reason ${MAX_FEEDBACK_REASONS + 1}`));
+  assert.match(prompt, /return the complete corrected plan as a JSON object/);
+});
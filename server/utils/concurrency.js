@@ -0,0 +1,29 @@
+/**
+ * Concurrency Helper Function
+ *
+ * Calls an async function for every item of a list, with at most `limit`
+ * calls running at the same time. No new calls are started once `shouldStop`
+ * returns true.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Most calls running at the same time
+ * @param {Function} worker - Async function called with (item, index)
+ * @param {Function} [shouldStop] - Returns true when the remaining items can be skipped
+ * @returns {Promise<Array>} The results in item order (undefined for skipped items)
+ */
+async function mapWithConcurrency(items, limit, worker, shouldStop = () => false) {
+  const results = items.map(() => undefined);
+  let nextIndex = 0;
+  const runWorker = async () => {
+    while (nextIndex < items.length && !shouldStop()) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runWorker));
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
@@ -0,0 +1,91 @@
+const { haversineKm, movePoint, bearingDegrees } = require('./geo');
+
+/**
+ * Fallback Planner Settings
+ *
+ * When the LLM is unavailable (no provider configured, or the service is down) or
+ * none of its plans pass validation, /plan builds a plan itself from points
+ * laid out geometrically around the starting city:
+ * - FALLBACK_ROAD_FACTOR: how much longer a route by road is than the straight
+ *   lines between its points, used to size the loops
+ * - FALLBACK_SEGMENTS_PER_DAY: route segments (waypoints minus one) in each day
+ * - FALLBACK_LOOP_BEARINGS: directions (degrees from north) a round trip's loop is tried in
+ * - FALLBACK_LOOP_SCALES: loop sizes tried, relative to the middle of the daily limits
+ * - FALLBACK_ROUTE_BULGES: sideways offsets tried for one-way trips, relative to their length
+ */
+const FALLBACK_ROAD_FACTOR = 1.3;
+const FALLBACK_SEGMENTS_PER_DAY = 4;
+const FALLBACK_LOOP_BEARINGS = [0, 90, 180, 270];
+const FALLBACK_LOOP_SCALES = [1, 0.8];
+const FALLBACK_ROUTE_BULGES = [0, 0.15, -0.15, 0.3, -0.3];
+
+/**
+ * Fallback Candidate Builder
+ *
+ * Lays out candidate routes for the fallback planner, in the order they are
+ * tried. Nothing is random, so the same request always gives the same plan.
+ *
+ * - Round trips are a circle through the starting city, sized so that every
+ *   day covers about the middle of the daily limits by road. The circle is
+ *   tried on each side of the city and then at a smaller size.
+ * - One-way trips follow the line to the destination, then curves bending
+ *   away from it to either side (to get around water or mountains).
+ *
+ * The route is cut into days of FALLBACK_SEGMENTS_PER_DAY segments each; the
+ * last point of a day is the first point of the next.
+ *
+ * @param {Object} options - Trip parameters
+ * @param {Array} options.start - [latitude, longitude] of the starting city
+ * @param {Array|null} options.destination - [latitude, longitude] of the destination of a one-way trip
+ * @param {number} options.days - Number of days
+ * @param {Object} options.limits - Daily limits from resolveFitnessLimits
+ * @returns {Array} Candidates, each a list of days, each a list of [latitude, longitude] points
+ */
+function buildFallbackCandidates({ start, destination, days, limits }) {
+  const pointCount = days * FALLBACK_SEGMENTS_PER_DAY;
+  const splitIntoDays = points => Array.from({ length: days }, (_, index) =>
+    points.slice(index * FALLBACK_SEGMENTS_PER_DAY, (index + 1) * FALLBACK_SEGMENTS_PER_DAY + 1));
+  const candidates = [];
+
+  if (destination) {
+    const lengthKm = haversineKm(start, destination);
+    const sideways = (bearingDegrees(start, destination) + 90) % 360;
+    FALLBACK_ROUTE_BULGES.forEach(bulge => {
+      const points = Array.from({ length: pointCount + 1 }, (_, index) => {
+        if (index === 0) return start;
+        if (index === pointCount) return destination;
+        const fraction = index / pointCount;
+        const onLine = [
+          start[0] + (destination[0] - start[0]) * fraction,
+          start[1] + (destination[1] - start[1]) * fraction
+        ];
+        return movePoint(onLine, sideways, bulge * lengthKm * Math.sin(Math.PI * fraction));
+      });
+      candidates.push(splitIntoDays(points));
+    });
+    return candidates;
+  }
+
+  const targetDayKm = (limits.minDailyKm + limits.maxDailyKm) / 2;
+  FALLBACK_LOOP_SCALES.forEach(scale => {
+    const radiusKm = (days * targetDayKm * scale) / FALLBACK_ROAD_FACTOR / (2 * Math.PI);
+    FALLBACK_LOOP_BEARINGS.forEach(bearing => {
+      const center = movePoint(start, bearing, radiusKm);
+      const points = Array.from({ length: pointCount + 1 }, (_, index) =>
+        index === 0 || index === pointCount
+          ? start
+          : movePoint(center, bearing + 180 + (360 * index) / pointCount, radiusKm));
+      candidates.push(splitIntoDays(points));
+    });
+  });
+  return candidates;
+}
+
+module.exports = {
+  FALLBACK_ROAD_FACTOR,
+  FALLBACK_SEGMENTS_PER_DAY,
+  FALLBACK_LOOP_BEARINGS,
+  FALLBACK_LOOP_SCALES,
+  FALLBACK_ROUTE_BULGES,
+  buildFallbackCandidates
+};
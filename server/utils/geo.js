@@ -0,0 +1,73 @@
+/**
+ * Geographic Helpers
+ *
+ * Distance calculations on [latitude, longitude] points, shared by the trip
+ * routes and the planning helpers.
+ */
+
+/**
+ * Haversine Distance Helper Function
+ * 
+ * Calculates the great-circle distance between two points.
+ * 
+ * @param {Array} from - [latitude, longitude]
+ * @param {Array} to - [latitude, longitude]
+ * @returns {number} Distance in kilometers
+ */
+function haversineKm(from, to) {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to[0] - from[0]);
+  const dLng = toRadians(to[1] - from[1]);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from[0])) * Math.cos(toRadians(to[0])) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Destination Point Helper Function
+ *
+ * Finds the point reached by travelling a distance along a bearing on the
+ * earth's surface. Negative distances travel the opposite way.
+ *
+ * @param {Array} from - [latitude, longitude] of the starting point
+ * @param {number} bearing - Direction in degrees clockwise from north
+ * @param {number} distanceKm - Distance to travel in kilometers
+ * @returns {Array} [latitude, longitude] of the point reached
+ */
+function movePoint(from, bearing, distanceKm) {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const toDegrees = radians => (radians * 180) / Math.PI;
+  const angle = distanceKm / 6371;
+  const lat1 = toRadians(from[0]);
+  const lng1 = toRadians(from[1]);
+  const theta = toRadians(bearing);
+  const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angle) + Math.cos(lat1) * Math.sin(angle) * Math.cos(theta));
+  const lng2 = lng1 + Math.atan2(
+    Math.sin(theta) * Math.sin(angle) * Math.cos(lat1),
+    Math.cos(angle) - Math.sin(lat1) * Math.sin(lat2)
+  );
+  return [Number(toDegrees(lat2).toFixed(6)), Number((((toDegrees(lng2) + 540) % 360) - 180).toFixed(6))];
+}
+
+/**
+ * Initial Bearing Helper Function
+ *
+ * @param {Array} from - [latitude, longitude]
+ * @param {Array} to - [latitude, longitude]
+ * @returns {number} Direction from the first point to the second, in degrees clockwise from north (0-360)
+ */
+function bearingDegrees(from, to) {
+  const toRadians = degrees => (degrees * Math.PI) / 180;
+  const lat1 = toRadians(from[0]);
+  const lat2 = toRadians(to[0]);
+  const dLng = toRadians(to[1] - from[1]);
+  const y = Math.sin(dLng) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
+module.exports = {
+  haversineKm,
+  movePoint,
+  bearingDegrees
+};
@@ -0,0 +1,162 @@
+const { haversineKm } = require('./geo');
+
+/**
+ * LLM Itinerary Helpers
+ *
+ * Parse and check the itineraries the LLM returns for /plan, and build the
+ * feedback sent back to it when an itinerary is rejected.
+ */
+
+/**
+ * How far apart (in kilometers) two points may be and still count as the same
+ * place where an itinerary joins up: a day's start and the previous day's end,
+ * and the end and start of a round trip.
+ */
+const ITINERARY_JOIN_TOLERANCE_KM = 1;
+
+// Most failure reasons sent back to the LLM after a rejected plan
+const MAX_FEEDBACK_REASONS = 8;
+
+/**
+ * LLM Response Parsing Helper Function
+ *
+ * Extracts the itinerary from an LLM reply. Models sometimes wrap the JSON in
+ * a Markdown code block or add text around it, so the first complete {...}
+ * object in the reply is parsed. Braces are matched outside of strings, so
+ * braces in any text after the object are not swallowed.
+ *
+ * @param {string} text - The LLM's reply
+ * @returns {Object} { data } with the parsed object, or { error } saying why it could not be parsed
+ */
+function parseLLMItinerary(text) {
+  const start = typeof text === 'string' ? text.indexOf('{') : -1;
+  if (start === -1) {
+    return { error: 'The reply did not contain a JSON object' };
+  }
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      try {
+        return { data: JSON.parse(text.slice(start, i + 1)) };
+      } catch (parseError) {
+        return { error: `The JSON could not be parsed (${parseError.message})` };
+      }
+    }
+  }
+  return { error: 'The JSON object was cut off before its closing brace' };
+}
+
+/**
+ * Itinerary Schema Validation Helper Function
+ *
+ * Checks the structure of an LLM itinerary before any route is requested:
+ * - an object with exactly the requested number of days, numbered 1, 2, 3...
+ * - every day has at least two points, each with a non-empty name and
+ *   [latitude, longitude] coordinates within range
+ * - each day starts where the previous day ended, and a round trip ends where
+ *   it started (within ITINERARY_JOIN_TOLERANCE_KM)
+ *
+ * Distances and times are not checked; they are replaced with figures from
+ * OpenRouteService once the plan is validated.
+ *
+ * @param {*} tripData - Parsed LLM reply
+ * @param {Object} options - Expected shape
+ * @param {number} options.days - Number of days the plan must have
+ * @param {boolean} options.isRoundTrip - Whether the trip must end where it started
+ * @returns {Array} Problems found, as sentences for the LLM (empty when the itinerary is valid)
+ */
+function validateItinerarySchema(tripData, { days, isRoundTrip }) {
+  if (!tripData || typeof tripData !== 'object' || Array.isArray(tripData) || !Array.isArray(tripData.days)) {
+    return ['The reply must be a JSON object with a "days" array'];
+  }
+
+  const errors = [];
+  if (tripData.days.length !== days) {
+    errors.push(`The plan has ${tripData.days.length} days; it must have exactly ${days}`);
+  }
+  tripData.days.forEach((day, index) => {
+    const label = `Day ${index + 1}`;
+    if (!day || typeof day !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (day.day !== index + 1) {
+      errors.push(`${label} is numbered ${JSON.stringify(day.day)}; days must be numbered 1 to ${days} in order`);
+    }
+    if (!Array.isArray(day.cities) || day.cities.length < 2) {
+      errors.push(`${label} must have a "cities" array with at least two points`);
+      return;
+    }
+    day.cities.forEach((point, pointIndex) => {
+      const pointLabel = `${label}, point ${pointIndex + 1}`;
+      if (!point || typeof point.name !== 'string' || !point.name.trim()) {
+        errors.push(`${pointLabel} needs a non-empty "name"`);
+      }
+      const coordinates = point && point.coordinates;
+      if (!Array.isArray(coordinates) || coordinates.length !== 2 ||
+          !coordinates.every(value => typeof value === 'number' && Number.isFinite(value))) {
+        errors.push(`${pointLabel} needs "coordinates" as two numbers: [latitude, longitude]`);
+      } else if (Math.abs(coordinates[0]) > 90 || Math.abs(coordinates[1]) > 180) {
+        errors.push(`${pointLabel} has coordinates out of range (latitude -90 to 90, longitude -180 to 180)`);
+      }
+    });
+  });
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  // The days must join up into one continuous trip
+  const firstPoint = day => day.cities[0].coordinates;
+  const lastPoint = day => day.cities[day.cities.length - 1].coordinates;
+  for (let i = 1; i < tripData.days.length; i++) {
+    const gapKm = haversineKm(lastPoint(tripData.days[i - 1]), firstPoint(tripData.days[i]));
+    if (gapKm > ITINERARY_JOIN_TOLERANCE_KM) {
+      errors.push(`Day ${i + 1} starts ${gapKm.toFixed(1)} km from where day ${i} ended; it must start at the same point`);
+    }
+  }
+  if (isRoundTrip) {
+    const gapKm = haversineKm(firstPoint(tripData.days[0]), lastPoint(tripData.days[tripData.days.length - 1]));
+    if (gapKm > ITINERARY_JOIN_TOLERANCE_KM) {
+      errors.push(`The trip ends ${gapKm.toFixed(1)} km from its starting point; a round trip must end at the same coordinates it started from`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Plan Feedback Prompt Builder
+ *
+ * Builds the follow-up message sent after a rejected plan, so the LLM can
+ * correct its plan instead of starting over.
+ *
+ * @param {Array} reasons - Why the previous plan was rejected
+ * @returns {string} The message to send to the LLM
+ */
+function buildPlanFeedbackPrompt(reasons) {
+  return `Your previous plan was rejected for these reasons:
+${reasons.slice(0, MAX_FEEDBACK_REASONS).map(reason => `- ${reason}`).join('\n')}
+Fix these problems and return the complete corrected plan as a JSON object with the same structure. All requirements of the original request still apply.`;
+}
+
+module.exports = {
+  ITINERARY_JOIN_TOLERANCE_KM,
+  MAX_FEEDBACK_REASONS,
+  parseLLMItinerary,
+  validateItinerarySchema,
+  buildPlanFeedbackPrompt
+};